@@ -0,0 +1,242 @@
+// =================================================================
+// DEV NOTES for api/batch-monitor.js
+// =================================================================
+/*
+CRON: polls in-progress Message Batches (see queue-batch.js).
+
+FLOW:
+1. Find llm_batches rows still 'in_progress'
+2. Ask Anthropic for the batch status, record request counts
+3. Once ended: download JSONL results, run each message through the same
+   processResponseMinimal used by process-queue.js (with batch pricing)
+4. Fan results into the individual llm_requests rows
+5. Queue webhooks in the outbox - one per row or one per batch, depending
+   on webhook_mode. Errored/expired rows get status 'failed' webhooks
+   (per_batch: listed in failedRequestIds). Per-request callbacks fire
+   for every row in either mode
+
+Webhooks are rate limited per destination, so a large per_request batch
+takes a while to deliver - webhook-dispatcher.js works through the outbox.
+*/
+
+import { createClient } from '@supabase/supabase-js';
+import { processResponseMinimal } from '../lib/response-processing.js';
+import { getModelPricing } from '../lib/pricing.js';
+import { enqueueWebhook, deliverDueWebhooks } from '../lib/webhook-outbox.js';
+import { enqueueRequestWebhooks } from '../lib/callbacks.js';
+import { retrieveMessageBatch, fetchMessageBatchResults } from '../lib/message-batches.js';
+import { ClaudeAPIError, classifyClaudeError } from '../lib/claude-errors.js';
+import { decryptSecret } from '../lib/secrets.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Vercel function configuration
+export const config = {
+  maxDuration: 300, // 5 minutes
+};
+
+export default async function handler(req, res) {
+  console.log(`Batch monitor triggered at ${new Date().toISOString()}`);
+  const startTime = Date.now();
+
+  try {
+    const { data: batches, error: queryError } = await supabase
+      .from('llm_batches')
+      .select('*')
+      .eq('status', 'in_progress')
+      .order('submitted_at', { ascending: true })
+      .limit(20);
+
+    if (queryError) {
+      throw new Error(`Query failed: ${queryError.message}`);
+    }
+
+    console.log(`Found ${batches?.length || 0} in-progress batches`);
+
+    const results = [];
+    for (const batch of batches || []) {
+      try {
+        results.push(await checkBatch(batch));
+      } catch (error) {
+        console.error(`Batch check failed for ${batch.batch_id}:`, error.message);
+        results.push({ batchId: batch.batch_id, error: error.message });
+      }
+    }
+
+    // Send what the per-destination rate limits allow now; webhook-dispatcher.js sends the rest
+    const webhooks = await deliverDueWebhooks();
+
+    res.json({
+      checked: results.length,
+      webhooks,
+      ended: results.filter(r => r.ended).length,
+      results,
+      processingTimeSeconds: Math.round((Date.now() - startTime) / 1000),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Batch monitor error:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+async function checkBatch(batch) {
+  const apiKey = decryptSecret(batch.user_api_key);
+  const anthropicBatch = await retrieveMessageBatch(apiKey, batch.anthropic_batch_id);
+
+  if (anthropicBatch.processing_status !== 'ended') {
+    await supabase
+      .from('llm_batches')
+      .update({ request_counts: anthropicBatch.request_counts })
+      .eq('batch_id', batch.batch_id);
+
+    console.log(`Batch ${batch.batch_id} still ${anthropicBatch.processing_status}`);
+    return { batchId: batch.batch_id, ended: false, requestCounts: anthropicBatch.request_counts };
+  }
+
+  console.log(`Batch ${batch.batch_id} ended, fetching results`);
+
+  const [batchResults, { data: rows, error: rowsError }] = await Promise.all([
+    fetchMessageBatchResults(apiKey, anthropicBatch.results_url),
+    supabase
+      .from('llm_requests')
+      .select('request_id, batch_id, created_at, request_payload, coda_webhook_url, coda_api_token, callbacks')
+      .eq('batch_id', batch.batch_id)
+  ]);
+
+  if (rowsError) {
+    throw new Error(`Failed to load batch rows: ${rowsError.message}`);
+  }
+
+  const rowsById = new Map(rows.map(row => [row.request_id, row]));
+  const completedRows = [];
+  const failedRows = [];
+
+  for (const { custom_id: requestId, result } of batchResults) {
+    const row = rowsById.get(requestId);
+    if (!row) {
+      console.warn(`Batch ${batch.batch_id} returned unknown custom_id ${requestId}`);
+      continue;
+    }
+
+    const pricing = await getModelPricing(row.request_payload.claudeRequest?.model, row.created_at);
+    const update = buildRowUpdate(result, row.request_payload, pricing);
+    const { error: updateError } = await supabase
+      .from('llm_requests')
+      .update(update)
+      .eq('request_id', requestId);
+
+    if (updateError) {
+      console.error(`Failed to store batch result for ${requestId}:`, updateError.message);
+      continue;
+    }
+
+    if (update.status === 'completed') {
+      completedRows.push({ ...row, response: update.response_payload });
+    } else {
+      failedRows.push({ ...row, errorCategory: update.error_category, errorMessage: update.error_message });
+    }
+  }
+
+  await supabase
+    .from('llm_batches')
+    .update({
+      status: 'ended',
+      request_counts: anthropicBatch.request_counts,
+      // Done with Anthropic; the Coda token is already in memory for the outbox below
+      user_api_key: null,
+      coda_api_token: null,
+      ended_at: anthropicBatch.ended_at || new Date().toISOString()
+    })
+    .eq('batch_id', batch.batch_id);
+
+  const webhooksQueued = await enqueueBatchWebhooks(batch, completedRows, failedRows, anthropicBatch);
+
+  return {
+    batchId: batch.batch_id,
+    ended: true,
+    requestCounts: anthropicBatch.request_counts,
+    webhooksQueued
+  };
+}
+
+function buildRowUpdate(result, requestPayload, pricing) {
+  const completedAt = new Date().toISOString();
+
+  if (result.type === 'succeeded') {
+    const processedResponse = processResponseMinimal(result.message, requestPayload, { batch: true, pricing });
+    return {
+      status: 'completed',
+      response_payload: processedResponse,
+      total_cost_usd: processedResponse.cost?.totalCost ?? null,
+      completed_at: completedAt
+    };
+  }
+
+  if (result.type === 'errored') {
+    const apiError = result.error?.error || result.error || {};
+    const failure = classifyClaudeError(new ClaudeAPIError({
+      errorType: apiError.type,
+      apiMessage: apiError.message || 'No details'
+    }));
+    return {
+      status: 'failed',
+      error_category: failure.category,
+      error_message: failure.message,
+      error_details: failure.details,
+      completed_at: completedAt
+    };
+  }
+
+  // canceled or expired
+  return {
+    status: 'failed',
+    error_category: `batch_${result.type}`,
+    error_message: `Batch request ${result.type}`,
+    completed_at: completedAt
+  };
+}
+
+async function enqueueBatchWebhooks(batch, completedRows, failedRows, anthropicBatch) {
+  let queued = 0;
+
+  // per_batch: one Coda webhook for the whole batch (rows carry no Coda URL)
+  if (batch.webhook_mode === 'per_batch' && batch.coda_webhook_url && batch.coda_api_token) {
+    await enqueueWebhook({
+      batchId: batch.batch_id,
+      url: batch.coda_webhook_url,
+      token: batch.coda_api_token,
+      payload: {
+        batchId: batch.batch_id,
+        status: 'completed',
+        requestCounts: anthropicBatch.request_counts,
+        requestIds: completedRows.map(row => row.request_id),
+        failedRequestIds: failedRows.map(row => row.request_id)
+      }
+    });
+    queued++;
+  }
+
+  // Per-row Coda webhooks (per_request mode) and registered callbacks
+  for (const row of completedRows) {
+    queued += await enqueueRequestWebhooks(row, { status: 'completed', response: row.response });
+  }
+
+  for (const row of failedRows) {
+    queued += await enqueueRequestWebhooks(row, {
+      status: 'failed',
+      errorCategory: row.errorCategory,
+      errorMessage: row.errorMessage,
+      attempts: 1
+    });
+  }
+
+  return queued;
+}
@@ -0,0 +1,183 @@
+// =================================================================
+// DEV NOTES for api/cancel-request.js
+// =================================================================
+/*
+CANCEL A QUEUED OR IN-FLIGHT REQUEST:
+
+POST { requestId }  (X-Request-Token or x-api-key - same owner check as
+request-status.js, see lib/access.js; the Pack's auth header covers it)
+
+- queued / retrying: cancelled right here, no worker will ever claim it
+  (claim_request / claim_next_request skip rows with cancel_requested_at)
+- scheduled: the schedule is cancelled - no further runs (runs of a recurring
+  request that already started are cancelled on their own requestId)
+- processing: cancel_requested_at is set and we answer 202 'cancelling';
+  the worker notices within a few seconds, aborts the Claude call and stores
+  the partial content + usage so the tokens already spent are costed
+  (process-queue.js). If the worker died, queue-sweeper.js cancels the row
+  when its lease expires.
+- batched: can't be cancelled one by one (the Message Batches API runs them)
+- completed / failed: 409, nothing to cancel; cancelled: 200, no-op
+
+Every cancelled request sends a status 'cancelled' webhook to Coda and its
+callbacks (lib/callbacks.js).
+*/
+
+import { createClient } from '@supabase/supabase-js';
+import { deliverDueWebhooks } from '../lib/webhook-outbox.js';
+import { enqueueRequestWebhooks } from '../lib/callbacks.js';
+import { getRequestCredentials, hasCredentials, canAccessRequest } from '../lib/access.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Request-Token, X-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { requestId } = req.body || {};
+
+  if (!requestId) {
+    return res.status(400).json({ error: 'Missing required field: requestId' });
+  }
+
+  const credentials = getRequestCredentials(req);
+  if (!hasCredentials(credentials)) {
+    return res.status(401).json({ error: 'Access token (X-Request-Token) or x-api-key required' });
+  }
+
+  try {
+    const request = await loadRequest(requestId);
+
+    // Same answer for wrong credentials as for unknown ids - no probing
+    if (!request || !canAccessRequest(request, credentials)) {
+      return res.status(404).json({ error: `Request not found: ${requestId}` });
+    }
+
+    // A worker can claim the row between our read and our update, so a
+    // queued cancel that loses the race is retried as a processing cancel
+    let status = request.status;
+    if (status === 'queued' || status === 'retrying' || status === 'scheduled') {
+      const cancelled = await cancelWaitingRequest(request);
+      if (cancelled) {
+        return res.status(200).json({ success: true, requestId, status: 'cancelled' });
+      }
+      status = (await loadRequest(requestId))?.status;
+    }
+
+    if (status === 'processing') {
+      const { data: flagged, error: flagError } = await supabase
+        .from('llm_requests')
+        .update({ cancel_requested_at: new Date().toISOString() })
+        .eq('request_id', requestId)
+        .eq('status', 'processing')
+        .select('request_id');
+
+      if (flagError) {
+        throw new Error(`Database error: ${flagError.message}`);
+      }
+
+      if (flagged && flagged.length > 0) {
+        console.log(`🛑 Cancel requested for in-flight request ${requestId}`);
+        return res.status(202).json({
+          success: true,
+          requestId,
+          status: 'cancelling',
+          note: 'The Claude call is aborted within a few seconds - check the status for the partial response'
+        });
+      }
+
+      status = (await loadRequest(requestId))?.status;
+    }
+
+    if (status === 'cancelled') {
+      return res.status(200).json({ success: true, requestId, status: 'cancelled', note: 'Already cancelled' });
+    }
+
+    if (status === 'batched') {
+      return res.status(409).json({
+        error: `Request is part of batch ${request.batch_id} and can't be cancelled on its own`,
+        status
+      });
+    }
+
+    return res.status(409).json({
+      error: `Nothing to cancel (status is '${status}')`,
+      status
+    });
+
+  } catch (error) {
+    console.error('Cancel error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel request',
+      details: error.message
+    });
+  }
+}
+
+async function loadRequest(requestId) {
+  const { data, error } = await supabase
+    .from('llm_requests')
+    .select('request_id, parent_request_id, access_token_hash, api_key_hash, status, batch_id, coda_webhook_url, coda_api_token, callbacks')
+    .eq('request_id', requestId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+}
+
+// Returns false if a worker claimed the row first
+async function cancelWaitingRequest(request) {
+  const now = new Date().toISOString();
+  const { data: cancelled, error } = await supabase
+    .from('llm_requests')
+    .update({
+      status: 'cancelled',
+      cancel_requested_at: now,
+      cancelled_at: now,
+      completed_at: now,
+      encrypted_api_key: null,
+      next_attempt_at: null,
+      next_run_at: null
+    })
+    .eq('request_id', request.request_id)
+    .in('status', ['queued', 'retrying', 'scheduled'])
+    .select('request_id');
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  if (!cancelled || cancelled.length === 0) {
+    return false;
+  }
+
+  console.log(`🛑 Cancelled ${request.request_id} before processing (was ${request.status})`);
+
+  try {
+    const queued = await enqueueRequestWebhooks(request, { status: 'cancelled', response: null });
+    if (queued > 0) {
+      await deliverDueWebhooks();
+    }
+  } catch (webhookError) {
+    console.log(`Cancellation webhook error: ${webhookError.message}`);
+  }
+
+  return true;
+}
@@ -0,0 +1,56 @@
+// =================================================================
+// DEV NOTES for api/models.js
+// =================================================================
+/*
+MODEL CATALOG (Pack model autocomplete + validation, see lib/model-catalog.js):
+
+GET /api/models                      -> { models: [...] } active + deprecated
+GET /api/models?includeRetired=true  -> retired models too
+
+Each model: id, displayName, aliases, status (active | deprecated | retired),
+capabilities { vision, thinking, webSearch, maxOutputTokens }, pricing (USD
+per million tokens from model_pricing, null if none), deprecatedAt,
+retiresAt and replacement - the model that requests for it run on instead.
+
+- No API key needed: it's the same list for everyone and holds no secrets
+- Ordered for autocomplete (newest first); cacheable for a few minutes
+*/
+
+import { getModelCatalog, modelStatus, toModelSummary } from '../lib/model-catalog.js';
+import { getModelPricing } from '../lib/pricing.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const includeRetired = req.query.includeRetired === 'true' || req.query.includeRetired === '1';
+
+  try {
+    const now = new Date();
+    const catalog = (await getModelCatalog())
+      .filter(entry => includeRetired || modelStatus(entry, now) !== 'retired');
+
+    const models = [];
+    for (const entry of catalog) {
+      models.push(toModelSummary(entry, await getModelPricing(entry.model, now), now));
+    }
+
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.json({ models, count: models.length });
+
+  } catch (error) {
+    console.error('Model catalog error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -5,20 +5,100 @@
 MINIMAL PROCESSING APPROACH:
 - Store Claude's raw response with minimal changes
 - Remove only signatures and encrypted content (size bloat)
-- Truncate any string field to 45k characters (Coda limits)
-- Add cost calculation and basic metadata
+- Nothing is truncated - request-status.js pages big fields in 45k-character
+  chunks for Coda (lib/result-paging.js)
+- Add cost calculation (server-side rates, lib/pricing.js) and basic metadata
 - Let Coda formulas handle parsing
 
 WEBHOOK RELIABILITY SYSTEM:
-- Rate limiting: Max 1 webhook per 10 seconds to prevent Coda queue overload
-- In-memory tracking: Cleans webhook history every 60 seconds
+- Outbox: webhooks are written to webhook_outbox, then delivered (lib/webhook-outbox.js)
+- Rate limiting: Max 1 webhook per 10 seconds per destination, enforced in the
+  database across all instances (no more per-instance in-memory history)
+- Backoff: failed deliveries are rescheduled in the database, not slept on
+- Dispatcher: webhook-dispatcher.js cron drains anything not sent immediately
 - Monitoring: webhook-monitor.js retries unfetched webhooks after 2+ minutes
+- Callbacks: extra signed targets per request (lib/callbacks.js) are queued
+  next to the Coda webhook, each with its own payload format
 - Fetch tracking: request-status.js records when users retrieve responses
 - Combined approach prevents bursts + recovers from any dropped webhooks
+
+QUEUE DISPATCH (lib/dispatcher.js):
+- POST {requestId} claims that row; POST {} claims the oldest queued row
+- Claims are atomic leases kept alive by a heartbeat while Claude runs
+- Final status writes only match rows still leased to this worker; a lost
+  lease aborts the Claude call and the result is dropped (the new owner's
+  run decides the outcome - no webhooks from here)
+- Expired leases are requeued by queue-sweeper.js (no more 20-minute reset)
+
+CONCURRENCY + PRIORITY (lib/concurrency.js):
+- Claims respect the per-key / per-model caps and take high priority first;
+  if the requested row has to wait, this worker runs the next claimable one
+- Rate-limit headers and 429s adapt the key's model cap
+- Each finished worker dispatches one more while rows are waiting
+
+RETRIES (lib/claude-errors.js):
+- 429 / 529 / 5xx / timeouts -> status 'retrying' with next_attempt_at
+  (honours retry-after and anthropic-ratelimit-*-reset headers)
+- The sweeper redispatches due retries; each retry uses one of max_attempts
+- Bad key / invalid request etc. fail immediately with a readable
+  error_category + error_message (raw API body kept in error_details)
+- Final failures send a status 'failed' webhook with errorCategory, land in
+  the dead_letter_requests view and can be requeued via replay.js
+
+STREAMING PROGRESS:
+- Claude is called with stream: true (lib/claude-api.js)
+- Snapshots (phase, partial text/thinking, tool uses, output tokens so far)
+  are saved to llm_requests.progress every ~2 seconds and cleared on completion
+- request-status.js and request-stream.js (SSE) read them back
+
+SECRETS (lib/secrets.js):
+- The Claude key arrives encrypted in encrypted_api_key and is decrypted
+  here only; it is nulled as soon as the row completes or fails for good
+- Coda token / callback secrets stay encrypted and are copied into the
+  outbox as-is (decrypted at send time)
+
+STRUCTURED OUTPUT (lib/structured-output.js):
+- jsonSchema requests are forced tool calls; output that fails the schema
+  gets one repair call, then structuredOutput + validationErrors are stored
+
+CUSTOM TOOLS (lib/custom-tools.js):
+- payload.customTools names tools registered via /api/tools; their
+  definitions are added to the Claude request here
+- While Claude stops for tool_use, the tool endpoints are called and their
+  results sent back - up to maxToolIterations rounds - before the structured
+  output check. Every call is stored as response toolSteps
+
+DOCUMENTS (lib/documents.js):
+- documentUrls that aren't PDFs are fetched here and sent inline as text;
+  PDFs stay URL sources. Their citations get the same footnotes as web search
+
+CANCELLATION (api/cancel-request.js):
+- Queued rows are cancelled before any worker claims them
+- While Claude runs, the worker polls cancel_requested_at and aborts the
+  streaming call; the row becomes 'cancelled' with the partial content and
+  usage (output tokens estimated) so the tokens already spent are costed
+- A status 'cancelled' webhook goes to Coda and the callbacks
+
+CONVERSATIONS:
+- Payloads with a conversationId get earlier turns prepended before the call
+- Reply is stored back onto the thread (see lib/conversations.js for limits)
 */
 
 import { createClient } from '@supabase/supabase-js';
 import { setGlobalDispatcher, Agent } from 'undici';
+import { processResponseMinimal } from '../lib/response-processing.js';
+import { getModelPricing, addUsage } from '../lib/pricing.js';
+import { repairStructuredOutput } from '../lib/structured-output.js';
+import { resolveDocumentSources } from '../lib/documents.js';
+import { loadCustomTools, toClaudeTools, runToolLoop, resolveMaxToolIterations } from '../lib/custom-tools.js';
+import { deliverDueWebhooks } from '../lib/webhook-outbox.js';
+import { enqueueRequestWebhooks } from '../lib/callbacks.js';
+import { buildThreadedRequest, appendConversationTurns } from '../lib/conversations.js';
+import { callClaudeAPI } from '../lib/claude-api.js';
+import { createWorkerId, claimRequest, claimNextRequest, startHeartbeat, watchForCancellation, triggerWorkers } from '../lib/dispatcher.js';
+import { recordRateLimitHeaders, recordThrottle, hasWaitingRequests, getQueuePosition } from '../lib/concurrency.js';
+import { classifyClaudeError, getRetryDelayMs, RequestCancelledError } from '../lib/claude-errors.js';
+import { decryptSecret } from '../lib/secrets.js';
 
 // Extend timeout for all fetch requests
 setGlobalDispatcher(new Agent({
@@ -36,144 +116,186 @@ export const config = {
   maxDuration: 800, // 13+ minutes
 };
 
-// Simple in-memory tracking of recent webhook sends
-let recentWebhooks = [];
-
-// ENHANCED VERSION - keeps rate limiting + adds retries
-async function sendWebhookWithRateLimitAndRetry(webhookUrl, payload, token, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      // KEEP EXISTING RATE LIMITING LOGIC
-      const now = Date.now();
-      recentWebhooks = recentWebhooks.filter(time => now - time < 60000);
-
-      const webhooksInLast10Seconds = recentWebhooks.filter(time => now - time < 10000);
-      if (webhooksInLast10Seconds.length >= 1) {
-        const lastWebhook = Math.max(...recentWebhooks);
-        const waitTime = 10000 - (now - lastWebhook);
-        if (waitTime > 0) {
-          console.log(`Rate limiting: waiting ${waitTime}ms before attempt ${attempt}`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
-      }
-
-      recentWebhooks.push(Date.now());
-
-      // ATTEMPT WEBHOOK WITH LONGER TIMEOUT
-      await fetch(webhookUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`,
-          'User-Agent': 'Claude-Async/1.0'
-        },
-        body: JSON.stringify(payload),
-        signal: AbortSignal.timeout(15000) // INCREASED FROM 5000
-      });
-
-      console.log(`Webhook delivered successfully on attempt ${attempt}`);
-      return; // Success
-
-    } catch (error) {
-      console.log(`Webhook attempt ${attempt} failed: ${error.message}`);
-
-      if (attempt === maxRetries) {
-        throw error; // Final attempt failed
-      }
-
-      // Exponential backoff for retries (but not for rate limiting)
-      const backoffMs = Math.pow(2, attempt) * 1000;
-      console.log(`Retrying in ${backoffMs}ms...`);
-      await new Promise(resolve => setTimeout(resolve, backoffMs));
-    }
-  }
-}
-
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { requestId } = req.body;
+  const workerId = createWorkerId();
+  let requestId = req.body?.requestId;
+  let request = null;
+  let claimed = false;
+  let stopHeartbeat = null;
+  let stopCancelWatch = null;
+  const abortController = new AbortController();
 
   try {
-    console.log(`Processing request ${requestId}`);
+    // Claim a lease: the requested row (pg_net trigger) or the next queued row (sweeper).
+    // The requested row may have to wait for a concurrency slot or for a
+    // higher-priority row of the same key - then this worker runs whatever
+    // is next instead
+    if (requestId) {
+      console.log(`Processing request ${requestId}`);
+      request = await claimRequest(requestId, workerId);
+      if (!request) {
+        request = await claimNextRequest(workerId);
+        if (!request) {
+          return await respondUnclaimable(requestId, res);
+        }
+        console.log(`${requestId} not claimable now - processing ${request.request_id} instead`);
+        requestId = request.request_id;
+      }
+    } else {
+      request = await claimNextRequest(workerId);
+      if (!request) {
+        return res.status(200).json({ success: true, message: 'Queue empty' });
+      }
+      requestId = request.request_id;
+      console.log(`Processing next queued request ${requestId}`);
+    }
 
-    // Get the request
-    const { data: request, error: fetchError } = await supabase
-      .from('llm_requests')
-      .select('*')
-      .eq('request_id', requestId)
-      .single();
+    claimed = true;
+    console.log(`Worker ${workerId} leased ${requestId} (attempt ${request.attempt_count}/${request.max_attempts})`);
+    stopHeartbeat = startHeartbeat(requestId, workerId, () => abortController.abort());
+    stopCancelWatch = watchForCancellation(requestId, () => {
+      console.log(`🛑 Cancel requested for ${requestId} - aborting Claude call`);
+      abortController.abort();
+    });
+
+    // The decrypted key only ever lives in memory for this call (legacy rows
+    // still carry it in request_payload until scripts/encrypt-secrets.js runs)
+    const payload = {
+      ...request.request_payload,
+      userApiKey: decryptSecret(request.encrypted_api_key) || request.request_payload.userApiKey
+    };
 
-    if (fetchError || !request) {
-      throw new Error(`Request not found: ${requestId}`);
+    // Thread-aware assembly: prepend earlier turns when part of a conversation
+    let claudeRequest = payload.claudeRequest;
+    let threadInfo = null;
+    if (payload.conversationId) {
+      ({ claudeRequest, threadInfo } = await buildThreadedRequest(
+        payload.claudeRequest,
+        payload.conversationId,
+        request.api_key_hash,
+        payload.conversationOptions,
+        (transcript, previousSummary) => summarizeConversation(payload, transcript, previousSummary, abortController.signal)
+      ));
+      console.log(`Conversation ${payload.conversationId}: ${threadInfo.turnsIncluded} earlier turns included`);
     }
 
-    // Handle already completed/failed requests
-    if (request.status === 'completed') {
-      return res.status(200).json({ success: true, message: 'Already completed' });
-    }
-    if (request.status === 'failed') {
-      return res.status(200).json({ success: false, message: 'Previously failed' });
-    }
+    // Plain-text documents are inlined - the API only fetches PDF URLs itself
+    claudeRequest = await resolveDocumentSources(claudeRequest);
 
-    // Check for stuck processing (reset after 20 minutes)
-    if (request.status === 'processing') {
-      const processingTime = Date.now() - new Date(request.processing_started_at).getTime();
-      if (processingTime < 1200000) {
-        return res.status(409).json({ error: 'Currently processing' });
-      }
-      console.log(`Resetting stuck request ${requestId}`);
+    // Custom tools of the key that queued the request (current definitions)
+    const customTools = await loadCustomTools(request.api_key_hash, payload.customTools);
+    if (customTools.length > 0) {
+      claudeRequest = {
+        ...claudeRequest,
+        tools: [...(claudeRequest.tools || []), ...toClaudeTools(customTools)]
+      };
     }
 
-    // Mark as processing
-    await supabase
-      .from('llm_requests')
-      .update({
-        status: 'processing',
-        processing_started_at: new Date().toISOString()
-      })
-      .eq('request_id', requestId);
+    // Rate-limit headers adapt this key's concurrency cap for the model
+    const onHeaders = headers => recordRateLimitHeaders(request.api_key_hash, request.model, headers);
 
-    // Call Claude API
+    // Call Claude API (streaming - partial output is saved to the row as it arrives)
     console.log(`Calling Claude API for ${requestId}`);
-    const claudeResponse = await callClaudeAPI(request.request_payload);
+    const progressWriter = createProgressWriter(requestId);
+    const firstResponse = await callClaudeAPI({ ...payload, claudeRequest }, {
+      onProgress: progressWriter.write,
+      onHeaders,
+      signal: abortController.signal
+    });
+    await progressWriter.settle();
     console.log(`Claude completed for ${requestId}`);
 
-    // Minimal processing
-    const processedResponse = processResponseMinimal(claudeResponse, request.request_payload);
+    // Custom tools: call the endpoints and feed the results back until Claude answers
+    let toolLoop = null;
+    let answer = firstResponse;
+    if (customTools.length > 0) {
+      toolLoop = await runToolLoop(
+        claudeRequest,
+        firstResponse,
+        customTools,
+        async loopRequest => {
+          const loopResponse = await callClaudeAPI({ ...payload, claudeRequest: loopRequest }, {
+            onProgress: progressWriter.write,
+            onHeaders,
+            signal: abortController.signal
+          });
+          await progressWriter.settle();
+          return loopResponse;
+        },
+        { requestId, maxIterations: resolveMaxToolIterations(payload.maxToolIterations), signal: abortController.signal }
+      );
+      answer = toolLoop.response;
+    }
+
+    // jsonSchema requests: one bounded repair call if the output doesn't validate
+    const { response: claudeResponse, repairAttempts } = await repairStructuredOutput(
+      claudeRequest,
+      answer,
+      repairRequest => callClaudeAPI({ ...payload, claudeRequest: repairRequest }, { signal: abortController.signal })
+    );
+
+    // The conversation summary call is billed too - price it with the answer
+    const billedResponse = threadInfo?.summaryUsage
+      ? { ...claudeResponse, usage: addUsage(claudeResponse.usage, threadInfo.summaryUsage) }
+      : claudeResponse;
+
+    // Minimal processing, priced at the rates in effect when the request was created
+    const pricing = await getModelPricing(claudeRequest.model, request.created_at);
+    const processedResponse = processResponseMinimal(billedResponse, payload, { pricing, repairAttempts });
+
+    if (threadInfo) {
+      processedResponse.conversation = threadInfo;
+    }
+
+    if (toolLoop) {
+      processedResponse.toolSteps = toolLoop.steps;
+      processedResponse.toolIterations = toolLoop.iterations;
+      processedResponse.toolLimitReached = toolLoop.limitReached;
+    }
 
     // Store completed response
-    const { error: updateError } = await supabase
-      .from('llm_requests')
-      .update({
-        status: 'completed',
-        response_payload: processedResponse,
-        completed_at: new Date().toISOString()
-      })
-      .eq('request_id', requestId);
-
-    if (updateError) {
-      throw new Error(`Database update failed: ${updateError.message}`);
+    const stored = await updateLeasedRow(requestId, workerId, {
+      status: 'completed',
+      response_payload: processedResponse,
+      total_cost_usd: processedResponse.cost?.totalCost ?? null,
+      encrypted_api_key: null, // nothing calls Claude for this row again
+      progress: null,
+      error_category: null,
+      error_message: null,
+      next_attempt_at: null,
+      lease_owner: null,
+      lease_expires_at: null,
+      completed_at: new Date().toISOString()
+    });
+    if (!stored) {
+      return respondLeaseLost(requestId, res);
     }
 
-    // Rate-limited webhook delivery (ONLY if webhook URL provided)
-    if (request.coda_webhook_url && request.coda_api_token) {
+    // Store the new turn + reply back onto the thread - only once the result
+    // is ours, so a run that lost its lease doesn't add a second copy
+    if (threadInfo) {
       try {
-        await sendWebhookWithRateLimitAndRetry(
-          request.coda_webhook_url,
-          {
-            requestId: requestId,
-            status: 'completed'
-          },
-          request.coda_api_token
-        );
-      } catch (webhookError) {
-        console.log(`Webhook error: ${webhookError.message}`);
+        await appendConversationTurns(payload.conversationId, requestId, payload.claudeRequest.messages, claudeResponse);
+      } catch (conversationError) {
+        console.error(`Failed to store conversation turns for ${requestId}:`, conversationError.message);
       }
-    } else {
-      console.log(`No webhook configured for ${requestId}, skipping webhook delivery`);
+    }
+
+    // Webhook delivery via the outbox: Coda webhook + any registered callbacks
+    try {
+      const queued = await enqueueRequestWebhooks(request, { status: 'completed', response: processedResponse });
+      if (queued > 0) {
+        // Send now if the destinations' rate-limit slots are free; otherwise the dispatcher cron will
+        await deliverDueWebhooks();
+      } else {
+        console.log(`No webhook configured for ${requestId}, skipping webhook delivery`);
+      }
+    } catch (webhookError) {
+      console.log(`Webhook error: ${webhookError.message}`);
     }
 
     res.status(200).json({ success: true });
@@ -181,261 +303,286 @@ export default async function handler(req, res) {
   } catch (error) {
     console.error(`Processing error for ${requestId}:`, error);
 
-    await supabase
-      .from('llm_requests')
-      .update({
-        status: 'failed',
-        error_message: error.message,
-        completed_at: new Date().toISOString()
-      })
-      .eq('request_id', requestId);
-
-    res.status(500).json({ error: error.message });
-  }
-}
+    // Only touch rows this worker actually leased
+    if (!claimed) {
+      return res.status(500).json({ error: error.message });
+    }
 
-// Simple recursive function to clean response
-function cleanResponse(obj) {
-  if (obj === null || typeof obj !== 'object') {
-    return obj;
-  }
+    if (error instanceof RequestCancelledError) {
+      return await finishCancelled(request, workerId, error.partial, res);
+    }
 
-  if (Array.isArray(obj)) {
-    return obj.map(item => cleanResponse(item));
-  }
+    const failure = classifyClaudeError(error);
 
-  const cleaned = {};
-  for (const [key, value] of Object.entries(obj)) {
-    // Remove signature and encrypted content fields
-    if (key === 'signature' || key === 'encrypted_content' || key === 'encrypted_index') {
-      continue;
+    if (failure.category === 'rate_limited') {
+      await recordThrottle(request.api_key_hash, request.model);
     }
-    cleaned[key] = cleanResponse(value);
-  }
-
-  return cleaned;
-}
 
-// Extract and format citations from Claude's response
-function extractAndFormatCitations(claudeResponse) {
-  const citationRegistry = new Map();
-  let citationCounter = 1;
+    // Transient errors go back to the queue until attempts are used up
+    if (failure.retryable && request.attempt_count < request.max_attempts) {
+      const delayMs = getRetryDelayMs(error, request.attempt_count);
+      const nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+      console.log(`Retryable ${failure.category} for ${requestId} - attempt ${request.attempt_count + 1}/${request.max_attempts} at ${nextAttemptAt}`);
+
+      const requeued = await updateLeasedRow(requestId, workerId, {
+        status: 'retrying',
+        next_attempt_at: nextAttemptAt,
+        error_category: failure.category,
+        error_message: `${failure.message} - retrying`,
+        error_details: failure.details,
+        lease_owner: null,
+        lease_expires_at: null
+      });
+      if (!requeued) {
+        return respondLeaseLost(requestId, res);
+      }
 
-  // Walk through content blocks and extract citations
-  function collectCitations(obj) {
-    if (obj === null || typeof obj !== 'object') return;
+      return res.status(503).json({
+        error: failure.message,
+        errorCategory: failure.category,
+        retrying: true,
+        nextAttemptAt
+      });
+    }
 
-    if (Array.isArray(obj)) {
-      obj.forEach(collectCitations);
-      return;
+    const errorMessage = failure.retryable
+      ? `${failure.message} (gave up after ${request.attempt_count} attempts)`
+      : failure.message;
+
+    const failed = await updateLeasedRow(requestId, workerId, {
+      status: 'failed',
+      error_category: failure.category,
+      error_message: errorMessage,
+      error_details: failure.details,
+      encrypted_api_key: null, // a replay has to supply the key again
+      next_attempt_at: null,
+      lease_owner: null,
+      lease_expires_at: null,
+      completed_at: new Date().toISOString()
+    });
+    if (!failed) {
+      return respondLeaseLost(requestId, res);
     }
 
-    // Handle text blocks with citations array
-    if (obj.type === 'text' && obj.citations && Array.isArray(obj.citations)) {
-      obj.citations.forEach(citation => {
-        if (citation.url && !citationRegistry.has(citation.url)) {
-          citationRegistry.set(citation.url, {
-            number: citationCounter++,
-            url: citation.url,
-            title: citation.title || 'Unknown Source',
-            cited_text: citation.cited_text || ''
-          });
-        }
+    // Tell Coda (and callbacks) it failed - otherwise the row waits forever for a result
+    try {
+      const queued = await enqueueRequestWebhooks(request, {
+        status: 'failed',
+        errorCategory: failure.category,
+        errorMessage,
+        attempts: request.attempt_count
       });
+      if (queued > 0) {
+        await deliverDueWebhooks();
+      }
+    } catch (webhookError) {
+      console.log(`Failure webhook error: ${webhookError.message}`);
     }
 
-    // Recursively process nested objects
-    Object.values(obj).forEach(collectCitations);
+    res.status(500).json({ error: errorMessage, errorCategory: failure.category });
+  } finally {
+    if (stopHeartbeat) {
+      stopHeartbeat();
+    }
+    if (stopCancelWatch) {
+      stopCancelWatch();
+    }
+    // Our slot is free again - hand it to the next waiting row
+    if (claimed && await hasWaitingRequests()) {
+      await triggerWorkers(`https://${req.headers.host}`, 1);
+    }
   }
-
-  // Collect all citations
-  collectCitations(claudeResponse);
-
-  return citationRegistry;
 }
 
-function addCitationFootnotes(content, citationRegistry) {
-  if (citationRegistry.size === 0) return content;
-
-  // Build footnotes section
-  const citations = Array.from(citationRegistry.values())
-    .sort((a, b) => a.number - b.number);
-
-  let footnotes = '\n\n---\n**Sources:**\n\n';
-  citations.forEach(citation => {
-    footnotes += `[${citation.number}] [${citation.title}](${citation.url})\n`;
+// Record a cancelled run with whatever streamed in before the abort, so the
+// tokens already spent show up in the cost
+async function finishCancelled(request, workerId, partial, res) {
+  const requestId = request.request_id;
+
+  const pricing = await getModelPricing(request.request_payload.claudeRequest?.model, request.created_at);
+  const partialResponse = processResponseMinimal({
+    content: partial?.content || [],
+    usage: partial?.usage || null,
+    stop_reason: 'cancelled'
+  }, request.request_payload, { pricing });
+  partialResponse.cancelled = true;
+  partialResponse.outputTokensEstimated = Boolean(partial?.outputTokensEstimated);
+
+  const now = new Date().toISOString();
+  const cancelled = await updateLeasedRow(requestId, workerId, {
+    status: 'cancelled',
+    response_payload: partialResponse,
+    total_cost_usd: partialResponse.cost?.totalCost ?? null,
+    encrypted_api_key: null,
+    progress: null,
+    next_attempt_at: null,
+    lease_owner: null,
+    lease_expires_at: null,
+    cancelled_at: now,
+    completed_at: now
   });
+  // A lost lease aborts the call too - then the row belongs to another worker
+  if (!cancelled) {
+    return respondLeaseLost(requestId, res);
+  }
 
-  return content + footnotes;
-}
-
-function processContentWithCitations(contentArray, citationRegistry) {
-  return contentArray.map(block => {
-    if (block.type === 'text' && block.citations && Array.isArray(block.citations)) {
-      // Add citation markers to text
-      let text = block.text || '';
-
-      const citationNumbers = block.citations
-        .filter(c => c.url && citationRegistry.has(c.url))
-        .map(c => citationRegistry.get(c.url).number)
-        .sort((a, b) => a - b);
-
-      if (citationNumbers.length > 0) {
-        const markers = citationNumbers.map(n => `[${n}]`).join('');
-        text += ` ${markers}`;
-      }
+  console.log(`🛑 Cancelled ${requestId} (${partialResponse.cost?.outputTokens ?? 0} output tokens so far)`);
 
-      return {
-        type: 'text',
-        text: text
-      };
+  try {
+    const queued = await enqueueRequestWebhooks(request, { status: 'cancelled', response: partialResponse });
+    if (queued > 0) {
+      await deliverDueWebhooks();
     }
+  } catch (webhookError) {
+    console.log(`Cancellation webhook error: ${webhookError.message}`);
+  }
 
-    // Return other blocks unchanged
-    return block;
-  });
+  res.status(200).json({ success: false, cancelled: true, requestId });
 }
 
-// Enhanced minimal response processing with optional citation handling
-function processResponseMinimal(claudeResponse, requestPayload) {
-  // Clean the response (remove signatures, encrypted content)
-  let cleaned = cleanResponse(claudeResponse);
-
-  // Check if web search was used (citations present)
-  const hasWebSearch = requestPayload.claudeRequest?.tools?.some(tool =>
-    tool.type === 'web_search_20250305' || tool.name === 'web_search'
-  );
-
-  // Process citations if web search was used
-  if (hasWebSearch && cleaned.content) {
-    console.log('Web search detected, processing citations...');
-
-    // Extract citation registry
-    const citationRegistry = extractAndFormatCitations(cleaned);
+// Final write for a leased row: only matches while this worker still holds
+// the lease. Returns false when another worker has taken the row over
+async function updateLeasedRow(requestId, workerId, update) {
+  const { data, error } = await supabase
+    .from('llm_requests')
+    .update(update)
+    .eq('request_id', requestId)
+    .eq('lease_owner', workerId)
+    .select('request_id');
+
+  if (error) {
+    throw new Error(`Database update failed: ${error.message}`);
+  }
+  return data.length > 0;
+}
 
-    if (citationRegistry.size > 0) {
-      console.log(`Found ${citationRegistry.size} unique citations`);
+// Our lease expired and the row was claimed again - leave it to the new owner
+function respondLeaseLost(requestId, res) {
+  console.warn(`⚠️ Lease on ${requestId} lost before the result was stored - discarding it`);
+  return res.status(409).json({ error: `Lease on ${requestId} lost - another worker owns the request now`, leaseLost: true });
+}
 
-      // Process content blocks to add citation markers
-      cleaned.content = processContentWithCitations(cleaned.content, citationRegistry);
+// Explain why a specific request couldn't be claimed
+async function respondUnclaimable(requestId, res) {
+  const { data: request } = await supabase
+    .from('llm_requests')
+    .select('status, batch_id, lease_owner, lease_expires_at, attempt_count, max_attempts, next_attempt_at, next_run_at')
+    .eq('request_id', requestId)
+    .maybeSingle();
 
-      // Add footnotes as a SEPARATE final text block instead of modifying existing blocks
-      const footnotes = buildFootnotesBlock(citationRegistry);
-      cleaned.content.push(footnotes);
+  if (!request) {
+    return res.status(404).json({ error: `Request not found: ${requestId}` });
+  }
 
-      // Store citation metadata
-      cleaned._citationInfo = {
-        totalCitations: citationRegistry.size,
-        citationUrls: Array.from(citationRegistry.values()).map(c => c.url)
-      };
-    } else {
-      console.log('No citations found in web search response');
-    }
+  // Handle already completed/failed requests
+  if (request.status === 'completed') {
+    return res.status(200).json({ success: true, message: 'Already completed' });
+  }
+  if (request.status === 'failed') {
+    return res.status(200).json({ success: false, message: 'Previously failed - use /api/replay to requeue it' });
+  }
+  if (request.status === 'cancelled') {
+    return res.status(200).json({ success: false, message: 'Cancelled' });
+  }
+  // Batched requests are run by the Message Batches API, not here
+  if (request.status === 'batched') {
+    return res.status(200).json({ success: true, message: `Processed via batch ${request.batch_id}` });
+  }
+  if (request.status === 'processing') {
+    return res.status(409).json({
+      error: 'Currently processing',
+      leaseOwner: request.lease_owner,
+      leaseExpiresAt: request.lease_expires_at
+    });
   }
 
-  // Handle JSON content extraction if requested
-  if (requestPayload.responseOptions?.jsonContent) {
-    const textContent = cleaned.content?.find(item => item.type === 'text');
-    if (textContent?.text) {
-      const jsonMatch = textContent.text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        try {
-          JSON.parse(jsonMatch[0]);
-          textContent.text = jsonMatch[0];
-          console.log('✅ Extracted clean JSON from mixed content');
-        } catch (e) {
-          console.warn('⚠️ JSON extraction failed, keeping original text:', e.message);
-        }
-      }
-    }
+  // Released by api/scheduler.js when due (lib/scheduling.js)
+  if (request.status === 'scheduled') {
+    return res.status(200).json({ success: true, message: 'Scheduled', nextRunAt: request.next_run_at });
   }
 
-  // Add cost calculation
-  if (requestPayload.modelPricing && claudeResponse.usage) {
-    const { input_tokens, output_tokens } = claudeResponse.usage;
-    const inputCost = (input_tokens / 1000000) * requestPayload.modelPricing.input;
-    const outputCost = (output_tokens / 1000000) * requestPayload.modelPricing.output;
-
-    cleaned.cost = {
-      model: requestPayload.claudeRequest?.model || 'unknown',
-      inputTokens: input_tokens,
-      outputTokens: output_tokens,
-      inputCost: parseFloat(inputCost.toFixed(6)),
-      outputCost: parseFloat(outputCost.toFixed(6)),
-      totalCost: parseFloat((inputCost + outputCost).toFixed(6)),
-      currency: 'USD'
-    };
+  if (request.status === 'queued') {
+    return res.status(202).json({
+      success: true,
+      message: 'Waiting for a concurrency slot - it starts when a running request for this key finishes',
+      queuePosition: await getQueuePosition(requestId)
+    });
   }
 
-  // Add minimal metadata
-  cleaned.requestId = requestPayload.requestId;
-  cleaned.completedAt = new Date().toISOString();
+  if (request.status === 'retrying') {
+    return res.status(409).json({
+      error: 'Waiting to retry',
+      attempt: request.attempt_count,
+      maxAttempts: request.max_attempts,
+      nextAttemptAt: request.next_attempt_at
+    });
+  }
 
-  return cleaned;
+  return res.status(409).json({
+    error: `Request not claimable (status: ${request.status}, attempts: ${request.attempt_count}/${request.max_attempts})`
+  });
 }
 
-function buildFootnotesBlock(citationRegistry) {
-  if (citationRegistry.size === 0) return null;
-
-  const citations = Array.from(citationRegistry.values())
-    .sort((a, b) => a.number - b.number);
+// Condense conversation turns that no longer fit into a rolling summary
+async function summarizeConversation(payload, transcript, previousSummary, signal) {
+  const summaryResponse = await callClaudeAPI({
+    ...payload,
+    claudeRequest: {
+      model: payload.claudeRequest.model,
+      max_tokens: 1024,
+      system: 'You summarize conversations so they can be continued later. Keep facts, decisions, names, numbers and open questions. Reply with the summary only.',
+      messages: [{
+        role: 'user',
+        content: previousSummary
+          ? `Existing summary:\n${previousSummary}\n\nAdditional conversation to fold into the summary:\n${transcript}`
+          : `Conversation to summarize:\n${transcript}`
+      }]
+    }
+  }, { signal });
 
-  let footnotes = '\n\n---\n**Sources:**\n\n';
-  citations.forEach(citation => {
-    footnotes += `[${citation.number}] [${citation.title}](${citation.url})\n`;
-  });
+  const summary = summaryResponse.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
 
-  return {
-    type: 'text',
-    text: footnotes
-  };
+  return { summary, usage: summaryResponse.usage };
 }
 
-async function callClaudeAPI(payload) {
-  const { claudeRequest, userApiKey } = payload;
+// Save streaming snapshots to llm_requests.progress without piling up writes:
+// while one update is in flight, only the newest snapshot is kept for the next one
+function createProgressWriter(requestId) {
+  let inFlight = null;
+  let pending = null;
 
-  if (!claudeRequest) {
-    throw new Error('No claudeRequest found in payload');
-  }
+  async function flush() {
+    while (pending) {
+      const snapshot = pending;
+      pending = null;
 
-  // Only use user's API key (no fallback to system key)
-  if (!userApiKey) {
-    throw new Error('No user API key found in payload. User must authenticate with their Claude API key.');
-  }
+      const { error } = await supabase
+        .from('llm_requests')
+        .update({ progress: { ...snapshot, updatedAt: new Date().toISOString() } })
+        .eq('request_id', requestId);
 
-  // Validate API key format (Claude keys are typically 108 characters starting with sk-ant-api03-)
-  if (!userApiKey.startsWith('sk-ant-')) {
-    throw new Error(`Invalid API key format. Expected Claude API key starting with 'sk-ant-'. If you're seeing this, check your API key or use the claudeApiKeyOverride parameter.`);
-  }
-  
-  // Separate warning for suspicious length
-  if (userApiKey.length < 50) {
-    console.warn(`⚠️ API key seems short (${userApiKey.length} chars). Normal Claude keys are 100+ characters. Possible truncation.`);
+      if (error) {
+        console.warn(`Failed to save progress for ${requestId}: ${error.message}`);
+      }
+    }
+    inFlight = null;
   }
 
-  console.log(`Calling Claude with model: ${claudeRequest.model} (API key length: ${userApiKey.length})`);
-
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': userApiKey,
-      'anthropic-version': '2023-06-01'
+  return {
+    write(snapshot) {
+      pending = snapshot;
+      if (!inFlight) {
+        inFlight = flush();
+      }
     },
-    body: JSON.stringify(claudeRequest),
-    signal: AbortSignal.timeout(660000) // 11 minutes
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Claude API error (${response.status}): ${errorText}`);
-  }
 
-  const responseData = await response.json();
-
-  if (!responseData.content) {
-    throw new Error('Invalid Claude response: missing content field');
-  }
-
-  return responseData;
-}
\ No newline at end of file
+    async settle() {
+      if (inFlight) {
+        await inFlight;
+      }
+    }
+  };
+}
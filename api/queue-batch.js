@@ -0,0 +1,279 @@
+// =================================================================
+// DEV NOTES for api/queue-batch.js
+// =================================================================
+/*
+BULK SUBMISSION VIA MESSAGE BATCHES API:
+
+PROBLEM SOLVED:
+- Docs fire promptAsync from hundreds of rows at once
+- Every row became its own llm_requests row + its own synchronous Claude call
+- Full price for work that doesn't need an answer in seconds
+
+NEW APPROACH:
+- Accept many prompts in one call
+- Store one llm_requests row per prompt (status 'batched') + one llm_batches row
+- Submit everything as a single Anthropic Message Batch (50% discount)
+- batch-monitor.js cron polls the batch and fans results back into the rows
+
+WEBHOOK MODES:
+- per_request: one webhook per row, same {requestId, status} body as promptAsync
+- per_batch: one webhook for the whole batch {batchId, status, requestIds}
+- callbacks (lib/callbacks.js) always fire per request
+
+BUDGETS: the whole batch is checked at once (lib/budgets.js) - every prompt
+counts towards the rate caps, and the estimates (at batch prices) are summed.
+Over a cap -> 429 quota_exceeded and nothing is submitted.
+
+MODELS: each prompt's model goes through the catalog (lib/model-catalog.js)
+like queue-request.js - deprecated models run on their replacement, an
+unknown / retired one rejects the whole batch with a 400.
+
+NOTE: 'batched' rows are skipped by process-queue.js, so the pg_net insert
+trigger can't double-process them.
+*/
+
+import { createClient } from '@supabase/supabase-js';
+import { validateClaudeApiKey } from '../lib/api-keys.js';
+import { validateCallbacks, normalizeCallbacks } from '../lib/callbacks.js';
+import { encryptSecret } from '../lib/secrets.js';
+import { generateRequestId, generateBatchId, generateAccessToken, hashCredential } from '../lib/access.js';
+import { createMessageBatch } from '../lib/message-batches.js';
+import { getModelPricing } from '../lib/pricing.js';
+import { resolveClaudeRequestModel } from '../lib/model-catalog.js';
+import { checkBudgets, sendBudgetWarnings, estimateRequestCost, docKeyFromWebhookUrl, QUOTA_EXCEEDED } from '../lib/budgets.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Keeps payloads under Vercel's request body limit
+const MAX_BATCH_SIZE = 1000;
+
+const WEBHOOK_MODES = ['per_request', 'per_batch'];
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Claude-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const claudeApiKey = req.body?.userApiKey || req.headers['x-claude-api-key'];
+
+    const apiKeyError = validateClaudeApiKey(claudeApiKey);
+    if (apiKeyError) {
+      console.error(`Rejected API key: ${apiKeyError}`);
+      return res.status(400).json({ error: apiKeyError });
+    }
+
+    const {
+      requests,
+      codaWebhookUrl,
+      codaApiToken,
+      webhookMode = 'per_request',
+      callbacks
+    } = req.body;
+
+    if (!Array.isArray(requests) || requests.length === 0) {
+      return res.status(400).json({ error: 'Missing required field: requests (non-empty array)' });
+    }
+
+    if (requests.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        error: `Too many requests in one batch (${requests.length}). Maximum is ${MAX_BATCH_SIZE}.`
+      });
+    }
+
+    if (!WEBHOOK_MODES.includes(webhookMode)) {
+      return res.status(400).json({
+        error: `Invalid webhookMode "${webhookMode}". Expected one of: ${WEBHOOK_MODES.join(', ')}`
+      });
+    }
+
+    // Callbacks apply to every request in the batch, whatever the webhookMode
+    const callbacksError = validateCallbacks(callbacks);
+    if (callbacksError) {
+      return res.status(400).json({ error: callbacksError });
+    }
+    const storedCallbacks = normalizeCallbacks(callbacks);
+
+    // Validate each item; request IDs are always generated here (lib/access.js)
+    // and fit the Message Batches custom_id format
+    const items = [];
+    for (let i = 0; i < requests.length; i++) {
+      const item = requests[i];
+      if (!item?.claudeRequest) {
+        return res.status(400).json({ error: `requests[${i}] is missing claudeRequest` });
+      }
+
+      const resolvedModel = await resolveClaudeRequestModel(item.claudeRequest);
+      if (resolvedModel.error) {
+        return res.status(400).json({ error: `requests[${i}]: ${resolvedModel.error}` });
+      }
+
+      items.push({
+        ...item,
+        claudeRequest: resolvedModel.claudeRequest,
+        requestedModel: resolvedModel.requestedModel,
+        requestId: generateRequestId()
+      });
+    }
+
+    // Batches run at 50% of standard prices
+    const apiKeyHash = hashCredential(claudeApiKey);
+    const docKey = docKeyFromWebhookUrl(codaWebhookUrl);
+    for (const item of items) {
+      const pricing = await getModelPricing(item.claudeRequest.model);
+      item.estimatedCostUsd = estimateRequestCost(item.claudeRequest, pricing) * 0.5;
+    }
+    const budgetCheck = await checkBudgets({
+      apiKeyHash,
+      docKey,
+      estimatedCostUsd: items.reduce((sum, item) => sum + item.estimatedCostUsd, 0),
+      requestCount: items.length
+    });
+    if (budgetCheck.exceeded) {
+      const { message, ...quota } = budgetCheck.exceeded;
+      console.warn(`🚫 Rejected batch of ${items.length}: ${message}`);
+      return res.status(429).json({ error: message, errorCategory: QUOTA_EXCEEDED, quota });
+    }
+
+    const batchId = generateBatchId();
+    // One token for the whole batch - reads any of its requests
+    const accessToken = generateAccessToken();
+    const accessTokenHash = hashCredential(accessToken);
+    const perRequestWebhooks = webhookMode === 'per_request';
+
+    console.log(`Queueing batch ${batchId} with ${items.length} requests (${webhookMode} webhooks)`);
+
+    // Store the batch first so request rows can reference it
+    const { error: batchError } = await supabase
+      .from('llm_batches')
+      .insert({
+        batch_id: batchId,
+        status: 'submitting',
+        webhook_mode: webhookMode,
+        coda_webhook_url: codaWebhookUrl || null,
+        coda_api_token: encryptSecret(codaApiToken),
+        user_api_key: encryptSecret(claudeApiKey),
+        request_count: items.length
+      });
+
+    if (batchError) {
+      console.error('Database error:', batchError);
+      throw batchError;
+    }
+
+    // One row per prompt - same payload shape as queue-request.js (no secrets:
+    // the batch row holds the encrypted key, Anthropic runs the prompts)
+    const rows = items.map(item => ({
+      request_id: item.requestId,
+      batch_id: batchId,
+      request_payload: {
+        requestId: item.requestId,
+        batchId,
+        claudeRequest: item.claudeRequest,
+        requestedModel: item.requestedModel || undefined,
+        responseOptions: item.responseOptions,
+        codaWebhookUrl: perRequestWebhooks ? codaWebhookUrl : undefined
+      },
+      coda_webhook_url: perRequestWebhooks ? (codaWebhookUrl || null) : null,
+      coda_doc_key: docKey,
+      estimated_cost_usd: item.estimatedCostUsd,
+      coda_api_token: perRequestWebhooks ? encryptSecret(codaApiToken) : null,
+      callbacks: storedCallbacks,
+      api_key_hash: apiKeyHash,
+      access_token_hash: accessTokenHash,
+      status: 'batched'
+    }));
+
+    const { error: insertError } = await supabase
+      .from('llm_requests')
+      .insert(rows);
+
+    if (insertError) {
+      console.error('Database error:', insertError);
+      await supabase
+        .from('llm_batches')
+        .update({ status: 'failed', error_message: insertError.message })
+        .eq('batch_id', batchId);
+      throw insertError;
+    }
+
+    // Submit to Anthropic - if this fails, nothing will ever process these rows
+    let anthropicBatch;
+    try {
+      anthropicBatch = await createMessageBatch(claudeApiKey, items);
+    } catch (submitError) {
+      console.error(`Batch submission failed for ${batchId}:`, submitError.message);
+
+      const failedAt = new Date().toISOString();
+      await supabase
+        .from('llm_requests')
+        .update({ status: 'failed', error_message: submitError.message, completed_at: failedAt })
+        .eq('batch_id', batchId);
+      await supabase
+        .from('llm_batches')
+        .update({ status: 'failed', error_message: submitError.message, ended_at: failedAt, user_api_key: null, coda_api_token: null })
+        .eq('batch_id', batchId);
+
+      return res.status(502).json({
+        error: 'Failed to submit batch to Claude',
+        details: submitError.message,
+        batchId
+      });
+    }
+
+    await supabase
+      .from('llm_batches')
+      .update({
+        status: 'in_progress',
+        anthropic_batch_id: anthropicBatch.id,
+        submitted_at: new Date().toISOString(),
+        expires_at: anthropicBatch.expires_at || null
+      })
+      .eq('batch_id', batchId);
+
+    console.log(`✅ Batch ${batchId} submitted as ${anthropicBatch.id}`);
+
+    if (budgetCheck.warnings.length > 0) {
+      try {
+        await sendBudgetWarnings(budgetCheck.warnings, {
+          codaWebhookUrl,
+          codaApiToken: encryptSecret(codaApiToken)
+        });
+      } catch (warningError) {
+        console.log(`Budget warning error: ${warningError.message}`);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      batchId,
+      anthropicBatchId: anthropicBatch.id,
+      requestIds: items.map(item => item.requestId),
+      accessToken, // only shown once - send as X-Request-Token to read results
+      status: 'batched',
+      note: codaWebhookUrl
+        ? `Results will be delivered via ${perRequestWebhooks ? 'one webhook per request' : 'one webhook for the batch'} when the batch ends`
+        : 'Use checkRequest(requestId) to poll for results'
+    });
+
+  } catch (error) {
+    console.error('Batch queue error:', error);
+    res.status(500).json({
+      error: 'Failed to queue batch',
+      details: error.message
+    });
+  }
+}
@@ -29,6 +29,7 @@ Even if auto-processing fails, requests remain queued for manual triggering.
 
 NEW ARCHITECTURE BENEFIT:
 - Pack sends modelPricing field automatically for every request
+- (Since model_pricing / lib/pricing.js: modelPricing is ignored, costs are priced server-side)
 - Cost calculation always happens downstream in process-queue.js
 - Every webhook includes cost information
 
@@ -65,6 +66,56 @@ FLOW:
 3. Return success to Pack immediately
 4. Processing happens in background
 5. Webhook delivers result when ready
+
+BUDGETS (lib/budgets.js):
+- Before storing: spend budgets / rate caps for the API key and the Coda doc
+  are checked against recorded costs + this request's estimated cost
+- Over a cap -> 429 { error, errorCategory: 'quota_exceeded', quota }
+- The estimate is stored in estimated_cost_usd until the real cost is known
+
+DOCUMENTS (lib/documents.js):
+- Document URL sources must be public https URLs -> 400 otherwise
+- Requests with URL documents bypass the result cache: the hash covers the
+  URL, not what it serves when the request runs
+
+CONVERSATIONS (lib/conversations.js):
+- A conversationId already used by a different API key -> 403; threads are
+  only ever continued (and read) by the key that opened them
+
+CUSTOM TOOLS (lib/custom-tools.js):
+- customTools: names of tools registered with /api/tools for this key -
+  unknown or disabled ones are rejected here (400), not when the request runs
+- maxToolIterations is clamped and stored for process-queue.js
+
+RESULT CACHE (lib/result-cache.js):
+- idempotencyKey: a repeat within cacheTtlSeconds returns the existing request
+- cache 'use' | 'refresh' | 'off' (default 'off'; the Pack sends 'use'):
+  identical requests are answered from the last completed one - a new row is
+  stored as completed with cacheHit: true and cost 0, and its webhooks fire
+  as usual (the pg_net trigger's process-queue call finds it already done)
+- Hits skip the budget check - they cost nothing
+
+PROMPT TEMPLATES (lib/prompt-templates.js):
+- template: { id, version?, variables, model?, includeWrapper? } instead of
+  a claudeRequest - rendered here from the key's stored template (latest
+  version unless one is named); template_id + template_version are recorded
+- 400 for unknown templates / versions and missing or unknown variables
+
+MODEL CATALOG (lib/model-catalog.js):
+- claudeRequest.model is resolved before anything else looks at it: aliases
+  map to the dated id, deprecated models to their replacement. The stored
+  payload keeps requestedModel; unknown / retired models get a 400
+
+SCHEDULING (lib/scheduling.js):
+- runAt (future) and/or recurrence ('daily', 'every 6 hours'...) store the
+  row as 'scheduled' - api/scheduler.js releases it when due. Recurring rows
+  are templates: each run is a child request with its own result + webhooks
+- recurrenceUntil / maxRuns end a schedule; scheduled requests skip the
+  result cache, and recurring ones are budget-checked per run instead
+
+PRIORITY (lib/concurrency.js):
+- priority 'low' | 'normal' (default) | 'high' - stored as 0/1/2; workers
+  claim high first, within the per-key / per-model concurrency caps
 */
 
 // =================================================================
@@ -72,6 +123,24 @@ FLOW:
 // =================================================================
 
 import { createClient } from '@supabase/supabase-js';
+import { validateClaudeApiKey } from '../lib/api-keys.js';
+import { validateCallbacks, normalizeCallbacks } from '../lib/callbacks.js';
+import { encryptSecret } from '../lib/secrets.js';
+import { generateRequestId, generateAccessToken, hashCredential } from '../lib/access.js';
+import { resolveMaxAttempts } from '../lib/dispatcher.js';
+import { getModelPricing } from '../lib/pricing.js';
+import { validateToolNames, loadCustomTools, resolveMaxToolIterations } from '../lib/custom-tools.js';
+import { getOutputSchema } from '../lib/structured-output.js';
+import { validateDocumentSources, hasUrlDocuments } from '../lib/documents.js';
+import { validatePriority, resolvePriority } from '../lib/concurrency.js';
+import { resolveSchedule } from '../lib/scheduling.js';
+import { loadTemplate, renderTemplate } from '../lib/prompt-templates.js';
+import { resolveClaudeRequestModel } from '../lib/model-catalog.js';
+import { canUseConversation } from '../lib/conversations.js';
+import { validateCacheOptions, resolveCacheTtlSeconds, hashClaudeRequest, findIdempotentRequest, findCachedRequest, toCachedResponse } from '../lib/result-cache.js';
+import { enqueueRequestWebhooks } from '../lib/callbacks.js';
+import { deliverDueWebhooks } from '../lib/webhook-outbox.js';
+import { checkBudgets, sendBudgetWarnings, estimateRequestCost, docKeyFromWebhookUrl, QUOTA_EXCEEDED } from '../lib/budgets.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -99,52 +168,219 @@ export default async function handler(req, res) {
     // Second priority: headers (for direct API calls)
     let claudeApiKey = req.body?.userApiKey || req.headers['x-claude-api-key'];
     
-    // Validate API key presence
-    if (!claudeApiKey) {
-      console.error('Missing Claude API key in request body or headers');
-      return res.status(400).json({
-        error: 'Missing Claude API key. Please reconnect your Pack authentication and ensure your API key is configured.'
-      });
+    // Validate API key presence and format
+    const apiKeyError = validateClaudeApiKey(claudeApiKey);
+    if (apiKeyError) {
+      console.error(`Rejected API key: ${apiKeyError}`);
+      return res.status(400).json({ error: apiKeyError });
     }
 
-    // Validate API key format (Claude keys start with sk-ant- and are ~108 chars)
-    if (!claudeApiKey.startsWith('sk-ant-')) {
-      console.error(`Invalid API key format: ${claudeApiKey.substring(0, 10)}...`);
-      return res.status(400).json({
-        error: 'Invalid Claude API key format. Keys should start with "sk-ant-". Please reconnect with a valid key.'
-      });
+    console.log(`✅ Valid API key received (length: ${claudeApiKey.length})`);
+
+    const { codaWebhookUrl, codaApiToken, conversationId, maxAttempts, callbacks, customTools, idempotencyKey } = req.body;
+
+    // Ids are minted here (lib/access.js) - client-supplied ids are ignored so
+    // nobody can pick a guessable one
+    const requestId = generateRequestId();
+    const accessToken = generateAccessToken();
+
+    // Extra webhook targets besides Coda (Slack, our own services...)
+    const callbacksError = validateCallbacks(callbacks);
+    if (callbacksError) {
+      return res.status(400).json({ error: callbacksError });
     }
 
-    if (claudeApiKey.length < 50) {
-      console.error(`API key too short: ${claudeApiKey.length} characters`);
-      return res.status(400).json({
-        error: `API key appears truncated (${claudeApiKey.length} chars). Expected ~108 characters. Please reconnect your Pack authentication.`
-      });
+    const apiKeyHash = hashCredential(claudeApiKey);
+
+    // Threads belong to the key that opened them (lib/conversations.js)
+    if (conversationId && !(await canUseConversation(conversationId, apiKeyHash))) {
+      return res.status(403).json({ error: `conversationId ${conversationId} belongs to a different API key - pick a new one` });
     }
 
-    console.log(`✅ Valid API key received (length: ${claudeApiKey.length})`);
+    // Stored template -> claudeRequest (lib/prompt-templates.js). Everything
+    // below (cache hash, estimates, stored payload) sees the rendered request
+    let templateUsed = null;
+    if (req.body.template) {
+      if (req.body.claudeRequest) {
+        return res.status(400).json({ error: 'Send either template or claudeRequest, not both' });
+      }
+      const { id: templateId, version, variables, model, includeWrapper } = req.body.template;
+      if (!templateId) {
+        return res.status(400).json({ error: 'template.id is required' });
+      }
 
-    const { requestId, codaWebhookUrl, codaApiToken } = req.body;
+      const template = await loadTemplate(apiKeyHash, templateId, version ? parseInt(version, 10) : null);
+      if (!template) {
+        return res.status(400).json({ error: `Template not found: ${templateId}${version ? ` v${version}` : ''} - save it with /api/templates` });
+      }
 
-    // Validate requestId
-    if (!requestId) {
-      return res.status(400).json({
-        error: 'Missing required field: requestId'
-      });
+      const rendered = renderTemplate(template, { variables, model, includeWrapper });
+      if (rendered.error) {
+        return res.status(400).json({ error: rendered.error });
+      }
+
+      req.body = { ...req.body, claudeRequest: rendered.claudeRequest, responseOptions: rendered.responseOptions };
+      templateUsed = { id: template.template_id, version: template.version };
+      console.log(`📝 Rendered template ${templateUsed.id} v${templateUsed.version}`);
+    }
+
+    // Aliases / deprecated models -> the model that will actually run
+    // (lib/model-catalog.js) - cache hash, pricing and the payload use it
+    const resolvedModel = await resolveClaudeRequestModel(req.body.claudeRequest);
+    if (resolvedModel.error) {
+      return res.status(400).json({ error: resolvedModel.error });
+    }
+    req.body = { ...req.body, claudeRequest: resolvedModel.claudeRequest };
+    delete req.body.requestedModel; // only ever set from the catalog
+    if (resolvedModel.requestedModel) {
+      req.body.requestedModel = resolvedModel.requestedModel;
+    }
+
+    // Custom tools must be registered for this key (lib/custom-tools.js)
+    const toolNamesError = validateToolNames(customTools);
+    if (toolNamesError) {
+      return res.status(400).json({ error: toolNamesError });
+    }
+    if (customTools?.length > 0) {
+      if (getOutputSchema(req.body.claudeRequest)) {
+        return res.status(400).json({ error: 'customTools cannot be combined with jsonSchema structured output' });
+      }
+      try {
+        await loadCustomTools(apiKeyHash, customTools);
+      } catch (toolsError) {
+        return res.status(400).json({ error: toolsError.message });
+      }
+    }
+
+    // Document URLs (documentUrls) must be public https - refused here rather
+    // than when the worker runs (lib/documents.js)
+    const documentsError = validateDocumentSources(req.body.claudeRequest);
+    if (documentsError) {
+      return res.status(400).json({ error: documentsError });
     }
 
-    console.log(`Queueing request ${requestId}${codaWebhookUrl ? ' with webhook' : ' (no webhook)'}`);
+    const priorityError = validatePriority(req.body.priority);
+    if (priorityError) {
+      return res.status(400).json({ error: priorityError });
+    }
+
+    // Deferred / recurring runs (lib/scheduling.js) - null runs right away
+    const { schedule, error: scheduleError } = resolveSchedule(req.body);
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
+    // Idempotent resubmission + result cache (lib/result-cache.js)
+    const cacheOptionsError = validateCacheOptions(req.body);
+    if (cacheOptionsError) {
+      return res.status(400).json({ error: cacheOptionsError });
+    }
+    const cacheMode = conversationId || customTools?.length > 0 || schedule || hasUrlDocuments(req.body.claudeRequest)
+      ? 'off'
+      : (req.body.cache || 'off');
+    const cacheTtlSeconds = resolveCacheTtlSeconds(req.body.cacheTtlSeconds);
+    const requestHash = cacheMode === 'off' ? null : hashClaudeRequest(req.body.claudeRequest, req.body.responseOptions);
+    const docKey = docKeyFromWebhookUrl(codaWebhookUrl);
+
+    if (idempotencyKey) {
+      const existing = await findIdempotentRequest(apiKeyHash, idempotencyKey, cacheTtlSeconds);
+      if (existing) {
+        console.log(`♻️ Idempotency key matched ${existing.request_id} (${existing.status})`);
+        return res.status(200).json(cacheHitResponse(existing));
+      }
+    }
+
+    if (cacheMode === 'use') {
+      const cached = await findCachedRequest(apiKeyHash, requestHash, cacheTtlSeconds);
+      if (cached && cached.status !== 'completed') {
+        console.log(`♻️ Identical request ${cached.request_id} still ${cached.status} - returning it`);
+        return res.status(200).json(cacheHitResponse(cached));
+      }
+      if (cached) {
+        const storedCopy = await storeCachedCopy({
+          requestId,
+          accessToken,
+          source: cached,
+          body: req.body,
+          apiKeyHash,
+          docKey,
+          requestHash,
+          templateUsed
+        });
+        console.log(`♻️ Request ${requestId} answered from cache (${storedCopy.response_payload.cachedFromRequestId})`);
+
+        try {
+          const queued = await enqueueRequestWebhooks(storedCopy, { status: 'completed', response: storedCopy.response_payload });
+          if (queued > 0) {
+            await deliverDueWebhooks();
+          }
+        } catch (webhookError) {
+          console.log(`Webhook error: ${webhookError.message}`);
+        }
+
+        return res.status(200).json({
+          success: true,
+          requestId,
+          accessToken,
+          status: 'completed',
+          cacheHit: true,
+          cachedFromRequestId: storedCopy.response_payload.cachedFromRequestId,
+          incrementalCostUsd: 0,
+          message: 'Identical request already completed - cached response returned at no cost'
+        });
+      }
+    }
+
+    // Spend budgets + rate caps for this key and doc (lib/budgets.js)
+    const pricing = await getModelPricing(req.body.claudeRequest?.model);
+    // Recurring templates never run themselves - each run is estimated when it starts
+    const estimatedCostUsd = schedule?.recurrence ? 0 : estimateRequestCost(req.body.claudeRequest, pricing);
+    const budgetCheck = await checkBudgets({ apiKeyHash, docKey, estimatedCostUsd });
+    if (budgetCheck.exceeded) {
+      const { message, ...quota } = budgetCheck.exceeded;
+      console.warn(`🚫 Rejected request: ${message}`);
+      return res.status(429).json({ error: message, errorCategory: QUOTA_EXCEEDED, quota });
+    }
+
+    console.log(`Queueing request ${requestId}${codaWebhookUrl ? ' with webhook' : ' (no webhook)'}${callbacks?.length ? ` + ${callbacks.length} callbacks` : ''}`);
+
+    // Store the request payload minus its secrets - those go into their own
+    // columns encrypted (lib/secrets.js) and are wiped once the request is done
+    const storedPayload = { ...req.body, requestId };
+    delete storedPayload.userApiKey;
+    delete storedPayload.codaApiToken;
+    delete storedPayload.callbacks; // kept in the callbacks column
+    delete storedPayload.modelPricing; // costs come from model_pricing (lib/pricing.js)
+    if (customTools?.length > 0) {
+      storedPayload.maxToolIterations = resolveMaxToolIterations(req.body.maxToolIterations);
+    }
 
-    // Store the complete request payload in Supabase
-    // The userApiKey is already in the payload from the Pack
     const { error } = await supabase
       .from('llm_requests')
       .insert({
         request_id: requestId,
-        request_payload: req.body,  // Store entire payload as-is (includes userApiKey)
+        request_payload: storedPayload,
+        encrypted_api_key: encryptSecret(claudeApiKey),
+        api_key_hash: apiKeyHash,
+        access_token_hash: hashCredential(accessToken),
         coda_webhook_url: codaWebhookUrl || null,
-        coda_api_token: codaApiToken || null,
-        status: 'queued'
+        coda_doc_key: docKey,
+        estimated_cost_usd: estimatedCostUsd,
+        coda_api_token: encryptSecret(codaApiToken),
+        conversation_id: conversationId || null,
+        callbacks: normalizeCallbacks(callbacks),
+        max_attempts: resolveMaxAttempts(maxAttempts),
+        idempotency_key: idempotencyKey || null,
+        request_hash: requestHash,
+        priority: resolvePriority(req.body.priority),
+        template_id: templateUsed?.id || null,
+        template_version: templateUsed?.version || null,
+        run_at: schedule?.runAt || null,
+        recurrence: schedule?.recurrence || null,
+        recurrence_until: schedule?.recurrenceUntil || null,
+        recurrence_max_runs: schedule?.maxRuns || null,
+        next_run_at: schedule?.nextRunAt || null,
+        status: schedule ? 'scheduled' : 'queued'
       });
 
     if (error) {
@@ -152,15 +388,56 @@ export default async function handler(req, res) {
       throw error;
     }
 
-    console.log(`✅ Request ${requestId} queued successfully`);
+    console.log(schedule
+      ? `⏰ Request ${requestId} scheduled for ${schedule.nextRunAt}${schedule.recurrence ? ` (${schedule.recurrence})` : ''}`
+      : `✅ Request ${requestId} queued successfully`);
+
+    // 80% warnings only once the request is accepted
+    if (budgetCheck.warnings.length > 0) {
+      try {
+        await sendBudgetWarnings(budgetCheck.warnings, {
+          codaWebhookUrl,
+          codaApiToken: encryptSecret(codaApiToken)
+        });
+      } catch (warningError) {
+        console.log(`Budget warning error: ${warningError.message}`);
+      }
+    }
+
+    if (schedule) {
+      return res.status(200).json({
+        success: true,
+        requestId,
+        accessToken, // also reads every run of a recurring request
+        status: 'scheduled',
+        model: req.body.claudeRequest.model,
+        requestedModel: resolvedModel.requestedModel,
+        nextRunAt: schedule.nextRunAt,
+        recurrence: schedule.recurrence,
+        template: templateUsed,
+        priority: req.body.priority || 'normal',
+        cacheHit: false,
+        message: schedule.recurrence
+          ? 'Recurring request scheduled - each run is its own request (see runs in request-status)'
+          : 'Request scheduled - it is queued when runAt passes',
+        note: 'cancelRequest(requestId) stops the schedule'
+      });
+    }
 
     // Return immediately - processing happens in background via pg_net trigger
+    // (queue-sweeper.js dispatches anything the trigger misses)
     res.status(200).json({
       success: true,
       requestId,
+      accessToken, // only shown once - send as X-Request-Token to read the result
       message: 'Request queued and processing started in background',
       status: 'queued',
-      note: codaWebhookUrl 
+      model: req.body.claudeRequest.model,
+      requestedModel: resolvedModel.requestedModel,
+      priority: req.body.priority || 'normal',
+      template: templateUsed,
+      cacheHit: false,
+      note: codaWebhookUrl || callbacks?.length
         ? 'Response will be delivered via webhook when processing completes'
         : 'Use checkRequest(requestId) to poll for results'
     });
@@ -172,4 +449,65 @@ export default async function handler(req, res) {
       details: error.message
     });
   }
-}
\ No newline at end of file
+}
+
+// An earlier request answers this one - its access token was only shown
+// once, so it is read with the same x-api-key
+function cacheHitResponse(existing) {
+  return {
+    success: true,
+    requestId: existing.request_id,
+    accessToken: null,
+    status: existing.status,
+    cacheHit: true,
+    cachedFromRequestId: existing.cached_from_request_id || null,
+    incrementalCostUsd: 0,
+    message: 'Duplicate submission - returning the existing request',
+    note: 'Read it with the x-api-key that queued it'
+  };
+}
+
+// Store the cache hit as its own completed request (its own webhooks and
+// access token); returns the stored row
+async function storeCachedCopy({ requestId, accessToken, source, body, apiKeyHash, docKey, requestHash, templateUsed }) {
+  const storedPayload = { ...body, requestId };
+  delete storedPayload.userApiKey;
+  delete storedPayload.codaApiToken;
+  delete storedPayload.callbacks;
+  delete storedPayload.modelPricing;
+
+  const now = new Date().toISOString();
+  const responsePayload = toCachedResponse(source, requestId);
+
+  const { data: row, error } = await supabase
+    .from('llm_requests')
+    .insert({
+      request_id: requestId,
+      request_payload: storedPayload,
+      api_key_hash: apiKeyHash,
+      access_token_hash: hashCredential(accessToken),
+      coda_webhook_url: body.codaWebhookUrl || null,
+      coda_doc_key: docKey,
+      coda_api_token: encryptSecret(body.codaApiToken),
+      callbacks: normalizeCallbacks(body.callbacks),
+      idempotency_key: body.idempotencyKey || null,
+      request_hash: requestHash,
+      cached_from_request_id: responsePayload.cachedFromRequestId,
+      template_id: templateUsed?.id || null,
+      template_version: templateUsed?.version || null,
+      response_payload: responsePayload,
+      estimated_cost_usd: 0,
+      total_cost_usd: 0,
+      status: 'completed',
+      processing_started_at: now,
+      completed_at: now
+    })
+    .select('request_id, batch_id, coda_webhook_url, coda_api_token, callbacks, response_payload')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to store cached response: ${error.message}`);
+  }
+
+  return row;
+}
@@ -0,0 +1,174 @@
+// =================================================================
+// DEV NOTES for api/queue-sweeper.js
+// =================================================================
+/*
+CRON SAFETY NET FOR THE QUEUE (runs every minute):
+
+1. Expired leases: workers that crashed or hit the function time limit stop
+   heartbeating - their rows go back to 'queued' (or 'failed' once
+   max_attempts is used up - those get a failure webhook). Rows whose
+   worker died after a cancel was requested become 'cancelled' instead.
+2. Orphaned queued rows: if the pg_net insert trigger never reached
+   process-queue, rows would sit in 'queued' forever. Anything queued for
+   longer than ORPHAN_AGE_MS gets workers dispatched for it.
+3. Due retries: 'retrying' rows whose next_attempt_at has passed.
+
+Dispatch is fire-and-forget: each POST {} to process-queue claims the next
+queued row, so we never have to pick rows here (and can't double-claim).
+Rows held back by their key's concurrency cap count as orphaned too - the
+workers sent for them just find nothing claimable (lib/concurrency.js).
+*/
+
+import { createClient } from '@supabase/supabase-js';
+import { requeueExpiredLeases, triggerWorkers } from '../lib/dispatcher.js';
+import { deliverDueWebhooks } from '../lib/webhook-outbox.js';
+import { enqueueRequestWebhooks } from '../lib/callbacks.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Vercel function configuration
+export const config = {
+  maxDuration: 60,
+};
+
+// Give the pg_net trigger a chance before we step in
+const ORPHAN_AGE_MS = 60000;
+
+// Don't flood the Claude API from one sweep - the next sweep picks up the rest
+const MAX_DISPATCH_PER_SWEEP = 10;
+
+export default async function handler(req, res) {
+  console.log(`Queue sweeper triggered at ${new Date().toISOString()}`);
+
+  try {
+    const { requeued, failed, failedRequestIds, cancelledRequestIds } = await requeueExpiredLeases();
+    if (requeued || failed || cancelledRequestIds.length) {
+      console.log(`Expired leases: ${requeued} requeued, ${failed} failed (attempts exhausted), ${cancelledRequestIds.length} cancelled`);
+    }
+
+    const failureWebhooks = await notifyFailedRequests(failedRequestIds);
+    const cancellationWebhooks = await notifyCancelledRequests(cancelledRequestIds);
+
+    const orphanCutoff = new Date(Date.now() - ORPHAN_AGE_MS).toISOString();
+    const { count: orphaned, error: countError } = await supabase
+      .from('llm_requests')
+      .select('request_id', { count: 'exact', head: true })
+      .eq('status', 'queued')
+      .lt('created_at', orphanCutoff);
+
+    if (countError) {
+      throw new Error(`Query failed: ${countError.message}`);
+    }
+
+    // Retries whose backoff has elapsed (see lib/claude-errors.js)
+    const { count: dueRetries, error: retryCountError } = await supabase
+      .from('llm_requests')
+      .select('request_id', { count: 'exact', head: true })
+      .eq('status', 'retrying')
+      .lte('next_attempt_at', new Date().toISOString());
+
+    if (retryCountError) {
+      throw new Error(`Query failed: ${retryCountError.message}`);
+    }
+
+    // Requeued rows are also waiting for a worker
+    const waiting = (orphaned || 0) + (dueRetries || 0) + requeued;
+    const toDispatch = Math.min(waiting, MAX_DISPATCH_PER_SWEEP);
+    if (toDispatch > 0) {
+      console.log(`Dispatching ${toDispatch} workers for ${orphaned} orphaned + ${dueRetries} due retries + ${requeued} requeued requests`);
+      await triggerWorkers(`https://${req.headers.host}`, toDispatch);
+    }
+
+    res.json({
+      requeued,
+      failed,
+      cancelled: cancelledRequestIds.length,
+      orphaned: orphaned || 0,
+      dueRetries: dueRetries || 0,
+      dispatched: toDispatch,
+      failureWebhooks,
+      cancellationWebhooks,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Sweeper error:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Rows failed by the lease sweep never went through process-queue's catch
+// block, so their failure webhooks are sent from here
+async function notifyFailedRequests(requestIds) {
+  if (requestIds.length === 0) {
+    return 0;
+  }
+
+  const { data: rows, error } = await supabase
+    .from('llm_requests')
+    .select('request_id, parent_request_id, batch_id, coda_webhook_url, coda_api_token, callbacks, error_category, error_message, attempt_count')
+    .in('request_id', requestIds);
+
+  if (error) {
+    console.error(`Failed to load failed requests for webhooks: ${error.message}`);
+    return 0;
+  }
+
+  let queued = 0;
+  for (const row of rows) {
+    try {
+      queued += await enqueueRequestWebhooks(row, {
+        status: 'failed',
+        errorCategory: row.error_category,
+        errorMessage: row.error_message,
+        attempts: row.attempt_count
+      });
+    } catch (webhookError) {
+      console.log(`Failure webhook error for ${row.request_id}: ${webhookError.message}`);
+    }
+  }
+
+  if (queued > 0) {
+    await deliverDueWebhooks();
+  }
+
+  return queued;
+}
+
+// Same for rows the lease sweep cancelled (no partial response survives a dead worker)
+async function notifyCancelledRequests(requestIds) {
+  if (requestIds.length === 0) {
+    return 0;
+  }
+
+  const { data: rows, error } = await supabase
+    .from('llm_requests')
+    .select('request_id, parent_request_id, batch_id, coda_webhook_url, coda_api_token, callbacks')
+    .in('request_id', requestIds);
+
+  if (error) {
+    console.error(`Failed to load cancelled requests for webhooks: ${error.message}`);
+    return 0;
+  }
+
+  let queued = 0;
+  for (const row of rows) {
+    try {
+      queued += await enqueueRequestWebhooks(row, { status: 'cancelled', response: null });
+    } catch (webhookError) {
+      console.log(`Cancellation webhook error for ${row.request_id}: ${webhookError.message}`);
+    }
+  }
+
+  if (queued > 0) {
+    await deliverDueWebhooks();
+  }
+
+  return queued;
+}
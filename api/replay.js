@@ -0,0 +1,165 @@
+// =================================================================
+// DEV NOTES for api/replay.js
+// =================================================================
+/*
+MANUAL REPLAY FOR FAILED REQUESTS (dead-letter queue):
+
+POST { requestId, model?, userApiKey?, codaApiToken? }
+
+- Only 'failed' rows can be replayed (see the dead_letter_requests view)
+- The same row is reset to 'queued' with its original request_payload, so
+  the Coda requestId, webhook and conversation stay the same
+- model overrides claudeRequest.model (e.g. after not_found / overloaded);
+  the cost then uses that model's rates from model_pricing (lib/pricing.js)
+- The model (override or original) is resolved through the catalog again
+  (lib/model-catalog.js): a model deprecated since the first run replays on
+  its replacement; a retired one without a replacement is a 400
+- userApiKey (or X-Claude-API-Key) is required: failed rows have their key
+  wiped (lib/secrets.js), and a new key is also the fix for auth failures
+- Only the owner can replay: the key must match the one that submitted the
+  request, or X-Request-Token must carry its access token (lib/access.js)
+- codaApiToken restores the Coda webhook if the row's token was already
+  scrubbed (~30 minutes after failing)
+- attempt_count starts from zero again; replay_count records the replays
+
+The pg_net trigger only fires on insert, so we dispatch a worker for the
+row ourselves (queue-sweeper.js picks it up if that call is lost).
+*/
+
+import { createClient } from '@supabase/supabase-js';
+import { validateClaudeApiKey } from '../lib/api-keys.js';
+import { encryptSecret } from '../lib/secrets.js';
+import { triggerRequest } from '../lib/dispatcher.js';
+import { resolveClaudeRequestModel } from '../lib/model-catalog.js';
+import { getRequestCredentials, canAccessRequest, hashCredential } from '../lib/access.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Claude-API-Key, X-Request-Token');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { requestId, model, codaApiToken } = req.body || {};
+    const claudeApiKey = req.body?.userApiKey || req.headers['x-claude-api-key'];
+
+    if (!requestId) {
+      return res.status(400).json({ error: 'Missing required field: requestId' });
+    }
+
+    const apiKeyError = validateClaudeApiKey(claudeApiKey);
+    if (apiKeyError) {
+      return res.status(400).json({ error: apiKeyError });
+    }
+
+    const { data: request, error: fetchError } = await supabase
+      .from('llm_requests')
+      .select('request_id, access_token_hash, api_key_hash, status, request_payload, replay_count, error_category')
+      .eq('request_id', requestId)
+      .maybeSingle();
+
+    if (fetchError) {
+      throw new Error(`Database error: ${fetchError.message}`);
+    }
+
+    // Owner only: the submitting key, or the access token if the key was rotated
+    const accessToken = getRequestCredentials(req).accessToken;
+    if (!request || !canAccessRequest(request, { accessToken, apiKey: claudeApiKey })) {
+      return res.status(404).json({ error: `Request not found: ${requestId}` });
+    }
+
+    if (request.status !== 'failed') {
+      return res.status(409).json({
+        error: `Only failed requests can be replayed (status is '${request.status}')`,
+        status: request.status
+      });
+    }
+
+    const payload = request.request_payload;
+
+    const resolvedModel = await resolveClaudeRequestModel(
+      model ? { ...payload.claudeRequest, model } : payload.claudeRequest
+    );
+    if (resolvedModel.error) {
+      return res.status(400).json({ error: resolvedModel.error });
+    }
+
+    const replayPayload = {
+      ...payload,
+      claudeRequest: resolvedModel.claudeRequest,
+      // Without an override, keep what the original request asked for
+      requestedModel: (model ? null : payload.requestedModel) || resolvedModel.requestedModel || undefined
+    };
+    delete replayPayload.userApiKey; // legacy rows
+    delete replayPayload.modelPricing; // ignored since server-side pricing
+
+    // status guard: two concurrent replays can't both requeue the row
+    const { data: requeued, error: updateError } = await supabase
+      .from('llm_requests')
+      .update({
+        status: 'queued',
+        request_payload: replayPayload,
+        encrypted_api_key: encryptSecret(claudeApiKey),
+        api_key_hash: hashCredential(claudeApiKey), // the replaying key owns it now
+        ...(codaApiToken ? { coda_api_token: encryptSecret(codaApiToken) } : {}),
+        secrets_scrubbed_at: null, // scrub again once this run finishes
+        attempt_count: 0,
+        response_payload: null,
+        progress: null,
+        error_category: null,
+        error_message: null,
+        error_details: null,
+        next_attempt_at: null,
+        completed_at: null,
+        fetched_at: null,
+        webhook_retry_count: 0,
+        replay_count: (request.replay_count || 0) + 1,
+        last_replayed_at: new Date().toISOString()
+      })
+      .eq('request_id', requestId)
+      .eq('status', 'failed')
+      .select('request_id');
+
+    if (updateError) {
+      throw new Error(`Database error: ${updateError.message}`);
+    }
+
+    if (!requeued || requeued.length === 0) {
+      return res.status(409).json({ error: 'Request was already replayed' });
+    }
+
+    console.log(`🔁 Replaying ${requestId} (previous failure: ${request.error_category || 'unknown'}, model: ${replayPayload.claudeRequest?.model})`);
+
+    await triggerRequest(`https://${req.headers.host}`, requestId);
+
+    res.status(200).json({
+      success: true,
+      requestId,
+      status: 'queued',
+      model: replayPayload.claudeRequest?.model,
+      requestedModel: replayPayload.requestedModel || null,
+      replayCount: (request.replay_count || 0) + 1
+    });
+
+  } catch (error) {
+    console.error('Replay error:', error);
+    res.status(500).json({
+      error: 'Failed to replay request',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,132 @@
+// =================================================================
+// DEV NOTES for api/request-result.js
+// =================================================================
+/*
+RENDERED FINAL ANSWER (Pack getResult) - see lib/result-rendering.js
+
+GET /api/request-result?requestId=...&format=markdown&include=thinking,searches,cost
+
+- format: text | markdown (default) | html (sanitised - built from escaped Markdown)
+- include: optional sections - thinking, searches (web search queries), cost
+- wrapper: true | false - defaults to the includeWrapper the request was
+  queued with, so both modes from the usage formula resolve here:
+    false -> { requestId, status, format, content }
+    true  -> the same plus model (+ requestedModel when the model catalog
+             substituted it), stopReason, usage, cost, citations and
+             structuredOutput / validationErrors / toolSteps when present
+- Same credentials as request-status.js (X-Request-Token or x-api-key) and
+  the read counts as a fetch, so webhook-monitor stops re-sending
+- 409 until there is a response (cancelled requests render their partial answer)
+*/
+
+import { createClient } from '@supabase/supabase-js';
+import { redactSecrets } from '../lib/secrets.js';
+import { renderResult, RESULT_FORMATS, RESULT_SECTIONS } from '../lib/result-rendering.js';
+import { getRequestCredentials, hasCredentials, canAccessRequest } from '../lib/access.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Request-Token, X-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { requestId } = req.query;
+  const format = req.query.format || 'markdown';
+  const include = req.query.include ? String(req.query.include).split(',').map(value => value.trim()).filter(Boolean) : [];
+
+  if (!requestId) {
+    return res.status(400).json({ error: 'requestId parameter required' });
+  }
+
+  if (!RESULT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Invalid format "${format}". Expected one of: ${RESULT_FORMATS.join(', ')}` });
+  }
+
+  const unknownSection = include.find(value => !RESULT_SECTIONS.includes(value));
+  if (unknownSection) {
+    return res.status(400).json({ error: `Invalid include "${unknownSection}". Expected any of: ${RESULT_SECTIONS.join(', ')}` });
+  }
+
+  const credentials = getRequestCredentials(req);
+  if (!hasCredentials(credentials)) {
+    return res.status(401).json({ error: 'Access token (X-Request-Token) or x-api-key required' });
+  }
+
+  try {
+    const { data: request, error } = await supabase
+      .from('llm_requests')
+      .select('request_id, access_token_hash, api_key_hash, status, response_payload, fetch_count, include_wrapper:request_payload->responseOptions->includeWrapper')
+      .eq('request_id', requestId)
+      .single();
+
+    // Same answer for wrong credentials as for unknown ids - no probing
+    if (error || !request || !canAccessRequest(request, credentials)) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    if (!request.response_payload) {
+      return res.status(409).json({ error: `No result yet (status: ${request.status})`, status: request.status });
+    }
+
+    // Reading the result counts as fetching it (webhook-monitor.js)
+    const { error: trackingError } = await supabase
+      .from('llm_requests')
+      .update({
+        fetched_at: new Date().toISOString(),
+        fetch_count: (request.fetch_count || 0) + 1
+      })
+      .eq('request_id', requestId);
+
+    if (trackingError) {
+      console.warn('Failed to track fetch:', trackingError);
+    }
+
+    const response = request.response_payload;
+    const wrapper = req.query.wrapper === undefined
+      ? request.include_wrapper === true
+      : req.query.wrapper === 'true' || req.query.wrapper === '1';
+
+    const result = {
+      requestId: request.request_id,
+      status: request.status,
+      format,
+      includeWrapper: wrapper,
+      content: renderResult(response, { format, include })
+    };
+
+    if (wrapper) {
+      result.model = response.model || null;
+      result.stopReason = response.stop_reason || null;
+      result.usage = response.usage || null;
+      result.cost = response.cost || null;
+      result.citations = response._citationInfo || null;
+      for (const field of ['requestedModel', 'structuredOutput', 'validationErrors', 'toolSteps']) {
+        if (response[field] !== undefined) {
+          result[field] = response[field];
+        }
+      }
+    }
+
+    return res.json(redactSecrets(result, {
+      content: ['content', 'structuredOutput', 'validationErrors', 'toolSteps', 'citations']
+    }));
+
+  } catch (error) {
+    console.error('Result rendering error:', redactSecrets(error.message));
+    return res.status(500).json({ error: redactSecrets(error.message) });
+  }
+}
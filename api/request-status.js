@@ -28,9 +28,73 @@ DEBUGGING VALUE:
 - Confirmed webhook delivery success after fixing pg_net parameter bug
 - Essential for monitoring production system health
 - Full response inspection for citation processing verification
+
+RETRIES:
+- status 'retrying' = transient Claude error (rate limit, overload, 5xx)
+- attempt / maxAttempts / nextAttemptAt show where the retry schedule is
+- errorCategory is a stable machine-readable reason (e.g. authentication,
+  invalid_request, rate_limited) - errorMessage is the readable version
+- 'failed' rows can be requeued with replay.js; replayCount says how often
+
+QUEUE POSITION (lib/concurrency.js):
+- priority (low / normal / high) and, while queued or retrying,
+  queuePosition: 1 = next to be claimed (higher priority first, then oldest).
+  Rows can sit in 'queued' while their key's concurrency slots are full
+
+SCHEDULES (lib/scheduling.js):
+- Scheduled / recurring requests return schedule: { runAt, recurrence,
+  recurrenceUntil, maxRuns, nextRunAt, runCount, lastRunAt } and, when
+  recurring, runs (latest 20 child requests - read each by its requestId)
+- Child runs carry parentRequestId
+- Requests rendered from a stored prompt template return template: { id, version }
+
+STREAMING PROGRESS:
+- While processing: phase (thinking/searching/writing), partialContent,
+  partialThinking, toolUses and outputTokensSoFar from the streaming call
+- For live updates without polling use /api/request-stream (SSE)
+
+CANCELLATION:
+- cancelRequestedAt is set while a processing request is being aborted
+- status 'cancelled' + cancelledAt once done; response holds the partial
+  content and cost if Claude had already started (response.cancelled = true)
+
+ACCESS CONTROL (lib/access.js):
+- Reads need X-Request-Token (returned by queue-request) or the x-api-key
+  that submitted the request - the Pack's auth header covers checkRequest
+- 401 without credentials, 404 for unknown ids AND wrong credentials
+
+SECRETS:
+- Only named columns are selected - never request_payload, encrypted_api_key
+  or coda_api_token - and the whole response goes through redactSecrets()
+  as a backstop (lib/secrets.js). Model output (response, transcript,
+  partial content) is only scrubbed of key-shaped strings, never masked by
+  field name
+
+RESULT PAGING (lib/result-paging.js):
+- ?paged=true: a status document too big for a Coda cell (as compact JSON,
+  manifest included) comes back with its largest fields - response parts,
+  conversation, webhookLogs, runs, partial progress - replaced by
+  { paged, field, pages, length } placeholders, listed in resultManifest
+  (checkRequest always asks for this). 413 if it can't be made to fit
+- ?field=content.3&page=2: just that 45k-character chunk of one field
+  (Pack getResultChunk) - nothing is truncated, every page can be fetched
+
+CONVERSATIONS:
+- Requests sent with a conversationId also return the whole thread
+  transcript (every stored turn + rolling summary) under "conversation" -
+  only if the thread is owned by the same API key as the request
 */
 
 import { createClient } from '@supabase/supabase-js';
+import { getConversationTranscript } from '../lib/conversations.js';
+import { redactSecrets } from '../lib/secrets.js';
+import { pageResult, getResultChunk, isResponseField } from '../lib/result-paging.js';
+import { getRequestCredentials, hasCredentials, canAccessRequest } from '../lib/access.js';
+import { getQueuePosition, priorityName } from '../lib/concurrency.js';
+import { listScheduleRuns } from '../lib/scheduling.js';
+
+// Model output - only key-shaped strings are scrubbed here, field names are the user's data
+const MODEL_CONTENT_FIELDS = ['response', 'conversation', 'partialContent', 'partialThinking', 'toolUses'];
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -41,7 +105,7 @@ export default async function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Request-Token, X-API-Key');
 
   if (req.method === 'OPTIONS') {
     res.status(200).end();
@@ -52,23 +116,31 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { requestId } = req.query;
+  const { requestId, field } = req.query;
+  const paged = req.query.paged === 'true' || req.query.paged === '1';
 
   if (!requestId) {
     return res.status(400).json({ error: 'requestId parameter required' });
   }
 
+  // Only the submitter (API key) or the holder of the access token may read it
+  const credentials = getRequestCredentials(req);
+  if (!hasCredentials(credentials)) {
+    return res.status(401).json({ error: 'Access token (X-Request-Token) or x-api-key required' });
+  }
+
   try {
     console.log(`Checking status for request: ${requestId}`);
     
     // Get request status including response payload
     const { data: request, error } = await supabase
       .from('llm_requests')
-      .select('request_id, status, created_at, processing_started_at, completed_at, error_message, response_payload, fetch_count')
+      .select('request_id, access_token_hash, api_key_hash, status, created_at, processing_started_at, completed_at, error_message, response_payload, fetch_count, conversation_id, progress, attempt_count, max_attempts, next_attempt_at, error_category, replay_count, cancel_requested_at, cancelled_at, priority, parent_request_id, run_at, recurrence, recurrence_until, recurrence_max_runs, next_run_at, run_count, last_run_at, template_id, template_version')
       .eq('request_id', requestId)
       .single();
 
-    if (error || !request) {
+    // Same answer for wrong credentials as for unknown ids - no probing
+    if (error || !request || !canAccessRequest(request, credentials)) {
       return res.status(404).json({ error: 'Request not found' });
     }
 
@@ -89,6 +161,12 @@ export default async function handler(req, res) {
       console.log(`Tracked fetch #${currentFetchCount + 1} for request: ${requestId}`);
     }
 
+    // Chunks are cut from the finished status document, so a field of the
+    // response needs a response first
+    if (field && isResponseField(field) && !request.response_payload) {
+      return res.status(409).json({ error: `No result yet (status: ${request.status})` });
+    }
+
     // Get webhook logs for this request
     const { data: webhookLogs } = await supabase
       .from('webhook_logs')
@@ -112,19 +190,104 @@ export default async function handler(req, res) {
       completedAt: request.completed_at,
       processingTimeSeconds,
       errorMessage: request.error_message,
+      errorCategory: request.error_category,
+      attempt: request.attempt_count,
+      maxAttempts: request.max_attempts,
+      nextAttemptAt: request.status === 'retrying' ? request.next_attempt_at : null,
+      replayCount: request.replay_count || 0,
+      priority: priorityName(request.priority),
+      queuePosition: request.status === 'queued' || request.status === 'retrying'
+        ? await getQueuePosition(requestId)
+        : null,
+      cancelRequestedAt: request.cancel_requested_at,
+      cancelledAt: request.cancelled_at,
       fetchCount: currentFetchCount + 1, // Include updated fetch count
       webhookLogs: webhookLogs || []
     };
 
+    if (request.parent_request_id) {
+      response.parentRequestId = request.parent_request_id;
+    }
+
+    // The stored template version this request was rendered from (lib/prompt-templates.js)
+    if (request.template_id) {
+      response.template = { id: request.template_id, version: request.template_version };
+    }
+
+    // Deferred / recurring requests: when they run and what has run so far
+    if (request.run_at) {
+      response.schedule = {
+        runAt: request.run_at,
+        recurrence: request.recurrence,
+        recurrenceUntil: request.recurrence_until,
+        maxRuns: request.recurrence_max_runs,
+        nextRunAt: request.next_run_at,
+        runCount: request.run_count,
+        lastRunAt: request.last_run_at
+      };
+      if (request.recurrence) {
+        response.runs = await listScheduleRuns(requestId);
+      }
+    }
+
+    // Live progress while Claude is still streaming
+    if (request.status === 'processing' && request.progress) {
+      response.phase = request.progress.phase;
+      response.partialContent = request.progress.partialContent;
+      response.partialThinking = request.progress.partialThinking;
+      response.toolUses = request.progress.toolUses;
+      response.outputTokensSoFar = request.progress.outputTokensSoFar;
+      response.progressUpdatedAt = request.progress.updatedAt;
+    }
+
     // Include the full Claude response if available
     if (request.response_payload) {
       response.response = request.response_payload;
     }
 
-    return res.json(response);
+    // Include the whole thread transcript for conversation requests - only
+    // when the thread belongs to the key that owns this request (the caller
+    // proved it holds that key or the request's token). Threads are a
+    // separate table, so the row check above doesn't cover them
+    if (request.conversation_id) {
+      try {
+        const transcript = await getConversationTranscript(request.conversation_id, request.api_key_hash);
+        if (transcript) {
+          response.conversation = transcript;
+        }
+      } catch (conversationError) {
+        console.warn('Failed to load conversation:', conversationError.message);
+      }
+    }
+
+    // Never hand back anything key-shaped, whatever ended up in the row
+    const document = redactSecrets(response, { content: MODEL_CONTENT_FIELDS });
+
+    // One chunk of one field (Pack getResultChunk)
+    if (field) {
+      const page = req.query.page === undefined ? 1 : Number(req.query.page);
+      const chunk = getResultChunk(document, field, page);
+      if (chunk.error) {
+        return res.status(400).json({ error: chunk.error });
+      }
+      return res.json({ requestId: request.request_id, ...chunk });
+    }
+
+    // Big fields swapped for placeholders until the whole document fits a cell
+    if (paged) {
+      const result = pageResult(document);
+      if (result.error) {
+        return res.status(413).json({ error: result.error });
+      }
+      if (result.manifest) {
+        return res.json({ ...result.document, resultManifest: result.manifest });
+      }
+    }
+
+    return res.json(document);
 
   } catch (error) {
-    console.error('Status check error:', error);
-    return res.status(500).json({ error: error.message });
+    console.error('Status check error:', redactSecrets(error.message));
+    return res.status(500).json({ error: redactSecrets(error.message) });
   }
 }
\ No newline at end of file
@@ -0,0 +1,198 @@
+// =================================================================
+// DEV NOTES for api/request-stream.js
+// =================================================================
+/*
+SERVER-SENT EVENTS FEED FOR NON-CODA CLIENTS:
+
+Coda can only poll, but scripts and dashboards can follow a request live.
+process-queue.js saves streaming snapshots to llm_requests.progress; this
+endpoint polls that row and turns changes into SSE events.
+
+USAGE:
+- curl -N -H "X-Request-Token: rat_..." "/api/request-stream?requestId=req_..."
+- new EventSource('/api/request-stream?requestId=...&accessToken=rat_...')
+  (same credentials as request-status.js - see lib/access.js)
+
+EVENTS:
+- status:    { requestId, status } whenever the status changes
+- progress:  { phase, textDelta, thinkingDelta, toolUses, outputTokensSoFar }
+             (deltas are the text added since the previous progress event)
+- completed: { requestId, status, completedAt, response }
+- failed:    { requestId, status, errorMessage }
+- cancelled: { requestId, status, cancelledAt, response } (partial response, if any)
+- timeout:   function time limit reached - reconnect to keep following
+
+Keep-alive comments are sent every 15 seconds so proxies don't close the stream.
+*/
+
+import { createClient } from '@supabase/supabase-js';
+import { redactSecrets } from '../lib/secrets.js';
+import { getRequestCredentials, hasCredentials, canAccessRequest } from '../lib/access.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Vercel function configuration
+export const config = {
+  maxDuration: 300, // 5 minutes - clients reconnect after a timeout event
+};
+
+const POLL_INTERVAL_MS = 1500;
+const KEEP_ALIVE_MS = 15000;
+const STREAM_TIME_LIMIT_MS = 280000; // leave headroom under maxDuration
+
+// Same backstop as request-status.js: nothing key-shaped leaves this endpoint.
+// Model output is scrubbed but not masked by field name
+const MODEL_CONTENT_FIELDS = ['response', 'textDelta', 'thinkingDelta', 'toolUses'];
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(redactSecrets(data, { content: MODEL_CONTENT_FIELDS }))}\n\n`);
+}
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Request-Token, X-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { requestId } = req.query;
+
+  if (!requestId) {
+    return res.status(400).json({ error: 'requestId parameter required' });
+  }
+
+  // EventSource can't send headers, so the access token may come as ?accessToken=
+  const credentials = getRequestCredentials(req, { allowQueryToken: true });
+  if (!hasCredentials(credentials)) {
+    return res.status(401).json({ error: 'Access token (X-Request-Token or ?accessToken=) or x-api-key required' });
+  }
+
+  const { data: initial, error } = await supabase
+    .from('llm_requests')
+    .select('request_id, access_token_hash, api_key_hash')
+    .eq('request_id', requestId)
+    .single();
+
+  if (error || !initial || !canAccessRequest(initial, credentials)) {
+    return res.status(404).json({ error: 'Request not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+  });
+
+  const startTime = Date.now();
+  let lastStatus = null;
+  let lastProgressAt = null;
+  let sentTextLength = 0;
+  let sentThinkingLength = 0;
+  let lastWriteAt = Date.now();
+
+  console.log(`SSE stream opened for ${requestId}`);
+
+  try {
+    while (!closed) {
+      const { data: request, error: pollError } = await supabase
+        .from('llm_requests')
+        .select('status, progress, completed_at, cancelled_at, error_message, response_payload')
+        .eq('request_id', requestId)
+        .single();
+
+      if (pollError) {
+        throw new Error(`Poll failed: ${pollError.message}`);
+      }
+
+      if (request.status !== lastStatus) {
+        lastStatus = request.status;
+        sendEvent(res, 'status', { requestId, status: request.status });
+        lastWriteAt = Date.now();
+      }
+
+      const progress = request.progress;
+      if (progress && progress.updatedAt !== lastProgressAt) {
+        lastProgressAt = progress.updatedAt;
+
+        const text = progress.partialContent || '';
+        const thinking = progress.partialThinking || '';
+        sendEvent(res, 'progress', {
+          phase: progress.phase,
+          textDelta: text.slice(sentTextLength),
+          thinkingDelta: thinking.slice(sentThinkingLength),
+          toolUses: progress.toolUses || [],
+          outputTokensSoFar: progress.outputTokensSoFar
+        });
+        sentTextLength = text.length;
+        sentThinkingLength = thinking.length;
+        lastWriteAt = Date.now();
+      }
+
+      if (request.status === 'completed') {
+        sendEvent(res, 'completed', {
+          requestId,
+          status: request.status,
+          completedAt: request.completed_at,
+          response: request.response_payload
+        });
+        break;
+      }
+
+      if (request.status === 'failed') {
+        sendEvent(res, 'failed', {
+          requestId,
+          status: request.status,
+          errorMessage: request.error_message
+        });
+        break;
+      }
+
+      if (request.status === 'cancelled') {
+        sendEvent(res, 'cancelled', {
+          requestId,
+          status: request.status,
+          cancelledAt: request.cancelled_at,
+          response: request.response_payload
+        });
+        break;
+      }
+
+      if (Date.now() - startTime > STREAM_TIME_LIMIT_MS) {
+        sendEvent(res, 'timeout', { requestId, status: request.status, note: 'Reconnect to keep following this request' });
+        break;
+      }
+
+      if (Date.now() - lastWriteAt > KEEP_ALIVE_MS) {
+        res.write(': keep-alive\n\n');
+        lastWriteAt = Date.now();
+      }
+
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+  } catch (streamError) {
+    console.error(`SSE stream error for ${requestId}:`, redactSecrets(streamError.message));
+    if (!closed) {
+      sendEvent(res, 'error', { requestId, error: streamError.message });
+    }
+  }
+
+  console.log(`SSE stream closed for ${requestId}`);
+  res.end();
+}
@@ -0,0 +1,198 @@
+// =================================================================
+// DEV NOTES for api/requests.js
+// =================================================================
+/*
+LISTING OF THE CALLER'S RECENT REQUESTS (Pack "Requests" sync table):
+
+GET /api/requests?status=processing,failed&since=2026-10-01&until=2026-10-19&limit=100&cursor=...
+
+- Scoped to the x-api-key that submitted the requests (api_key_hash, see
+  lib/access.js) - request access tokens can't list anything
+- status: comma-separated, any of STATUSES; since/until filter created_at
+  (until is exclusive; plain dates mean midnight UTC)
+- templateId (+ templateVersion): only requests rendered from that stored
+  prompt template - for auditing outputs after a template changed
+- Newest first; nextCursor is set while more rows exist - pass it back as
+  ?cursor= (keyset on created_at + request_id, so rows queued meanwhile
+  don't shift pages)
+- Only summary columns are read - never prompts or response content
+
+Each row: requestId, model (+ requestedModel when the catalog substituted
+a deprecated model or alias), status, timestamps, processingTimeSeconds,
+token usage, totalCostUsd (real cost, else the queue-time estimate with
+costEstimated: true), cachedFromRequestId (result cache hits), parentRequestId
+(runs of a recurring request) + nextRunAt (scheduled), templateId +
+templateVersion (prompt templates), fetchCount, webhookRetryCount, error fields.
+*/
+
+import { createClient } from '@supabase/supabase-js';
+import { redactSecrets } from '../lib/secrets.js';
+import { hashCredential } from '../lib/access.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const STATUSES = ['scheduled', 'queued', 'processing', 'retrying', 'batched', 'completed', 'failed', 'cancelled'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const apiKey = req.headers['x-api-key'] || req.headers['x-claude-api-key'];
+  if (!apiKey) {
+    return res.status(401).json({ error: 'x-api-key required - requests are listed per API key' });
+  }
+
+  const { status, since, until, cursor, templateId, templateVersion } = req.query;
+
+  const statuses = status ? String(status).split(',').map(value => value.trim()).filter(Boolean) : [];
+  const unknownStatus = statuses.find(value => !STATUSES.includes(value));
+  if (unknownStatus) {
+    return res.status(400).json({ error: `Invalid status "${unknownStatus}". Expected any of: ${STATUSES.join(', ')}` });
+  }
+
+  for (const [name, value] of [['since', since], ['until', until]]) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      return res.status(400).json({ error: `${name} must be an ISO date or timestamp` });
+    }
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+  let after = null;
+  if (cursor) {
+    after = decodeCursor(cursor);
+    if (!after) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+  }
+
+  try {
+    let query = supabase
+      .from('llm_requests')
+      .select(`
+        request_id, status, batch_id, conversation_id,
+        created_at, processing_started_at, completed_at,
+        attempt_count, fetch_count, webhook_retry_count,
+        error_category, error_message,
+        total_cost_usd, estimated_cost_usd, cached_from_request_id,
+        parent_request_id, next_run_at, template_id, template_version,
+        model:request_payload->claudeRequest->>model,
+        requested_model:request_payload->>requestedModel,
+        usage:response_payload->usage
+      `)
+      .eq('api_key_hash', hashCredential(apiKey))
+      .order('created_at', { ascending: false })
+      .order('request_id', { ascending: false })
+      .limit(limit + 1); // one extra row tells us whether there's another page
+
+    if (statuses.length > 0) {
+      query = query.in('status', statuses);
+    }
+    if (templateId) {
+      query = query.eq('template_id', templateId);
+    }
+    if (templateId && templateVersion) {
+      query = query.eq('template_version', parseInt(templateVersion, 10));
+    }
+    if (since) {
+      query = query.gte('created_at', new Date(since).toISOString());
+    }
+    if (until) {
+      query = query.lt('created_at', new Date(until).toISOString());
+    }
+    if (after) {
+      query = query.or(`created_at.lt."${after.createdAt}",and(created_at.eq."${after.createdAt}",request_id.lt.${after.requestId})`);
+    }
+
+    const { data: rows, error } = await query;
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    const nextCursor = rows.length > limit
+      ? encodeCursor({ createdAt: last.created_at, requestId: last.request_id })
+      : null;
+
+    res.json(redactSecrets({
+      requests: page.map(toListItem),
+      count: page.length,
+      nextCursor
+    }));
+
+  } catch (error) {
+    console.error('Request listing error:', redactSecrets(error.message));
+    res.status(500).json({ error: redactSecrets(error.message) });
+  }
+}
+
+function toListItem(row) {
+  const usage = row.usage || {};
+  const hasCost = row.total_cost_usd !== null;
+  const cost = hasCost ? row.total_cost_usd : row.estimated_cost_usd;
+
+  return {
+    requestId: row.request_id,
+    model: row.model || null,
+    requestedModel: row.requested_model || null,
+    status: row.status,
+    batchId: row.batch_id,
+    conversationId: row.conversation_id,
+    createdAt: row.created_at,
+    processingStartedAt: row.processing_started_at,
+    completedAt: row.completed_at,
+    processingTimeSeconds: row.completed_at && row.processing_started_at
+      ? Math.round((new Date(row.completed_at) - new Date(row.processing_started_at)) / 1000)
+      : null,
+    attempts: row.attempt_count,
+    inputTokens: usage.input_tokens ?? null,
+    outputTokens: usage.output_tokens ?? null,
+    cacheReadTokens: usage.cache_read_input_tokens ?? null,
+    cacheWriteTokens: usage.cache_creation_input_tokens ?? null,
+    totalCostUsd: cost === null ? null : Number(cost),
+    costEstimated: !hasCost && cost !== null,
+    cachedFromRequestId: row.cached_from_request_id,
+    parentRequestId: row.parent_request_id,
+    nextRunAt: row.next_run_at,
+    templateId: row.template_id,
+    templateVersion: row.template_version,
+    fetchCount: row.fetch_count || 0,
+    webhookRetryCount: row.webhook_retry_count || 0,
+    errorCategory: row.error_category,
+    errorMessage: row.error_message
+  };
+}
+
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Number.isNaN(Date.parse(position.createdAt)) || !/^[\w-]+$/.test(position.requestId)) {
+      return null;
+    }
+    return position;
+  } catch {
+    return null;
+  }
+}
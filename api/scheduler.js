@@ -0,0 +1,96 @@
+// =================================================================
+// DEV NOTES for api/scheduler.js
+// =================================================================
+/*
+CRON THAT RELEASES SCHEDULED REQUESTS (runs every minute, see lib/scheduling.js):
+
+1. One-off requests (runAt): due 'scheduled' rows become 'queued' and get a
+   worker each via process-queue (the pg_net trigger only fires on insert)
+2. Recurring requests: every due template inserts a child request - the
+   insert fires the pg_net trigger like any new request, so no dispatch here.
+   Children over a spend budget, or whose model is retired without a
+   replacement, are stored as failed and their failure webhook goes out now
+3. Anything a worker misses is picked up by queue-sweeper.js as usual
+
+Runs are started at most once: the template's next_run_at is advanced with a
+compare-and-set before its child is inserted, so overlapping cron runs can't
+both start the same run.
+*/
+
+import { releaseDueRequests, findDueRecurringRequests, startRecurringRun } from '../lib/scheduling.js';
+import { triggerRequest } from '../lib/dispatcher.js';
+import { enqueueRequestWebhooks } from '../lib/callbacks.js';
+import { deliverDueWebhooks } from '../lib/webhook-outbox.js';
+
+// Vercel function configuration
+export const config = {
+  maxDuration: 60,
+};
+
+// The next tick starts the rest
+const MAX_RECURRING_RUNS_PER_TICK = 25;
+
+export default async function handler(req, res) {
+  console.log(`Scheduler triggered at ${new Date().toISOString()}`);
+
+  try {
+    const released = await releaseDueRequests();
+    for (const requestId of released) {
+      await triggerRequest(`https://${req.headers.host}`, requestId);
+    }
+    if (released.length > 0) {
+      console.log(`⏰ Released ${released.length} scheduled requests`);
+    }
+
+    const templates = await findDueRecurringRequests(MAX_RECURRING_RUNS_PER_TICK);
+    let started = 0;
+    let failedRuns = 0;
+    let ended = 0;
+
+    for (const template of templates) {
+      try {
+        const run = await startRecurringRun(template);
+        if (run.ended) {
+          ended++;
+          console.log(`Schedule ${template.request_id} finished after ${template.run_count + (run.child ? 1 : 0)} runs`);
+        }
+        if (!run.child) continue;
+
+        if (run.failure) {
+          failedRuns++;
+          console.warn(`🚫 Run ${run.child.request_id} of ${template.request_id} skipped: ${run.failure.message}`);
+          await enqueueRequestWebhooks(run.child, {
+            status: 'failed',
+            errorCategory: run.failure.errorCategory,
+            errorMessage: run.failure.message,
+            attempts: 0
+          });
+        } else {
+          started++;
+          console.log(`🔁 Started run ${run.child.request_id} of ${template.request_id}`);
+        }
+      } catch (runError) {
+        console.error(`Recurring run failed for ${template.request_id}: ${runError.message}`);
+      }
+    }
+
+    if (failedRuns > 0) {
+      await deliverDueWebhooks();
+    }
+
+    res.json({
+      released: released.length,
+      recurringStarted: started,
+      failedRuns,
+      schedulesEnded: ended,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Scheduler error:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
@@ -0,0 +1,183 @@
+// =================================================================
+// DEV NOTES for api/templates.js
+// =================================================================
+/*
+PROMPT TEMPLATE REGISTRY (used by queue-request template, see lib/prompt-templates.js):
+
+Scoped to the x-api-key that saves the templates (hashed, like custom tools
+in api/tools.js). Only requests queued with the same key can use them.
+
+GET    /api/templates                     -> { templates: [...] } latest version of each
+GET    /api/templates?id=summary          -> { template, versions: [{ version, createdAt }] }
+GET    /api/templates?id=summary&version=2
+POST   /api/templates                     -> saves a NEW version:
+       { id, prompt, model, system?, description?, maxTokens?, temperature?,
+         jsonSchema?, variables? }   (variables = default values by name)
+DELETE /api/templates?id=summary
+
+- Versions are immutable: requests name the version they used
+  (llm_requests.template_id / template_version) so their output can be
+  audited against the exact text later
+- DELETE hides every version from new requests and listings; the rows stay
+  so older requests remain auditable. Saving the id again continues the
+  version numbers
+*/
+
+import { createClient } from '@supabase/supabase-js';
+import { validateClaudeApiKey } from '../lib/api-keys.js';
+import { hashCredential } from '../lib/access.js';
+import { redactSecrets } from '../lib/secrets.js';
+import { validateTemplateDefinition, loadTemplate, toTemplateSummary, TEMPLATE_COLUMNS } from '../lib/prompt-templates.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const apiKey = req.headers['x-api-key'] || req.headers['x-claude-api-key'];
+  const apiKeyError = validateClaudeApiKey(apiKey);
+  if (apiKeyError) {
+    return res.status(401).json({ error: apiKeyError });
+  }
+  const ownerKeyHash = hashCredential(apiKey);
+
+  try {
+    if (req.method === 'GET') {
+      const { id, version } = req.query;
+
+      if (id) {
+        const template = await loadTemplate(ownerKeyHash, id, version ? parseInt(version, 10) : null);
+        if (!template) {
+          return res.status(404).json({ error: `Template not found: ${id}${version ? ` v${version}` : ''}` });
+        }
+
+        const { data: versions, error } = await supabase
+          .from('prompt_templates')
+          .select('version, created_at')
+          .eq('owner_key_hash', ownerKeyHash)
+          .eq('template_id', id)
+          .is('deleted_at', null)
+          .order('version', { ascending: false });
+
+        if (error) {
+          throw new Error(`Database error: ${error.message}`);
+        }
+
+        return res.json({
+          template: toTemplateSummary(template),
+          versions: versions.map(row => ({ version: row.version, createdAt: row.created_at }))
+        });
+      }
+
+      const { data: rows, error } = await supabase
+        .from('prompt_templates')
+        .select(TEMPLATE_COLUMNS)
+        .eq('owner_key_hash', ownerKeyHash)
+        .is('deleted_at', null)
+        .order('template_id')
+        .order('version', { ascending: false });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      // Rows come newest version first per id - keep the first of each
+      const latest = rows.filter((row, index) => index === 0 || rows[index - 1].template_id !== row.template_id);
+      return res.json({ templates: latest.map(row => toTemplateSummary(row, { includeContent: false })) });
+    }
+
+    if (req.method === 'DELETE') {
+      const id = req.query.id || req.body?.id;
+      if (!id) {
+        return res.status(400).json({ error: 'Missing required parameter: id' });
+      }
+
+      const { data: deleted, error } = await supabase
+        .from('prompt_templates')
+        .update({ deleted_at: new Date().toISOString() })
+        .eq('owner_key_hash', ownerKeyHash)
+        .eq('template_id', id)
+        .is('deleted_at', null)
+        .select('version');
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+      if (!deleted || deleted.length === 0) {
+        return res.status(404).json({ error: `Template not found: ${id}` });
+      }
+
+      console.log(`🗑️ Template ${id} deleted (${deleted.length} versions kept for audits)`);
+      return res.json({ success: true, id, versionsHidden: deleted.length });
+    }
+
+    // POST - save a new version
+    const template = req.body || {};
+    const definitionError = validateTemplateDefinition(template);
+    if (definitionError) {
+      return res.status(400).json({ error: definitionError });
+    }
+
+    // Deleted versions count too - version numbers are never reused
+    const { data: previous, error: versionError } = await supabase
+      .from('prompt_templates')
+      .select('version')
+      .eq('owner_key_hash', ownerKeyHash)
+      .eq('template_id', template.id)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (versionError) {
+      throw new Error(`Database error: ${versionError.message}`);
+    }
+
+    const { data: saved, error } = await supabase
+      .from('prompt_templates')
+      .insert({
+        owner_key_hash: ownerKeyHash,
+        template_id: template.id,
+        version: (previous?.version || 0) + 1,
+        description: template.description || null,
+        system_prompt: template.system || null,
+        prompt: template.prompt,
+        model: template.model,
+        max_tokens: template.maxTokens ? Number(template.maxTokens) : null,
+        temperature: template.temperature ?? null,
+        json_schema: template.jsonSchema || null,
+        variable_defaults: template.variables || {}
+      })
+      .select(TEMPLATE_COLUMNS)
+      .single();
+
+    // Unique (owner, id, version): someone saved the same template a moment ago
+    if (error?.code === '23505') {
+      return res.status(409).json({ error: `Template ${template.id} was saved concurrently - try again` });
+    }
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    console.log(`📝 Template ${saved.template_id} saved as v${saved.version}`);
+    res.json({ success: true, template: toTemplateSummary(saved) });
+
+  } catch (error) {
+    console.error('Templates error:', redactSecrets(error.message));
+    res.status(500).json({ error: redactSecrets(error.message) });
+  }
+}
@@ -0,0 +1,155 @@
+// =================================================================
+// DEV NOTES for api/tools.js
+// =================================================================
+/*
+CUSTOM TOOL REGISTRY (used by promptAsync tools, see lib/custom-tools.js):
+
+Scoped to the x-api-key that registers the tools (hashed, like api_key_hash
+on llm_requests) - the Pack's auth header covers it. Only requests queued
+with the same key can use them.
+
+GET    /api/tools               -> { tools: [...] } (secrets never returned, hasSecret instead)
+POST   /api/tools               -> create or replace by name:
+       { name, description, inputSchema, endpointUrl, secret?, headers?, timeoutMs?, enabled? }
+DELETE /api/tools?name=lookup_customer
+
+- endpointUrl must be public https - http, private, loopback and link-local
+  hosts are refused (lib/outbound-urls.js)
+- secret signs every endpoint call (X-Webhook-Signature, lib/webhook-signing.js)
+- headers are sent with every call, e.g. Authorization for our own APIs
+- Both are encrypted at rest (lib/secrets.js). Leaving them out of a POST
+  keeps the stored ones; send null to remove them
+- Queued requests load the definitions when they run, so changes apply to
+  requests that haven't started yet
+*/
+
+import { createClient } from '@supabase/supabase-js';
+import { validateClaudeApiKey } from '../lib/api-keys.js';
+import { hashCredential } from '../lib/access.js';
+import { encryptSecret, encryptHeaders, redactSecrets } from '../lib/secrets.js';
+import { validateToolDefinition, DEFAULT_TOOL_TIMEOUT_MS } from '../lib/custom-tools.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const apiKey = req.headers['x-api-key'] || req.headers['x-claude-api-key'];
+  const apiKeyError = validateClaudeApiKey(apiKey);
+  if (apiKeyError) {
+    return res.status(401).json({ error: apiKeyError });
+  }
+  const ownerKeyHash = hashCredential(apiKey);
+
+  try {
+    if (req.method === 'GET') {
+      const { data: tools, error } = await supabase
+        .from('custom_tools')
+        .select('name, description, input_schema, endpoint_url, signing_secret, extra_headers, timeout_ms, enabled, created_at, updated_at')
+        .eq('owner_key_hash', ownerKeyHash)
+        .order('name');
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return res.json({ tools: tools.map(toToolSummary) });
+    }
+
+    if (req.method === 'DELETE') {
+      const name = req.query.name || req.body?.name;
+      if (!name) {
+        return res.status(400).json({ error: 'Missing required parameter: name' });
+      }
+
+      const { data: deleted, error } = await supabase
+        .from('custom_tools')
+        .delete()
+        .eq('owner_key_hash', ownerKeyHash)
+        .eq('name', name)
+        .select('name');
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+      if (!deleted || deleted.length === 0) {
+        return res.status(404).json({ error: `Tool not found: ${name}` });
+      }
+
+      console.log(`🗑️ Custom tool ${name} deleted`);
+      return res.json({ success: true, name });
+    }
+
+    // POST - create or replace
+    const tool = req.body || {};
+    const definitionError = validateToolDefinition(tool);
+    if (definitionError) {
+      return res.status(400).json({ error: definitionError });
+    }
+
+    const row = {
+      owner_key_hash: ownerKeyHash,
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.inputSchema,
+      endpoint_url: tool.endpointUrl,
+      timeout_ms: tool.timeoutMs ? Number(tool.timeoutMs) : DEFAULT_TOOL_TIMEOUT_MS,
+      enabled: tool.enabled !== false,
+      updated_at: new Date().toISOString()
+    };
+    // Omitted -> keep what is stored; null -> remove
+    if (tool.secret !== undefined) {
+      row.signing_secret = encryptSecret(tool.secret);
+    }
+    if (tool.headers !== undefined) {
+      row.extra_headers = encryptHeaders(tool.headers);
+    }
+
+    const { data: saved, error } = await supabase
+      .from('custom_tools')
+      .upsert(row, { onConflict: 'owner_key_hash,name' })
+      .select('name, description, input_schema, endpoint_url, signing_secret, extra_headers, timeout_ms, enabled, created_at, updated_at')
+      .single();
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    console.log(`🔧 Custom tool ${tool.name} saved (${tool.endpointUrl})`);
+    res.json({ success: true, tool: toToolSummary(saved) });
+
+  } catch (error) {
+    console.error('Custom tools error:', redactSecrets(error.message));
+    res.status(500).json({ error: redactSecrets(error.message) });
+  }
+}
+
+function toToolSummary(row) {
+  return {
+    name: row.name,
+    description: row.description,
+    inputSchema: row.input_schema,
+    endpointUrl: row.endpoint_url,
+    hasSecret: Boolean(row.signing_secret),
+    headerNames: Object.keys(row.extra_headers || {}),
+    timeoutMs: row.timeout_ms,
+    enabled: row.enabled,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
@@ -0,0 +1,43 @@
+// =================================================================
+// DEV NOTES for api/webhook-dispatcher.js
+// =================================================================
+/*
+CRON DRAIN FOR THE WEBHOOK OUTBOX (runs every minute):
+
+process-queue and batch-monitor only do one delivery pass after finishing
+work, so anything rate-limited or waiting on backoff is sent from here.
+Keeps claiming until the time budget runs out - the per-destination spacing
+is enforced in claim_webhook_deliveries(), not by sleeping here.
+*/
+
+import { deliverDueWebhooks } from '../lib/webhook-outbox.js';
+
+// Vercel function configuration
+export const config = {
+  maxDuration: 60,
+};
+
+// Leave headroom under maxDuration for in-flight deliveries to finish
+const TIME_BUDGET_MS = 45000;
+
+export default async function handler(req, res) {
+  console.log(`Webhook dispatcher triggered at ${new Date().toISOString()}`);
+
+  try {
+    const { delivered, failed } = await deliverDueWebhooks({ timeBudgetMs: TIME_BUDGET_MS });
+    console.log(`Webhook dispatcher: ${delivered} delivered, ${failed} failed attempts`);
+
+    res.json({
+      delivered,
+      failed,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Webhook dispatcher error:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
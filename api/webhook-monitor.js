@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js';
+import { enqueueWebhook, hasPendingWebhook, deliverDueWebhooks } from '../lib/webhook-outbox.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -37,58 +38,41 @@ export default async function handler(req, res) {
     const totalFound = unfetched?.length || 0;
     console.log(`Found ${totalFound} unfetched requests to retry from last 30 minutes (limited to 50 per run)`);
     
-    let successCount = 0;
+    let queuedCount = 0;
+    let skippedCount = 0;
     let errorCount = 0;
-    
-    if (unfetched && unfetched.length > 0) {
-      // Process in smaller batches to avoid overwhelming Coda
-      const batchSize = 5; // Smaller batches for more controlled processing
-      const batches = [];
-      
-      for (let i = 0; i < unfetched.length; i += batchSize) {
-        batches.push(unfetched.slice(i, i + batchSize));
-      }
-      
-      console.log(`Processing ${batches.length} batches of ${batchSize} requests each`);
-      
-      for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-        const batch = batches[batchIndex];
-        console.log(`Processing batch ${batchIndex + 1}/${batches.length}`);
-        
-        // Process batch in parallel for speed
-        const batchPromises = batch.map(request => retryWebhook(request));
-        const batchResults = await Promise.allSettled(batchPromises);
-        
-        // Count results
-        batchResults.forEach(result => {
-          if (result.status === 'fulfilled') {
-            successCount++;
-          } else {
-            errorCount++;
-          }
-        });
-        
-        // Small delay between batches to be nice to Coda
-        if (batchIndex < batches.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-        
-        // Check if we're running out of time (stop with 20 seconds buffer)
-        const elapsed = Date.now() - startTime;
-        if (elapsed > 100000) { // 1 minute 40 seconds
-          console.log(`Stopping due to time limit. Processed ${batchIndex + 1}/${batches.length} batches`);
-          break;
+
+    for (const request of unfetched || []) {
+      try {
+        if (await retryWebhook(request)) {
+          queuedCount++;
+        } else {
+          skippedCount++;
         }
+      } catch (error) {
+        errorCount++;
       }
     }
-    
+
+    // Deliver what the per-destination rate limits allow now - the
+    // webhook-dispatcher.js cron sends the rest
+    const webhooks = await deliverDueWebhooks();
+
+    // Wipe tokens/keys of requests whose webhooks can't be retried any more (lib/secrets.js)
+    const { data: secretsScrubbed, error: scrubError } = await supabase.rpc('scrub_finished_secrets');
+    if (scrubError) {
+      console.error('Secret scrub failed:', scrubError.message);
+    }
+
     const totalTime = Math.round((Date.now() - startTime) / 1000);
     
     res.json({ 
       totalFound,
-      processed: successCount + errorCount,
-      successful: successCount,
+      queued: queuedCount,
+      skipped: skippedCount, // a delivery for the request is already pending
       failed: errorCount,
+      webhooks,
+      secretsScrubbed: secretsScrubbed || 0,
       processingTimeSeconds: totalTime,
       timestamp: new Date().toISOString(),
       note: totalFound > 50 ? "Recent requests backlog detected - monitor will continue in next run" : null
@@ -103,8 +87,14 @@ export default async function handler(req, res) {
   }
 }
 
+// Queue a retry webhook in the outbox. Returns false if one is already pending.
 async function retryWebhook(request) {
   try {
+    if (await hasPendingWebhook(request.request_id, request.coda_webhook_url)) {
+      console.log(`Webhook already pending for ${request.request_id}, not queueing another`);
+      return false;
+    }
+
     console.log(`Retrying webhook for request: ${request.request_id}`);
     
     // Update retry tracking first
@@ -121,34 +111,24 @@ async function retryWebhook(request) {
       throw updateError;
     }
     
-    // Send retry webhook with shorter timeout for faster processing
-    const response = await fetch(request.coda_webhook_url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${request.coda_api_token}`,
-        'User-Agent': 'Claude-Async-Monitor/1.0'
-      },
-      body: JSON.stringify({
+    // Single attempt - if Coda still hasn't fetched, the next monitor run queues another
+    await enqueueWebhook({
+      requestId: request.request_id,
+      url: request.coda_webhook_url,
+      token: request.coda_api_token,
+      maxAttempts: 1,
+      payload: {
         requestId: request.request_id,
         status: 'completed',
         isRetry: true,
         retryCount: (request.webhook_retry_count || 0) + 1
-      }),
-      signal: AbortSignal.timeout(3000) // 3 second timeout for faster processing
+      }
     });
 
-    if (response.ok) {
-      console.log(`Successfully retried webhook for ${request.request_id}`);
-      return { success: true, requestId: request.request_id };
-    } else {
-      const error = `Webhook retry failed with status ${response.status}`;
-      console.error(`${error} for ${request.request_id}`);
-      throw new Error(error);
-    }
+    return true;
     
   } catch (error) {
     console.error(`Retry failed for ${request.request_id}:`, error.message);
     throw error;
   }
-}
\ No newline at end of file
+}
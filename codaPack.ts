@@ -9,7 +9,11 @@ FEATURES:
 - Multiple images via URLs (up to 100 images)
 - Web search with citation cleaning
 - Extended thinking support
-- Cost calculation
+- Cost calculation (including prompt cache writes/reads)
+- Prompt caching for system prompts, images and shared prefixes
+- Requests sync table (status, tokens and cost of recent requests)
+- Stored prompt templates with {{variables}} (promptTemplateAsync)
+- Model list from the server catalog (/api/models) - deprecated models run on their replacement
 - Clear JSON content vs wrapper separation
 - No timeout limits
 */
@@ -20,50 +24,6 @@ export const pack = coda.newPack();
 
 const VERCEL_API_URL = "https://claude-async-api.vercel.app";
 
-// Model definitions with current pricing (per 1M tokens)
-const MODELS = [
-  {
-    name: "claude-opus-4-1-20250805",
-    display: "Claude Opus 4.1 (Latest)",
-    pricing: { input: 15.00, output: 75.00 }
-  },
-  {
-    name: "claude-opus-4-20250514",
-    display: "Claude Opus 4",
-    pricing: { input: 15.00, output: 75.00 }
-  },
-  {
-    name: "claude-sonnet-4-20250514",
-    display: "Claude Sonnet 4",
-    pricing: { input: 3.00, output: 15.00 }
-  },
-  {
-    name: "claude-3-7-sonnet-20250224",
-    display: "Claude 3.7 Sonnet",
-    pricing: { input: 3.00, output: 15.00 }
-  },
-  {
-    name: "claude-3-5-sonnet-20241022",
-    display: "Claude 3.5 Sonnet (Latest)",
-    pricing: { input: 3.00, output: 15.00 }
-  },
-  {
-    name: "claude-3-5-haiku-20241022",
-    display: "Claude 3.5 Haiku (Latest)",
-    pricing: { input: 1.00, output: 5.00 }
-  },
-  {
-    name: "claude-3-opus-20240229",
-    display: "Claude 3 Opus",
-    pricing: { input: 15.00, output: 75.00 }
-  },
-  {
-    name: "claude-3-haiku-20240307",
-    display: "Claude 3 Haiku",
-    pricing: { input: 0.25, output: 1.25 }
-  }
-];
-
 // System message for JSON content formatting (NOT about API wrapper)
 const JSON_SYSTEM_MESSAGE = `You must format your response content as valid JSON.
 
@@ -105,6 +65,326 @@ Your response:
 
 CRITICAL: The JSON format is for the response content itself, not a wrapper around other content.`;
 
+// Prompt settings shared by promptAsync and promptBatchAsync
+interface PromptOptions {
+  prompt: string;
+  model?: string;
+  maxTokens?: number;
+  temperature?: number;
+  systemPrompt?: string;
+  jsonContent?: boolean;
+  includeWrapper?: boolean;
+  extendedThinking?: boolean;
+  thinkingBudgetTokens?: number;
+  maxSearches?: number;
+  imageUrls?: string;
+  cacheSystemPrompt?: boolean;
+  cacheImages?: boolean;
+  sharedPrefix?: string;
+  jsonSchema?: string;
+  documentUrls?: string;
+}
+
+// Prompt caching breakpoint (5-minute TTL, refreshed on every hit)
+const CACHE_CONTROL = { type: "ephemeral" };
+
+// Documents per request (each PDF page also counts toward the API's page limit)
+const MAX_DOCUMENTS = 20;
+
+// Comma-separated URLs or a JSON array (one URL in JSON works too)
+function parseUrlList(value: string): string[] {
+  if (!value) {
+    return [];
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    return value.split(',').map(url => url.trim()).filter(url => url);
+  }
+}
+
+// Document title for citations: the file name at the end of the URL
+function documentTitle(url: string): string {
+  const fileName = url.split("?")[0].split("/").filter(part => part).pop() || url;
+  try {
+    return decodeURIComponent(fileName);
+  } catch (e) {
+    return fileName;
+  }
+}
+
+// jsonSchema requests force a call to this tool; the backend validates its
+// input against the schema (lib/structured-output.js)
+const STRUCTURED_OUTPUT_TOOL = "structured_output";
+
+// Build the Claude API request (ready to send as-is) plus processing metadata.
+// Returns { error } instead of throwing so formulas can return "ERROR: ..." strings.
+function buildClaudeRequest({
+  prompt,
+  model,
+  maxTokens,
+  temperature,
+  systemPrompt,
+  jsonContent = false,
+  includeWrapper = false,
+  extendedThinking = false,
+  thinkingBudgetTokens,
+  maxSearches,
+  imageUrls,
+  cacheSystemPrompt = false,
+  cacheImages = false,
+  sharedPrefix,
+  jsonSchema,
+  documentUrls
+}: PromptOptions): any {
+  // Apply defaults
+  const finalModel = model || "claude-sonnet-4-20250514";
+  const finalMaxTokens = maxTokens || 4096;
+  const finalTemperature = temperature !== undefined ? temperature : 1.0;
+  const finalThinkingBudget = thinkingBudgetTokens || 4096;
+
+  // Structured output: the schema becomes a forced tool's input_schema
+  let outputSchema = null;
+  if (jsonSchema) {
+    try {
+      outputSchema = JSON.parse(jsonSchema);
+    } catch (e) {
+      return { error: "jsonSchema must be valid JSON" };
+    }
+    if (!outputSchema || outputSchema.type !== "object") {
+      return { error: 'jsonSchema must be a JSON Schema with "type": "object" at the top level' };
+    }
+    // Forced tool use can't be combined with thinking, and would never let web search run
+    if (extendedThinking) {
+      return { error: "jsonSchema can't be combined with extendedThinking" };
+    }
+    if (maxSearches) {
+      return { error: "jsonSchema can't be combined with web search (maxSearches)" };
+    }
+    jsonContent = false; // the schema replaces the JSON instructions
+  }
+
+  // Build system prompt
+  let finalSystemPrompt = systemPrompt;
+  if (jsonContent) {
+    finalSystemPrompt = finalSystemPrompt ?
+      `${JSON_SYSTEM_MESSAGE}\n\nAdditional instructions: ${systemPrompt}` :
+      JSON_SYSTEM_MESSAGE;
+  }
+
+  // Parse image URLs - flexible input handling
+  const parsedImageUrls = parseUrlList(imageUrls);
+
+  // Validate image count (Claude supports up to 100 images)
+  if (parsedImageUrls.length > 100) {
+    return { error: "Too many images. Claude supports up to 100 images per request." };
+  }
+
+  // PDFs and plain-text files (the backend inlines text - the API only fetches PDFs)
+  const parsedDocumentUrls = parseUrlList(documentUrls);
+  if (parsedDocumentUrls.length > MAX_DOCUMENTS) {
+    return { error: `Too many documents. Maximum is ${MAX_DOCUMENTS} per request.` };
+  }
+
+  // Build messages - Support for multiple images via URLs
+  let messageContent = [];
+
+  // Shared prefix first - the same text on every row is cached once and then
+  // read back at 10% of the input price
+  if (sharedPrefix) {
+    messageContent.push({
+      type: "text",
+      text: sharedPrefix,
+      cache_control: CACHE_CONTROL
+    });
+  }
+
+  // Documents next, with citations so answers can point to pages / passages
+  parsedDocumentUrls.forEach(url => {
+    messageContent.push({
+      type: "document",
+      source: {
+        type: "url",
+        url: url
+      },
+      title: documentTitle(url),
+      citations: { enabled: true }
+    });
+  });
+
+  // Add images next
+  parsedImageUrls.forEach(url => {
+    messageContent.push({
+      type: "image",
+      source: {
+        type: "url",
+        url: url
+      }
+    });
+  });
+
+  // A breakpoint on the last image caches everything before it (prefix included)
+  if (cacheImages && parsedImageUrls.length > 0) {
+    messageContent[messageContent.length - 1].cache_control = CACHE_CONTROL;
+  }
+
+  // Add text prompt
+  const textPrompt = jsonContent ? `Generate JSON response for: ${prompt}` : prompt;
+  messageContent.push({
+    type: "text",
+    text: textPrompt
+  });
+
+  // Use array format if we have images or a prefix, otherwise simple string
+  const finalMessageContent = messageContent.length > 1 ? messageContent : textPrompt;
+
+  const messages = [{
+    role: "user",
+    content: finalMessageContent
+  }];
+
+  // Build Claude request - let Claude API handle validation
+  const claudeRequest: any = {
+    model: finalModel,
+    max_tokens: finalMaxTokens,
+    messages: messages
+  };
+
+  // Add system prompt if provided (as a block when it should be cached -
+  // e.g. the long JSON_SYSTEM_MESSAGE on every jsonContent row)
+  if (finalSystemPrompt) {
+    claudeRequest.system = cacheSystemPrompt
+      ? [{ type: "text", text: finalSystemPrompt, cache_control: CACHE_CONTROL }]
+      : finalSystemPrompt;
+  }
+
+  // Temperature logic
+  if (!extendedThinking && !jsonContent && !outputSchema) {
+    claudeRequest.temperature = finalTemperature;
+  } else if ((jsonContent || outputSchema) && !extendedThinking) {
+    claudeRequest.temperature = 0.2; // Lower temp for JSON consistency
+  }
+  // If extendedThinking is true, we don't set temperature (let Claude decide)
+
+  // Add thinking if enabled
+  if (extendedThinking) {
+    claudeRequest.thinking = {
+      type: "enabled",
+      budget_tokens: finalThinkingBudget
+    };
+  }
+
+  const webSearchEnabled = maxSearches !== undefined && maxSearches !== null && maxSearches > 0;
+
+  // Add web search tool if maxSearches is provided
+  if (webSearchEnabled) {
+    claudeRequest.tools = [{
+      type: "web_search_20250305",
+      name: "web_search",
+      max_uses: maxSearches
+    }];
+  }
+
+  if (outputSchema) {
+    claudeRequest.tools = [{
+      name: STRUCTURED_OUTPUT_TOOL,
+      description: "Return your complete answer as structured data matching this schema.",
+      input_schema: outputSchema
+    }];
+    claudeRequest.tool_choice = { type: "tool", name: STRUCTURED_OUTPUT_TOOL };
+  }
+
+  return {
+    claudeRequest,
+
+    // Response formatting preferences
+    responseOptions: {
+      jsonContent,
+      extendedThinking,
+      includeThinking: extendedThinking,
+      includeCost: true,
+      webSearch: webSearchEnabled,  // Always inferred from maxSearches
+      includeWrapper,
+      hasVision: parsedImageUrls.length > 0,
+      hasDocuments: parsedDocumentUrls.length > 0,
+      structuredOutput: Boolean(outputSchema)
+    }
+  };
+}
+
+// Server-side model catalog (see api/models.js), retired models included
+async function fetchModelCatalog(context): Promise<any[]> {
+  const response = await context.fetcher.fetch({
+    method: "GET",
+    url: `${VERCEL_API_URL}/api/models?includeRetired=true`,
+    cacheTtlSecs: 300,
+  });
+  return response.body?.models || [];
+}
+
+// Model autocomplete shared by the prompt formulas
+async function autocompleteModels(context, search) {
+  const models = await fetchModelCatalog(context);
+  return models
+    .filter(model => model.status !== "retired")
+    .filter(model =>
+      model.id.toLowerCase().includes((search || "").toLowerCase()) ||
+      model.displayName.toLowerCase().includes((search || "").toLowerCase())
+    )
+    .map(model => ({
+      display: model.status === "deprecated" && model.replacement
+        ? `${model.displayName} (deprecated - runs on ${model.replacement})`
+        : model.displayName,
+      value: model.id
+    }));
+}
+
+// Error message for a model the server won't run, or null. Aliases and
+// deprecated models are fine - the server resolves them. If the catalog
+// can't be loaded the server still validates when the request is queued.
+async function checkModel(context, model: string): Promise<string | null> {
+  if (!model) {
+    return null;
+  }
+
+  let models;
+  try {
+    models = await fetchModelCatalog(context);
+  } catch (e) {
+    return null;
+  }
+
+  const known = models.find(entry => entry.id === model || (entry.aliases || []).includes(model));
+  if (!known) {
+    return `Unknown model: ${model}`;
+  }
+  if (known.status === "retired" && !known.replacement) {
+    return `Model ${model} has been retired`;
+  }
+  return null;
+}
+
+// Spend budget / rate cap rejections from the queue endpoints (HTTP 429,
+// errorCategory quota_exceeded). The fetcher throws on non-2xx responses,
+// so the body arrives on the error - as a string or already parsed.
+function quotaExceededMessage(error: any): string | null {
+  if (error?.statusCode !== 429) {
+    return null;
+  }
+
+  let body = error.body;
+  if (typeof body === "string") {
+    try {
+      body = JSON.parse(body);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return body?.errorCategory === "quota_exceeded" ? `ERROR: ${body.error}` : null;
+}
+
 // User authentication
 pack.setUserAuthentication({
   type: coda.AuthenticationType.CustomHeaderToken,
@@ -141,15 +421,8 @@ pack.addFormula({
     coda.makeParameter({
       type: coda.ParameterType.String,
       name: "model",
-      description: "The Claude model to use",
-      autocomplete: async function (context, search) {
-        return MODELS
-          .filter(model =>
-            model.name.toLowerCase().includes((search || "").toLowerCase()) ||
-            model.display.toLowerCase().includes((search || "").toLowerCase())
-          )
-          .map(model => ({ display: model.display, value: model.name }));
-      },
+      description: "The Claude model to use (list from the server catalog; deprecated models run on their replacement)",
+      autocomplete: autocompleteModels,
       optional: true,
     }),
     coda.makeParameter({
@@ -209,6 +482,113 @@ pack.addFormula({
       description: 'Comma-separated image URLs or JSON array of URLs (supports up to 100 images). For 1 image, can use image column directly. For 2+ images, must use thisrow.[Image Column].FormulaMap(CurrentValue._Merge().ToText().ParseJSON("$.publicUrl")).Join(",")',
       optional: true,
     }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "conversationId",
+      description: "Continue a conversation thread: earlier turns with the same ID are sent as context and the reply is added to the thread. Any unique text works (e.g. a row ID).",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "conversationStrategy",
+      description: "What to do when a thread gets too long: truncate (drop oldest turns, default) or summarize (fold them into a summary)",
+      autocomplete: ["truncate", "summarize"],
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "callbacks",
+      description: "Extra webhook targets as a JSON array, e.g. [{\"url\": \"https://hooks.slack.com/...\", \"format\": \"text\"}]. format: id, full or text; add a secret to get signed calls.",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Boolean,
+      name: "cacheSystemPrompt",
+      description: "Cache the system prompt (prompt caching) - cheaper and faster when many rows share a long system prompt, e.g. with jsonContent. Needs ~1024+ tokens to take effect.",
+      optional: true,
+      suggestedValue: false,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Boolean,
+      name: "cacheImages",
+      description: "Cache the images (prompt caching) - for rows that send the same reference images every time",
+      optional: true,
+      suggestedValue: false,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "sharedPrefix",
+      description: "Text sent before the images and prompt and cached (prompt caching), e.g. a reference document every row asks about",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "jsonSchema",
+      description: 'JSON Schema for a structured answer, e.g. {"type": "object", "properties": {"score": {"type": "number"}}, "required": ["score"]}. The result is checked against it (one automatic repair attempt); checkRequest returns it as structuredOutput, with validationErrors if it still doesn\'t match. Not with extendedThinking or web search.',
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "tools",
+      description: "Comma-separated names of custom tools registered with registerTool. The backend calls their endpoints whenever Claude uses them and returns every call as toolSteps. Not with jsonSchema.",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Number,
+      name: "maxToolIterations",
+      description: "Maximum rounds of tool calls before Claude has to answer (default: 5, max: 10)",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "documentUrls",
+      description: "PDF or plain-text document URLs - public https links (comma-separated or JSON array). Citations are on, so the answer points to pages (PDF) or passages (text) in its footnotes.",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Boolean,
+      name: "useCache",
+      description: "Answer identical requests (same prompt, model and settings, last 24 hours) from the earlier result at no cost (default: true). Not used with conversations, tools or documentUrls.",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Boolean,
+      name: "refreshCache",
+      description: "Run the request again even if an identical one was answered; later requests reuse the new answer (default: false)",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "idempotencyKey",
+      description: "Any key identifying this submission, e.g. the row ID - re-running the formula with the same key within 24 hours returns the same request instead of a new one",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "priority",
+      description: "high, normal (default) or low. Requests run a few at a time per API key; high ones start first, so use low for big backfills and high for interactive prompts.",
+      autocomplete: ["high", "normal", "low"],
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Date,
+      name: "runAt",
+      description: "Run later instead of now, e.g. overnight for bulk runs (up to a year ahead). The request stays 'scheduled' until then.",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "recurrence",
+      description: "Repeat the request: hourly, daily, weekly, monthly or e.g. 'every 6 hours' (from runAt, or from now). Each run is its own request with its own result and webhook; checkRequest on this ID lists the runs, cancelRequest stops them.",
+      autocomplete: ["hourly", "daily", "weekly", "monthly"],
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Date,
+      name: "recurrenceUntil",
+      description: "Last moment a recurring request may run",
+      optional: true,
+    }),
   ],
   resultType: coda.ValueType.String,
 
@@ -225,7 +605,24 @@ pack.addFormula({
     extendedThinking = false,
     thinkingBudgetTokens,
     maxSearches,
-    imageUrls
+    imageUrls,
+    conversationId,
+    conversationStrategy,
+    callbacks,
+    cacheSystemPrompt = false,
+    cacheImages = false,
+    sharedPrefix,
+    jsonSchema,
+    tools,
+    maxToolIterations,
+    documentUrls,
+    useCache = true,
+    refreshCache = false,
+    idempotencyKey,
+    priority,
+    runAt,
+    recurrence,
+    recurrenceUntil
   ], context) {
     try {
       // Essential validation only
@@ -233,148 +630,87 @@ pack.addFormula({
         return "ERROR: Missing required parameters: prompt, webhookUrl, and apiToken are all required";
       }
 
+      const customTools = tools ? tools.split(",").map(name => name.trim()).filter(name => name) : [];
+      if (customTools.length > 0 && jsonSchema) {
+        return "ERROR: tools can't be combined with jsonSchema";
+      }
+
       const userApiKey = context.invocationToken;
       if (!userApiKey) {
         return "ERROR: No API key found. Please set up authentication with your Anthropic API key.";
       }
 
-      // Apply defaults
-      const finalModel = model || "claude-sonnet-4-20250514";
-      const finalMaxTokens = maxTokens || 4096;
-      const finalTemperature = temperature !== undefined ? temperature : 1.0;
-      const finalThinkingBudget = thinkingBudgetTokens || 4096;
-
-      // Get model pricing
-      const modelInfo = MODELS.find(m => m.name === finalModel);
-      if (!modelInfo) {
-        return `ERROR: Unknown model: ${finalModel}`;
+      const modelError = await checkModel(context, model);
+      if (modelError) {
+        return `ERROR: ${modelError}`;
       }
 
-      // Build system prompt
-      let finalSystemPrompt = systemPrompt;
-      if (jsonContent) {
-        finalSystemPrompt = finalSystemPrompt ?
-          `${JSON_SYSTEM_MESSAGE}\n\nAdditional instructions: ${systemPrompt}` :
-          JSON_SYSTEM_MESSAGE;
+      const built = buildClaudeRequest({
+        prompt,
+        model,
+        maxTokens,
+        temperature,
+        systemPrompt,
+        jsonContent,
+        includeWrapper,
+        extendedThinking,
+        thinkingBudgetTokens,
+        maxSearches,
+        imageUrls,
+        cacheSystemPrompt,
+        cacheImages,
+        sharedPrefix,
+        jsonSchema,
+        documentUrls
+      });
+      if (built.error) {
+        return `ERROR: ${built.error}`;
       }
 
-      // Parse image URLs - flexible input handling
-      let parsedImageUrls = [];
-      if (imageUrls) {
+      let parsedCallbacks;
+      if (callbacks) {
         try {
-          // Try parsing as JSON array first
-          parsedImageUrls = JSON.parse(imageUrls);
-          if (!Array.isArray(parsedImageUrls)) {
-            parsedImageUrls = [parsedImageUrls]; // Single URL in JSON
-          }
-        } catch {
-          // Fall back to comma-separated string
-          parsedImageUrls = imageUrls.split(',').map(url => url.trim()).filter(url => url);
+          parsedCallbacks = JSON.parse(callbacks);
+        } catch (e) {
+          return "ERROR: callbacks must be a JSON array of {url, format, secret}";
         }
       }
 
-      // Validate image count (Claude supports up to 100 images)
-      if (parsedImageUrls.length > 100) {
-        return "ERROR: Too many images. Claude supports up to 100 images per request.";
-      }
-
-      // Build messages - Support for multiple images via URLs
-      let messageContent = [];
-
-      // Add images first
-      parsedImageUrls.forEach(url => {
-        messageContent.push({
-          type: "image",
-          source: {
-            type: "url",
-            url: url
-          }
-        });
-      });
-
-      // Add text prompt
-      const textPrompt = jsonContent ? `Generate JSON response for: ${prompt}` : prompt;
-      messageContent.push({
-        type: "text",
-        text: textPrompt
-      });
-
-      // Use array format if we have images, otherwise simple string
-      const finalMessageContent = parsedImageUrls.length > 0 ? messageContent : textPrompt;
-
-      const messages = [{
-        role: "user",
-        content: finalMessageContent
-      }];
-
-      // Build Claude request - let Claude API handle validation
-      const claudeRequest: any = {
-        model: finalModel,
-        max_tokens: finalMaxTokens,
-        messages: messages
-      };
-
-      // Add system prompt if provided
-      if (finalSystemPrompt) {
-        claudeRequest.system = finalSystemPrompt;
-      }
-
-      // Temperature logic
-      if (!extendedThinking && !jsonContent) {
-        claudeRequest.temperature = finalTemperature;
-      } else if (jsonContent && !extendedThinking) {
-        claudeRequest.temperature = 0.2; // Lower temp for JSON consistency
-      }
-      // If extendedThinking is true, we don't set temperature (let Claude decide)
-
-      // Add thinking if enabled
-      if (extendedThinking) {
-        claudeRequest.thinking = {
-          type: "enabled",
-          budget_tokens: finalThinkingBudget
-        };
-      }
-
-      const webSearchEnabled = maxSearches !== undefined && maxSearches !== null && maxSearches > 0;
-
-
-      // Add web search tool if maxSearches is provided
-      if (webSearchEnabled) {
-        claudeRequest.tools = [{
-          type: "web_search_20250305",
-          name: "web_search",
-          max_uses: maxSearches
-        }];
-      }
-
-      // Generate unique request ID
-      const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-      // Build complete payload for Vercel
+      // Build complete payload for Vercel (the request ID is generated server-side)
       const requestPayload = {
-        requestId,
-
         // Complete Claude API request (ready to send as-is)
-        claudeRequest,
+        claudeRequest: built.claudeRequest,
 
         // Metadata for processing
         userApiKey,
-        modelPricing: modelInfo.pricing,
 
         // Response formatting preferences
-        responseOptions: {
-          jsonContent,
-          extendedThinking,
-          includeThinking: extendedThinking,
-          includeCost: true,
-          webSearch: webSearchEnabled,  // Always inferred from maxSearches
-          includeWrapper,
-          hasVision: parsedImageUrls.length > 0
-        },
+        responseOptions: built.responseOptions,
+
+        // Conversation thread (backend prepends earlier turns)
+        conversationId: conversationId || undefined,
+        conversationOptions: conversationId ? { strategy: conversationStrategy || "truncate" } : undefined,
 
         // Webhook configuration
         codaWebhookUrl: webhookUrl,
-        codaApiToken: apiToken
+        codaApiToken: apiToken,
+        callbacks: parsedCallbacks,
+
+        // Custom tools run by the backend (registered with registerTool)
+        customTools: customTools.length > 0 ? customTools : undefined,
+        maxToolIterations: customTools.length > 0 ? maxToolIterations : undefined,
+
+        // Result cache + idempotent re-runs (lib/result-cache.js)
+        cache: refreshCache ? "refresh" : (useCache ? "use" : "off"),
+        idempotencyKey: idempotencyKey || undefined,
+
+        // Queue order within the per-key concurrency caps (lib/concurrency.js)
+        priority: priority || undefined,
+
+        // Deferred / recurring runs (lib/scheduling.js)
+        runAt: runAt ? runAt.toISOString() : undefined,
+        recurrence: recurrence || undefined,
+        recurrenceUntil: recurrenceUntil ? recurrenceUntil.toISOString() : undefined
       };
 
       // Queue the request
@@ -394,52 +730,811 @@ pack.addFormula({
         return `ERROR: ${response.body?.error || 'Failed to queue request'}`;
       }
 
-      // Return just the request ID for consistent parsing
-      return requestId;
+      // Return just the request ID for consistent parsing. checkRequest reads
+      // it with the same API key, so the accessToken isn't needed in Coda.
+      return response.body.requestId;
 
     } catch (error) {
-      return `ERROR: ${error.message || 'Failed to queue request'}`;
+      return quotaExceededMessage(error) || `ERROR: ${error.message || 'Failed to queue request'}`;
     }
   },
 });
 
-// Status checker for debugging
+// Stored template ids of the connected API key (see api/templates.js)
+async function autocompleteTemplates(context, search) {
+  const response = await context.fetcher.fetch({
+    method: "GET",
+    url: `${VERCEL_API_URL}/api/templates`,
+    cacheTtlSecs: 0,
+  });
+  return (response.body?.templates || [])
+    .filter(template => template.id.toLowerCase().includes((search || "").toLowerCase()))
+    .map(template => ({
+      display: template.description ? `${template.id} - ${template.description}` : template.id,
+      value: template.id
+    }));
+}
+
+// Async formula for stored prompt templates - the prompt, system prompt, model
+// and schema come from the template; the doc only supplies the variables
 pack.addFormula({
-  name: "checkRequest",
-  description: "Check the status of a queued request (for debugging and monitoring)",
+  name: "promptTemplateAsync",
+  description: "Queue a request from a stored prompt template (saved with /api/templates) - fill in its {{variables}} and get a request ID back. The request records the template version it used.",
   parameters: [
     coda.makeParameter({
       type: coda.ParameterType.String,
-      name: "requestId",
-      description: "Request ID from promptAsync response",
+      name: "templateId",
+      description: "The template to use",
+      autocomplete: autocompleteTemplates,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "variables",
+      description: 'Template variables as a JSON object, e.g. {"customer": "Acme", "tone": "friendly"}. Variables with defaults can be left out.',
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "webhookUrl",
+      description: "Coda webhook URL to receive the response",
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "apiToken",
+      description: "Coda API token for webhook authentication",
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Number,
+      name: "version",
+      description: "Pin a template version (default: the latest)",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "model",
+      description: "Override the template's default model",
+      autocomplete: autocompleteModels,
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Boolean,
+      name: "includeWrapper",
+      description: "Return full API response (true) or just content (false, default)",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "idempotencyKey",
+      description: "Any key identifying this submission, e.g. the row ID - re-running with the same key within 24 hours returns the same request",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "priority",
+      description: "high, normal (default) or low",
+      autocomplete: ["high", "normal", "low"],
+      optional: true,
     }),
   ],
   resultType: coda.ValueType.String,
-  execute: async function ([requestId], context) {
+
+  execute: async function ([templateId, variables, webhookUrl, apiToken, version, model, includeWrapper = false, idempotencyKey, priority], context) {
     try {
-      if (!requestId) {
-        return "ERROR: Request ID is required";
+      if (!templateId || !webhookUrl || !apiToken) {
+        return "ERROR: Missing required parameters: templateId, webhookUrl, and apiToken are all required";
       }
 
-      const response = await context.fetcher.fetch({
-        method: "GET",
-        url: `${VERCEL_API_URL}/api/request-status?requestId=${encodeURIComponent(requestId)}`,
-      });
+      const modelError = await checkModel(context, model);
+      if (modelError) {
+        return `ERROR: ${modelError}`;
+      }
 
-      if (response.status === 404) {
-        return `ERROR: Request ${requestId} not found`;
+      let parsedVariables = {};
+      if (variables) {
+        try {
+          parsedVariables = JSON.parse(variables);
+        } catch (e) {
+          return "ERROR: variables must be a JSON object";
+        }
+        if (!parsedVariables || typeof parsedVariables !== "object" || Array.isArray(parsedVariables)) {
+          return "ERROR: variables must be a JSON object";
+        }
       }
 
-      if (response.status !== 200) {
-        return `ERROR: Failed to check status (HTTP ${response.status})`;
+      const userApiKey = context.invocationToken;
+      if (!userApiKey) {
+        return "ERROR: No API key found. Please set up authentication with your Anthropic API key.";
       }
 
-      return JSON.stringify(response.body || { error: "No status data" }, null, 2);
+      // The backend renders the template (lib/prompt-templates.js)
+      const requestPayload = {
+        template: {
+          id: templateId,
+          version: version || undefined,
+          variables: parsedVariables,
+          model: model || undefined,
+          includeWrapper
+        },
+        userApiKey,
+        codaWebhookUrl: webhookUrl,
+        codaApiToken: apiToken,
+        cache: "use",
+        idempotencyKey: idempotencyKey || undefined,
+        priority: priority || undefined
+      };
 
-    } catch (error) {
-      return `ERROR: ${error.message || 'Failed to check request status'}`;
-    }
-  }
+      const response = await context.fetcher.fetch({
+        method: "POST",
+        url: `${VERCEL_API_URL}/api/queue-request`,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(requestPayload)
+      });
+
+      if (response.status !== 200) {
+        const errorMsg = response.body?.error || `HTTP ${response.status}`;
+        return `ERROR: Failed to queue request - ${errorMsg}`;
+      }
+
+      if (!response.body?.success) {
+        return `ERROR: ${response.body?.error || 'Failed to queue request'}`;
+      }
+
+      return response.body.requestId;
+
+    } catch (error) {
+      return quotaExceededMessage(error) || `ERROR: ${error.message || 'Failed to queue request'}`;
+    }
+  },
+});
+
+// Bulk async formula - one Message Batch for many prompts (50% cheaper, slower)
+pack.addFormula({
+  name: "promptBatchAsync",
+  description: "Send many prompts to Claude in one call using the Message Batches API (50% discount). Results land in the individual requests; use checkRequest on each returned request ID.",
+  parameters: [
+    coda.makeParameter({
+      type: coda.ParameterType.StringArray,
+      name: "prompts",
+      description: "The prompts to send to Claude (one request per prompt)",
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "webhookUrl",
+      description: "Coda webhook URL from automation settings (required)",
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "apiToken",
+      description: "Coda API token for webhook authentication (required)",
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "model",
+      description: "The Claude model to use for every prompt",
+      autocomplete: autocompleteModels,
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Number,
+      name: "maxTokens",
+      description: "Maximum tokens in each response (default: 4096)",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Number,
+      name: "temperature",
+      description: "Control randomness (0.0-1.0, default: 1.0)",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "systemPrompt",
+      description: "Optional system prompt (shared by every prompt)",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Boolean,
+      name: "jsonContent",
+      description: "Format response content as JSON (content will be valid JSON that starts with { and ends with })",
+      optional: true,
+      suggestedValue: false,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Boolean,
+      name: "extendedThinking",
+      description: "Enable extended thinking (includes thinking in response)",
+      optional: true,
+      suggestedValue: false,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Number,
+      name: "thinkingBudgetTokens",
+      description: "Thinking budget in tokens (default: 4096)",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Number,
+      name: "maxSearches",
+      description: "Enable web search and set maximum searches per prompt (e.g., 5). Leave blank to disable web search.",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "webhookMode",
+      description: "per_request: one webhook per prompt (default). per_batch: one webhook when the whole batch finishes.",
+      autocomplete: ["per_request", "per_batch"],
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Boolean,
+      name: "cacheSystemPrompt",
+      description: "Cache the system prompt (prompt caching) - cheaper and faster when many rows share a long system prompt, e.g. the shared system prompt of a batch. Needs ~1024+ tokens to take effect.",
+      optional: true,
+      suggestedValue: false,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "sharedPrefix",
+      description: "Text sent before every prompt and cached (prompt caching), e.g. a reference document all prompts ask about",
+      optional: true,
+    }),
+  ],
+  resultType: coda.ValueType.String,
+
+  execute: async function ([
+    prompts,
+    webhookUrl,
+    apiToken,
+    model,
+    maxTokens,
+    temperature,
+    systemPrompt,
+    jsonContent = false,
+    extendedThinking = false,
+    thinkingBudgetTokens,
+    maxSearches,
+    webhookMode = "per_request",
+    cacheSystemPrompt = false,
+    sharedPrefix
+  ], context) {
+    try {
+      const finalPrompts = (prompts || []).filter(prompt => prompt);
+      if (finalPrompts.length === 0 || !webhookUrl || !apiToken) {
+        return "ERROR: Missing required parameters: prompts, webhookUrl, and apiToken are all required";
+      }
+
+      const userApiKey = context.invocationToken;
+      if (!userApiKey) {
+        return "ERROR: No API key found. Please set up authentication with your Anthropic API key.";
+      }
+
+      const modelError = await checkModel(context, model);
+      if (modelError) {
+        return `ERROR: ${modelError}`;
+      }
+
+      const requests = [];
+      for (let i = 0; i < finalPrompts.length; i++) {
+        const built = buildClaudeRequest({
+          prompt: finalPrompts[i],
+          model,
+          maxTokens,
+          temperature,
+          systemPrompt,
+          jsonContent,
+          extendedThinking,
+          thinkingBudgetTokens,
+          maxSearches,
+          cacheSystemPrompt,
+          sharedPrefix
+        });
+        if (built.error) {
+          return `ERROR: ${built.error}`;
+        }
+
+        requests.push({
+          claudeRequest: built.claudeRequest,
+          responseOptions: built.responseOptions
+        });
+      }
+
+      const response = await context.fetcher.fetch({
+        method: "POST",
+        url: `${VERCEL_API_URL}/api/queue-batch`,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          requests,
+          userApiKey,
+          webhookMode,
+          codaWebhookUrl: webhookUrl,
+          codaApiToken: apiToken
+        })
+      });
+
+      if (response.status !== 200) {
+        const errorMsg = response.body?.error || `HTTP ${response.status}`;
+        return `ERROR: Failed to queue batch - ${errorMsg}`;
+      }
+
+      if (!response.body?.success) {
+        return `ERROR: ${response.body?.error || 'Failed to queue batch'}`;
+      }
+
+      // Batch ID plus one request ID per prompt (same order as prompts)
+      return JSON.stringify({
+        batchId: response.body.batchId,
+        requestIds: response.body.requestIds
+      });
+
+    } catch (error) {
+      return quotaExceededMessage(error) || `ERROR: ${error.message || 'Failed to queue batch'}`;
+    }
+  },
+});
+
+// Status checker for debugging
+pack.addFormula({
+  name: "checkRequest",
+  description: "Check the status of a queued request (for debugging and monitoring)",
+  parameters: [
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "requestId",
+      description: "Request ID from promptAsync response",
+    }),
+  ],
+  resultType: coda.ValueType.String,
+  execute: async function ([requestId], context) {
+    try {
+      if (!requestId) {
+        return "ERROR: Request ID is required";
+      }
+
+      const response = await context.fetcher.fetch({
+        method: "GET",
+        // paged: fields too big for one cell are listed in resultManifest instead
+        url: `${VERCEL_API_URL}/api/request-status?requestId=${encodeURIComponent(requestId)}&paged=true`,
+      });
+
+      if (response.status === 404) {
+        return `ERROR: Request ${requestId} not found`;
+      }
+
+      if (response.status !== 200) {
+        const errorMsg = response.body?.error || `HTTP ${response.status}`;
+        return `ERROR: Failed to check status - ${errorMsg}`;
+      }
+
+      // Compact, like the server measured it when paging
+      return JSON.stringify(response.body || { error: "No status data" });
+
+    } catch (error) {
+      return `ERROR: ${error.message || 'Failed to check request status'}`;
+    }
+  }
+});
+
+// The final answer, rendered server-side (see api/request-result.js)
+pack.addFormula({
+  name: "getResult",
+  description: "Get the final answer of a request as plain text, Markdown (with citation footnotes) or sanitised HTML - no JSON parsing needed. Follows the request's includeWrapper setting: just the answer, or JSON with model, usage, cost and citations.",
+  parameters: [
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "requestId",
+      description: "Request ID from promptAsync response",
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "format",
+      description: "text, markdown or html (default: markdown)",
+      optional: true,
+      autocomplete: ["text", "markdown", "html"],
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Boolean,
+      name: "includeThinking",
+      description: "Add Claude's thinking before the answer (default: false)",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Boolean,
+      name: "includeSearches",
+      description: "List the web search queries used (default: false)",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Boolean,
+      name: "includeCost",
+      description: "Add the cost and token counts (default: false)",
+      optional: true,
+    }),
+  ],
+  resultType: coda.ValueType.String,
+  execute: async function ([requestId, format, includeThinking = false, includeSearches = false, includeCost = false], context) {
+    try {
+      if (!requestId) {
+        return "ERROR: Request ID is required";
+      }
+
+      const include = [
+        includeThinking ? "thinking" : null,
+        includeSearches ? "searches" : null,
+        includeCost ? "cost" : null
+      ].filter(section => section);
+
+      const response = await context.fetcher.fetch({
+        method: "GET",
+        url: `${VERCEL_API_URL}/api/request-result?requestId=${encodeURIComponent(requestId)}&format=${encodeURIComponent(format || "markdown")}&include=${include.join(",")}`,
+      });
+
+      if (response.status === 404) {
+        return `ERROR: Request ${requestId} not found`;
+      }
+
+      if (response.status !== 200) {
+        const errorMsg = response.body?.error || `HTTP ${response.status}`;
+        return `ERROR: Failed to get result - ${errorMsg}`;
+      }
+
+      return response.body.includeWrapper
+        ? JSON.stringify(response.body, null, 2)
+        : response.body.content;
+
+    } catch (error) {
+      return `ERROR: ${error.message || 'Failed to get result'}`;
+    }
+  }
+});
+
+// One page of a field checkRequest left out (see resultManifest)
+pack.addFormula({
+  name: "getResultChunk",
+  description: "Fetch one page of a large result field listed in checkRequest's resultManifest (45,000 characters per page). Join all pages of a field to get it whole.",
+  parameters: [
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "requestId",
+      description: "Request ID from promptAsync response",
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "field",
+      description: "Field from resultManifest, e.g. content.3, content.5.text, conversation or webhookLogs",
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Number,
+      name: "page",
+      description: "Page number, starting at 1 (default: 1)",
+      optional: true,
+    }),
+  ],
+  resultType: coda.ValueType.String,
+  execute: async function ([requestId, field, page], context) {
+    try {
+      if (!requestId || !field) {
+        return "ERROR: Request ID and field are required";
+      }
+
+      const response = await context.fetcher.fetch({
+        method: "GET",
+        url: `${VERCEL_API_URL}/api/request-status?requestId=${encodeURIComponent(requestId)}&field=${encodeURIComponent(field)}&page=${page || 1}`,
+      });
+
+      if (response.status === 404) {
+        return `ERROR: Request ${requestId} not found`;
+      }
+
+      if (response.status !== 200) {
+        const errorMsg = response.body?.error || `HTTP ${response.status}`;
+        return `ERROR: Failed to fetch chunk - ${errorMsg}`;
+      }
+
+      return response.body.chunk;
+
+    } catch (error) {
+      return `ERROR: ${error.message || 'Failed to fetch result chunk'}`;
+    }
+  }
+});
+
+// Requeue a failed request (dead-letter replay)
+pack.addFormula({
+  name: "retryRequest",
+  description: "Requeue a failed request with its original prompt and settings, optionally on a different model. The request ID stays the same, so the usual webhook delivers the result.",
+  parameters: [
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "requestId",
+      description: "Request ID of the failed request",
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "model",
+      description: "Run on this model instead of the original one",
+      optional: true,
+      autocomplete: autocompleteModels
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "apiToken",
+      description: "Coda API token for the webhook - needed if the request failed more than ~30 minutes ago (stored tokens are wiped by then)",
+      optional: true,
+    }),
+  ],
+  resultType: coda.ValueType.String,
+  execute: async function ([requestId, model, apiToken], context) {
+    try {
+      if (!requestId) {
+        return "ERROR: Request ID is required";
+      }
+
+      const userApiKey = context.invocationToken;
+      if (!userApiKey) {
+        return "ERROR: No API key found. Please set up authentication with your Anthropic API key.";
+      }
+
+      const modelError = await checkModel(context, model);
+      if (modelError) {
+        return `ERROR: ${modelError}`;
+      }
+
+      const response = await context.fetcher.fetch({
+        method: "POST",
+        url: `${VERCEL_API_URL}/api/replay`,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          requestId,
+          model: model || undefined,
+          // Failed requests no longer hold a key - the current one is used
+          userApiKey,
+          codaApiToken: apiToken || undefined
+        })
+      });
+
+      if (response.status !== 200) {
+        const errorMsg = response.body?.error || `HTTP ${response.status}`;
+        return `ERROR: Failed to retry request - ${errorMsg}`;
+      }
+
+      return requestId;
+
+    } catch (error) {
+      return `ERROR: ${error.message || 'Failed to retry request'}`;
+    }
+  }
+});
+
+// Register (or replace) a custom tool for promptAsync's tools parameter
+pack.addFormula({
+  name: "registerTool",
+  description: "Register a custom tool Claude can call during promptAsync requests. The backend POSTs {tool, input, requestId, toolUseId} to the endpoint and passes the response body back to Claude. Registering an existing name replaces it. Returns the tool name.",
+  parameters: [
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "name",
+      description: "Tool name (letters, digits, _ and -), e.g. lookup_customer",
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "description",
+      description: "What the tool does and when to use it - Claude decides from this",
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "inputSchema",
+      description: 'JSON Schema of the tool input, e.g. {"type": "object", "properties": {"email": {"type": "string"}}, "required": ["email"]}',
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "endpointUrl",
+      description: "Public HTTPS endpoint the backend calls to run the tool",
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "secret",
+      description: "Signs every call with an X-Webhook-Signature header (HMAC-SHA256)",
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "headers",
+      description: 'Extra headers as JSON, e.g. {"Authorization": "Bearer ..."} (stored encrypted)',
+      optional: true,
+    }),
+    coda.makeParameter({
+      type: coda.ParameterType.Number,
+      name: "timeoutSeconds",
+      description: "How long to wait for the endpoint (default: 30, max: 120)",
+      optional: true,
+    }),
+  ],
+  resultType: coda.ValueType.String,
+  execute: async function ([name, description, inputSchema, endpointUrl, secret, headers, timeoutSeconds], context) {
+    try {
+      if (!name || !description || !inputSchema || !endpointUrl) {
+        return "ERROR: name, description, inputSchema and endpointUrl are required";
+      }
+
+      let parsedSchema;
+      try {
+        parsedSchema = JSON.parse(inputSchema);
+      } catch (e) {
+        return "ERROR: inputSchema must be valid JSON";
+      }
+
+      let parsedHeaders;
+      if (headers) {
+        try {
+          parsedHeaders = JSON.parse(headers);
+        } catch (e) {
+          return "ERROR: headers must be a JSON object";
+        }
+      }
+
+      // Tools belong to the API key the Pack sends as x-api-key
+      const response = await context.fetcher.fetch({
+        method: "POST",
+        url: `${VERCEL_API_URL}/api/tools`,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          name,
+          description,
+          inputSchema: parsedSchema,
+          endpointUrl,
+          secret: secret || undefined,
+          headers: parsedHeaders,
+          timeoutMs: timeoutSeconds ? Math.round(timeoutSeconds * 1000) : undefined
+        })
+      });
+
+      if (response.status !== 200) {
+        const errorMsg = response.body?.error || `HTTP ${response.status}`;
+        return `ERROR: Failed to register tool - ${errorMsg}`;
+      }
+
+      return response.body.tool.name;
+
+    } catch (error) {
+      return `ERROR: ${error.message || 'Failed to register tool'}`;
+    }
+  }
+});
+
+// Cancel a queued or running request
+pack.addFormula({
+  name: "cancelRequest",
+  description: "Cancel a queued or running request. Queued requests never run; running ones are stopped and keep the partial output and cost so far. Returns the new status (cancelled or cancelling).",
+  parameters: [
+    coda.makeParameter({
+      type: coda.ParameterType.String,
+      name: "requestId",
+      description: "Request ID to cancel",
+    }),
+  ],
+  resultType: coda.ValueType.String,
+  execute: async function ([requestId], context) {
+    try {
+      if (!requestId) {
+        return "ERROR: Request ID is required";
+      }
+
+      // Ownership is checked against the API key the Pack sends as x-api-key
+      const response = await context.fetcher.fetch({
+        method: "POST",
+        url: `${VERCEL_API_URL}/api/cancel-request`,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ requestId })
+      });
+
+      if (response.status !== 200 && response.status !== 202) {
+        const errorMsg = response.body?.error || `HTTP ${response.status}`;
+        return `ERROR: Failed to cancel request - ${errorMsg}`;
+      }
+
+      return response.body.status;
+
+    } catch (error) {
+      return `ERROR: ${error.message || 'Failed to cancel request'}`;
+    }
+  }
+});
+
+// One row per request in the Requests sync table (see api/requests.js)
+const RequestSchema = coda.makeObjectSchema({
+  properties: {
+    requestId: { type: coda.ValueType.String, description: "Request ID" },
+    model: { type: coda.ValueType.String, description: "The model that ran the request" },
+    requestedModel: { type: coda.ValueType.String, description: "The model asked for, when a deprecated model or alias was run on another one" },
+    status: { type: coda.ValueType.String, description: "queued, processing, retrying, batched, completed, failed or cancelled" },
+    createdAt: { type: coda.ValueType.String, codaType: coda.ValueHintType.DateTime },
+    completedAt: { type: coda.ValueType.String, codaType: coda.ValueHintType.DateTime },
+    processingTimeSeconds: { type: coda.ValueType.Number, description: "From processing start to completion" },
+    inputTokens: { type: coda.ValueType.Number },
+    outputTokens: { type: coda.ValueType.Number },
+    cacheReadTokens: { type: coda.ValueType.Number },
+    cacheWriteTokens: { type: coda.ValueType.Number },
+    totalCost: {
+      type: coda.ValueType.Number,
+      codaType: coda.ValueHintType.Currency,
+      precision: 4,
+      description: "USD - the queue-time estimate until the request has run (see costEstimated)"
+    },
+    costEstimated: { type: coda.ValueType.Boolean },
+    cachedFromRequestId: { type: coda.ValueType.String, description: "Set when the answer came from the result cache (no cost)" },
+    parentRequestId: { type: coda.ValueType.String, description: "The recurring request this run belongs to" },
+    nextRunAt: { type: coda.ValueType.String, codaType: coda.ValueHintType.DateTime, description: "When a scheduled request runs next" },
+    templateId: { type: coda.ValueType.String, description: "Stored prompt template the request was rendered from" },
+    templateVersion: { type: coda.ValueType.Number },
+    fetchCount: { type: coda.ValueType.Number, description: "Times the result was fetched with checkRequest" },
+    webhookRetryCount: { type: coda.ValueType.Number },
+    attempts: { type: coda.ValueType.Number },
+    errorCategory: { type: coda.ValueType.String },
+    errorMessage: { type: coda.ValueType.String },
+    batchId: { type: coda.ValueType.String },
+    conversationId: { type: coda.ValueType.String },
+  },
+  idProperty: "requestId",
+  displayProperty: "requestId",
+  featuredProperties: ["model", "status", "createdAt", "processingTimeSeconds", "totalCost", "errorMessage"],
+});
+
+// Operations dashboard: the connected API key's recent requests
+pack.addSyncTable({
+  name: "Requests",
+  description: "Your recent Claude requests with status, timing, tokens and cost",
+  identityName: "Request",
+  schema: RequestSchema,
+  formula: {
+    name: "SyncRequests",
+    description: "Sync requests submitted with your API key",
+    parameters: [
+      coda.makeParameter({
+        type: coda.ParameterType.StringArray,
+        name: "statuses",
+        description: "Only these statuses (default: all)",
+        autocomplete: ["scheduled", "queued", "processing", "retrying", "batched", "completed", "failed", "cancelled"],
+        optional: true,
+      }),
+      coda.makeParameter({
+        type: coda.ParameterType.DateArray,
+        name: "dateRange",
+        description: "Only requests created in this range (default: everything)",
+        optional: true,
+      }),
+    ],
+    execute: async function ([statuses, dateRange], context) {
+      const params: Record<string, string> = { limit: "200" };
+      if (statuses && statuses.length > 0) {
+        params.status = statuses.join(",");
+      }
+      if (dateRange?.[0]) {
+        params.since = dateRange[0].toISOString();
+      }
+      if (dateRange?.[1]) {
+        // Inclusive end date from the picker -> exclusive bound one day later
+        params.until = new Date(dateRange[1].getTime() + 24 * 60 * 60 * 1000).toISOString();
+      }
+      if (context.sync.continuation?.cursor) {
+        params.cursor = context.sync.continuation.cursor as string;
+      }
+
+      // x-api-key is added by the Pack authentication - the listing is per key
+      const response = await context.fetcher.fetch({
+        method: "GET",
+        url: coda.withQueryParams(`${VERCEL_API_URL}/api/requests`, params),
+        cacheTtlSecs: 0,
+      });
+
+      const body = response.body || {};
+      return {
+        result: (body.requests || []).map(request => ({
+          ...request,
+          totalCost: request.totalCostUsd,
+        })),
+        continuation: body.nextCursor ? { cursor: body.nextCursor } : undefined,
+      };
+    },
+  },
 });
 
 // Usage examples formula for documentation
@@ -473,6 +1568,74 @@ pack.addFormula({
           call: "promptAsync('Describe these', webhook, token, model, maxTokens, temp, system, false, false, false, undefined, false, undefined, 'url1,url2,url3')",
           response: "Processes up to 100 images"
         },
+        "Batch (50% cheaper)": {
+          call: "promptBatchAsync(thisTable.Prompt, webhook, token, model)",
+          response: "{batchId: '...', requestIds: ['req_...', ...]} - results arrive per request via webhook/checkRequest"
+        },
+        "Conversation thread": {
+          call: "promptAsync('And what about Q3?', webhook, token, model, maxTokens, temp, system, false, false, false, undefined, undefined, undefined, thisRow.[Thread ID])",
+          response: "Earlier turns with the same conversationId are included; checkRequest returns the whole transcript"
+        },
+        "Deprecated model": {
+          call: "promptAsync('Summarise', webhook, token, 'claude-3-5-sonnet-20241022', 1024, 1, system, false, true)",
+          response: "{model: 'claude-sonnet-4-5-20250929', requestedModel: 'claude-3-5-sonnet-20241022', ...} - runs on the catalog's replacement (see /api/models)"
+        },
+        "Retry a failed request": {
+          call: "retryRequest(thisRow.[Request ID], 'claude-sonnet-4-20250514')",
+          response: "Same request ID, requeued - failure webhooks include errorCategory to decide when to retry"
+        },
+        "Structured output": {
+          call: "promptAsync('Rate this review', webhook, token, model, maxTokens, temp, system, false, false, false, undefined, undefined, undefined, undefined, undefined, undefined, false, false, undefined, '{\"type\": \"object\", \"properties\": {\"score\": {\"type\": \"integer\", \"minimum\": 1, \"maximum\": 5}}, \"required\": [\"score\"]}')",
+          response: "structuredOutput: {score: 4}, validationErrors: null"
+        },
+        "Documents with citations": {
+          call: "promptAsync('Summarise the termination clauses', webhook, token, documentUrls: thisRow.Contract.ToText())",
+          response: "{content: 'Either party may terminate... [1]\n**Sources:**\n[1] contract.pdf, p. 12', ...}"
+        },
+        "Custom tools": {
+          call: "registerTool('lookup_customer', 'Look up a customer by email', '{\"type\": \"object\", \"properties\": {\"email\": {\"type\": \"string\"}}, \"required\": [\"email\"]}', 'https://internal.example.com/tools/customer') then promptAsync(thisRow.Question, webhook, token, tools: 'lookup_customer')",
+          response: "Claude calls the endpoint as often as it needs (up to maxToolIterations rounds); toolSteps lists every call"
+        },
+        "Re-run without paying twice": {
+          call: "promptAsync(thisRow.Prompt, webhook, token, idempotencyKey: thisRow.[Row ID])",
+          response: "Identical prompts are answered from the cache (cacheHit, cost 0); the same idempotencyKey returns the same request ID. refreshCache: true forces a new run"
+        },
+        "Backfill without blocking the doc": {
+          call: "promptAsync(thisRow.Prompt, webhook, token, priority: 'low')",
+          response: "Low-priority rows wait while high/normal ones run; checkRequest shows queuePosition until a slot frees up"
+        },
+        "Prompt template": {
+          call: "promptTemplateAsync('support_reply', '{\"customer\": \"' & thisRow.Customer & '\"}', webhook, token)",
+          response: "A request ID - the system prompt, model and schema come from the latest saved version, which the request records (templateId / templateVersion)"
+        },
+        "Daily refresh": {
+          call: "promptAsync('Summarise this table: ' & Table.ToText(), webhook, token, runAt: Date(2026, 10, 20) + Time(6, 0, 0), recurrence: 'daily')",
+          response: "A request ID in status 'scheduled'; every day a new run (its own request ID, parentRequestId set) is processed and webhooked"
+        },
+        "Rendered answer": {
+          call: "getResult(thisRow.[Request ID], 'markdown', false, true, true)",
+          response: "The answer with citation footnotes, then the search queries and cost - no ParseJSON needed (JSON with usage/cost when includeWrapper was on)"
+        },
+        "Large results": {
+          call: "getResultChunk(thisRow.[Request ID], 'content.3', 2)",
+          response: "Page 2 of a field checkRequest listed in resultManifest (its placeholder says how many pages there are)"
+        },
+        "Operations dashboard": {
+          call: "Add the Requests sync table (filter by statuses / dateRange)",
+          response: "One row per request: model, status, times, tokens, cost, fetch and webhook retry counts, errors"
+        },
+        "Cancel a request": {
+          call: "cancelRequest(thisRow.[Request ID])",
+          response: "'cancelled' (was queued) or 'cancelling' (running) - the webhook then reports status 'cancelled'"
+        },
+        "Slack + signed callback": {
+          call: "promptAsync('Daily summary', webhook, token, model, maxTokens, temp, system, false, false, false, undefined, undefined, undefined, undefined, undefined, '[{\"url\": \"https://hooks.slack.com/services/...\", \"format\": \"text\"}]')",
+          response: "Coda webhook as usual, plus the answer posted to Slack"
+        },
+        "Prompt caching": {
+          call: "promptAsync(thisRow.Question, webhook, token, model, maxTokens, temp, [Style Guide], true, false, false, undefined, undefined, undefined, undefined, undefined, undefined, true)",
+          response: "The JSON instructions + style guide are cached; cost shows cacheWriteTokens on the first row and cheaper cacheReadTokens after"
+        },
         "Extended thinking": {
           call: "promptAsync('Complex analysis', webhook, token, model, maxTokens, temp, system, false, false, true, 8192)",
           response: "Includes thinking process in response"
@@ -480,9 +1643,18 @@ pack.addFormula({
       },
       parameters: {
         jsonContent: "Controls content format (JSON vs text)",
-        includeWrapper: "Controls response format (full API response vs just content)",
+        includeWrapper: "Controls response format (full API response vs just content) - getResult follows it",
         imageUrls: "Supports comma-separated URLs or JSON array",
-        extendedThinking: "Enables thinking with budget control"
+        extendedThinking: "Enables thinking with budget control",
+        conversationId: "Threads requests into one multi-turn conversation",
+        callbacks: "Extra webhook targets (id/full/text payloads, HMAC-signed when a secret is set)",
+        cacheSystemPrompt: "Prompt caching breakpoint on the system prompt (cacheImages / sharedPrefix for images and shared text)",
+        jsonSchema: "Structured output validated against a JSON Schema (replaces jsonContent)",
+        useCache: "Reuse the answer of an identical request from the last 24 hours (refreshCache forces a new run, idempotencyKey dedupes re-runs)",
+        documentUrls: "PDFs / plain-text files as document inputs, cited by page or passage",
+        tools: "Custom tools (registerTool) the backend runs in a tool-use loop, capped by maxToolIterations",
+        priority: "high / normal / low - order in the queue while the API key's concurrency slots are busy",
+        runAt: "Deferred start; with recurrence (and recurrenceUntil) a repeating schedule of child runs"
       }
     }, null, 2);
   }
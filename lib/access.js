@@ -0,0 +1,81 @@
+// =================================================================
+// lib/access.js
+// =================================================================
+/*
+REQUEST OWNERSHIP:
+
+PROBLEM SOLVED:
+- request-status returned the full response to anyone with a requestId, and
+  ids were Date.now() + a few random characters generated in the Pack
+
+HOW IT WORKS:
+- Ids are generated here with 128 bits of randomness
+- Each request stores two hashes (never the secrets themselves):
+    access_token_hash: per-request token returned once at queue time
+    api_key_hash:      SHA-256 of the Claude key that submitted it
+- Reads must present one of them:
+    X-Request-Token: <accessToken>  (any client, e.g. webhook receivers)
+    x-api-key: <Claude key>          (the Pack sends this automatically)
+- Wrong credentials get the same 404 as unknown ids, so ids can't be probed
+
+Rows queued before access control have neither hash; they stay readable
+only while ALLOW_UNOWNED_REQUEST_READS=true (transition period).
+*/
+
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+
+export const ACCESS_TOKEN_HEADER = 'x-request-token';
+
+const allowUnownedReads = process.env.ALLOW_UNOWNED_REQUEST_READS === 'true';
+
+export function generateRequestId() {
+  return `req_${randomBytes(16).toString('base64url')}`;
+}
+
+export function generateBatchId() {
+  return `batch_${randomBytes(16).toString('base64url')}`;
+}
+
+export function generateAccessToken() {
+  return `rat_${randomBytes(24).toString('base64url')}`;
+}
+
+export function hashCredential(value) {
+  return value ? createHash('sha256').update(value).digest('hex') : null;
+}
+
+// Credentials presented on a read; accessToken can also come from the query
+// string where headers can't be set (EventSource)
+export function getRequestCredentials(req, { allowQueryToken = false } = {}) {
+  const accessToken = req.headers[ACCESS_TOKEN_HEADER] ||
+    (allowQueryToken ? req.query?.accessToken : null) ||
+    null;
+
+  return {
+    accessToken,
+    apiKey: req.headers['x-api-key'] || req.headers['x-claude-api-key'] || null
+  };
+}
+
+export function hasCredentials({ accessToken, apiKey }) {
+  return Boolean(accessToken || apiKey);
+}
+
+// row needs access_token_hash and api_key_hash selected
+export function canAccessRequest(row, { accessToken, apiKey }) {
+  if (!row.access_token_hash && !row.api_key_hash) {
+    return allowUnownedReads;
+  }
+
+  return hashMatches(row.access_token_hash, accessToken) || hashMatches(row.api_key_hash, apiKey);
+}
+
+function hashMatches(storedHash, credential) {
+  if (!storedHash || !credential) {
+    return false;
+  }
+
+  const expected = Buffer.from(storedHash, 'hex');
+  const actual = Buffer.from(hashCredential(credential), 'hex');
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,24 @@
+// =================================================================
+// lib/api-keys.js
+// =================================================================
+/*
+Claude API key checks shared by the queueing endpoints.
+Returns a user-facing error message, or null when the key looks usable.
+*/
+
+export function validateClaudeApiKey(claudeApiKey) {
+  if (!claudeApiKey) {
+    return 'Missing Claude API key. Please reconnect your Pack authentication and ensure your API key is configured.';
+  }
+
+  // Claude keys start with sk-ant- and are ~108 chars
+  if (!claudeApiKey.startsWith('sk-ant-')) {
+    return 'Invalid Claude API key format. Keys should start with "sk-ant-". Please reconnect with a valid key.';
+  }
+
+  if (claudeApiKey.length < 50) {
+    return `API key appears truncated (${claudeApiKey.length} chars). Expected ~108 characters. Please reconnect your Pack authentication.`;
+  }
+
+  return null;
+}
@@ -0,0 +1,241 @@
+// =================================================================
+// lib/budgets.js
+// =================================================================
+/*
+SPEND BUDGETS + REQUEST-RATE CAPS (checked at queue time):
+
+PROBLEM SOLVED:
+- A misconfigured table once queued thousands of Opus calls and nothing
+  stopped it - every promptAsync was accepted
+
+HOW IT WORKS:
+- spend_budgets rows cap a hashed API key or a Coda doc (scope_key '*' is
+  the default for everyone without a row of their own):
+    daily_limit_usd / monthly_limit_usd   (UTC day / month)
+    requests_per_minute / requests_per_day
+- get_spend_usage() sums what is already recorded: real costs of finished
+  rows plus the estimates of rows still in flight
+- The new request's estimate is added before comparing - it is an upper
+  bound (max_tokens of output, every allowed web search), replaced by the
+  real cost once it runs
+- Over a cap -> queue endpoints answer 429 with errorCategory 'quota_exceeded'
+- Crossing 80% of a spend budget sends one warning webhook per period
+  (budget.warning_webhook_url, else the request's Coda webhook)
+
+Concurrent requests are checked independently, so a burst can overshoot a
+cap by the requests that were in flight together.
+*/
+
+import { createClient } from '@supabase/supabase-js';
+import { enqueueWebhook, deliverDueWebhooks } from './webhook-outbox.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const QUOTA_EXCEEDED = 'quota_exceeded';
+const WARNING_THRESHOLD = 0.8;
+
+// Rough per-image input cost (~1.6k tokens for a typical 1092x1092 image)
+const IMAGE_TOKEN_ESTIMATE = 1600;
+
+// Documents are only fetched when the request runs - assume a ~10 page PDF
+const DOCUMENT_TOKEN_ESTIMATE = 25000;
+
+const SCOPE_LABELS = { api_key: 'this API key', doc: 'this doc' };
+
+// Coda webhooks look like https://coda.io/apis/v1/docs/<docId>/hooks/automation/<ruleId>
+export function docKeyFromWebhookUrl(webhookUrl) {
+  if (!webhookUrl) return null;
+  const match = webhookUrl.match(/\/docs\/([^/]+)\//);
+  return match ? match[1] : webhookUrl;
+}
+
+// Worst-case cost in USD for one Claude request (pricing from lib/pricing.js)
+export function estimateRequestCost(claudeRequest, pricing) {
+  if (!pricing || !claudeRequest) return 0;
+
+  let inputChars = JSON.stringify(claudeRequest.system || '').length;
+  let images = 0;
+  let documents = 0;
+  for (const message of claudeRequest.messages || []) {
+    if (typeof message.content === 'string') {
+      inputChars += message.content.length;
+      continue;
+    }
+    for (const block of message.content || []) {
+      if (block.type === 'image') {
+        images++;
+      } else if (block.type === 'document') {
+        documents++;
+      } else {
+        inputChars += JSON.stringify(block).length;
+      }
+    }
+  }
+
+  const inputTokens = Math.ceil(inputChars / 4) + images * IMAGE_TOKEN_ESTIMATE + documents * DOCUMENT_TOKEN_ESTIMATE;
+  const outputTokens = claudeRequest.max_tokens || 4096;
+  const searches = (claudeRequest.tools || [])
+    .filter(tool => tool.name === 'web_search')
+    .reduce((sum, tool) => sum + (tool.max_uses || 0), 0);
+
+  const cost = (inputTokens / 1000000) * pricing.input +
+    (outputTokens / 1000000) * pricing.output +
+    (searches / 1000) * pricing.webSearchPer1k;
+
+  return parseFloat(cost.toFixed(6));
+}
+
+// Returns { exceeded, warnings }: exceeded is null or { scope, period, limit,
+// used, message }; warnings are spend budgets at/over 80% after this request
+export async function checkBudgets({ apiKeyHash, docKey, estimatedCostUsd = 0, requestCount = 1 }) {
+  const scopes = [
+    { scope: 'api_key', scopeKey: apiKeyHash },
+    { scope: 'doc', scopeKey: docKey }
+  ].filter(({ scopeKey }) => scopeKey);
+
+  const { data: budgets, error } = await supabase
+    .from('spend_budgets')
+    .select('id, scope, scope_key, label, daily_limit_usd, monthly_limit_usd, requests_per_minute, requests_per_day, warning_webhook_url')
+    .in('scope_key', ['*', ...scopes.map(({ scopeKey }) => scopeKey)]);
+
+  if (error) {
+    throw new Error(`Failed to load spend budgets: ${error.message}`);
+  }
+
+  const warnings = [];
+
+  for (const { scope, scopeKey } of scopes) {
+    // A row for this exact key/doc replaces the '*' default
+    const budget = budgets.find(b => b.scope === scope && b.scope_key === scopeKey) ||
+      budgets.find(b => b.scope === scope && b.scope_key === '*');
+    if (!budget) continue;
+
+    const { data: usageRows, error: usageError } = await supabase.rpc('get_spend_usage', {
+      p_scope: scope,
+      p_scope_key: scopeKey
+    });
+
+    if (usageError) {
+      throw new Error(`Failed to load spend usage: ${usageError.message}`);
+    }
+
+    const usage = usageRows?.[0] || {};
+    const spentToday = Number(usage.spent_today || 0);
+    const spentMonth = Number(usage.spent_month || 0);
+    const who = budget.label || SCOPE_LABELS[scope];
+
+    const rateCaps = [
+      ['minute', budget.requests_per_minute, usage.requests_last_minute || 0],
+      ['day', budget.requests_per_day, usage.requests_today || 0]
+    ];
+    for (const [period, limit, used] of rateCaps) {
+      if (limit && used + requestCount > limit) {
+        return {
+          exceeded: {
+            scope,
+            period,
+            limit,
+            used,
+            message: `${QUOTA_EXCEEDED}: request limit for ${who} reached (${used} of ${limit} requests per ${period}${requestCount > 1 ? `, this call adds ${requestCount}` : ''})`
+          },
+          warnings
+        };
+      }
+    }
+
+    const spendCaps = [
+      ['daily', budget.daily_limit_usd, spentToday],
+      ['monthly', budget.monthly_limit_usd, spentMonth]
+    ];
+    for (const [period, limitValue, spent] of spendCaps) {
+      if (limitValue === null || limitValue === undefined) continue;
+      const limit = Number(limitValue);
+
+      if (spent + estimatedCostUsd > limit) {
+        return {
+          exceeded: {
+            scope,
+            period,
+            limit,
+            used: spent,
+            message: `${QUOTA_EXCEEDED}: ${period} spend budget for ${who} reached ($${spent.toFixed(2)} spent + ~$${estimatedCostUsd.toFixed(2)} for this request > $${limit.toFixed(2)}) - resets at the start of the next UTC ${period === 'daily' ? 'day' : 'month'}`
+          },
+          warnings
+        };
+      }
+
+      if (limit > 0 && (spent + estimatedCostUsd) / limit >= WARNING_THRESHOLD) {
+        warnings.push({
+          budget,
+          scopeKey,
+          period,
+          limitUsd: limit,
+          spentUsd: parseFloat((spent + estimatedCostUsd).toFixed(6)),
+          percentUsed: parseFloat((((spent + estimatedCostUsd) / limit) * 100).toFixed(2))
+        });
+      }
+    }
+  }
+
+  return { exceeded: null, warnings };
+}
+
+// Sends each warning at most once per budget, key/doc and period. Falls back
+// to the request's Coda webhook (and its still-encrypted token).
+export async function sendBudgetWarnings(warnings, { codaWebhookUrl = null, codaApiToken = null } = {}) {
+  let queued = 0;
+
+  for (const warning of warnings) {
+    const { budget, scopeKey, period } = warning;
+    const url = budget.warning_webhook_url || codaWebhookUrl;
+    if (!url) continue;
+
+    const now = new Date();
+    const periodStart = period === 'daily'
+      ? now.toISOString().slice(0, 10)
+      : `${now.toISOString().slice(0, 7)}-01`;
+
+    // Only the first insert for this period wins
+    const { data: inserted, error } = await supabase
+      .from('budget_warnings')
+      .upsert({
+        budget_id: budget.id,
+        scope_key: scopeKey,
+        period,
+        period_start: periodStart,
+        percent_used: warning.percentUsed
+      }, { onConflict: 'budget_id,scope_key,period,period_start', ignoreDuplicates: true })
+      .select('budget_id');
+
+    if (error) {
+      console.warn(`Failed to record budget warning: ${error.message}`);
+      continue;
+    }
+    if (!inserted || inserted.length === 0) continue;
+
+    await enqueueWebhook({
+      url,
+      token: budget.warning_webhook_url ? null : codaApiToken,
+      payload: {
+        type: 'budget_warning',
+        scope: budget.scope,
+        budget: budget.label || null,
+        period,
+        limitUsd: warning.limitUsd,
+        spentUsd: warning.spentUsd,
+        percentUsed: warning.percentUsed
+      }
+    });
+    queued++;
+    console.log(`⚠️ Budget ${budget.id} (${budget.scope}) at ${warning.percentUsed}% of its ${period} limit - warning queued`);
+  }
+
+  if (queued > 0) {
+    await deliverDueWebhooks();
+  }
+
+  return queued;
+}
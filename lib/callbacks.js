@@ -0,0 +1,184 @@
+// =================================================================
+// lib/callbacks.js
+// =================================================================
+/*
+OUTBOUND CALLBACK TARGETS (beyond the Coda webhook):
+
+Requests can carry callbacks: [{ url, format, secret, headers }]
+- url: a public https endpoint - Slack-style incoming webhooks, our own
+  services. http, private, loopback and link-local hosts are refused here
+  and again on delivery (lib/outbound-urls.js)
+- format:
+    'id'   -> { requestId, status } (what Coda gets; receiver fetches the result)
+    'full' -> { requestId, status, response } with the processed response
+    'text' -> { text } rendered answer, drops straight into Slack/Teams
+- secret: signs every delivery (see lib/webhook-signing.js)
+- headers: extra static headers, e.g. Authorization for our own services
+
+Cancelled requests notify with status 'cancelled'; 'full' then carries the
+partial response (if Claude had started) and 'text' just says so.
+
+Runs of a recurring request (lib/scheduling.js) add parentRequestId to the
+'id' and 'full' payloads so receivers can tell which schedule they belong to.
+
+enqueueRequestWebhooks() is the one place a finished request fans out to
+the Coda webhook plus every callback - each becomes its own outbox row, so
+each target gets its own retries and rate limit.
+*/
+
+import { enqueueWebhook } from './webhook-outbox.js';
+import { encryptSecret, encryptHeaders } from './secrets.js';
+import { validateOutboundUrl, allowLocalCallbacks } from './outbound-urls.js';
+
+export const CALLBACK_FORMATS = ['id', 'full', 'text'];
+const MAX_CALLBACKS = 5;
+
+// Slack rejects longer messages; keeps 'text' payloads sane everywhere else too
+const MAX_TEXT_LENGTH = 35000;
+
+// Returns a user-facing error message, or null when the callbacks are usable
+export function validateCallbacks(callbacks) {
+  if (callbacks === undefined || callbacks === null) {
+    return null;
+  }
+
+  if (!Array.isArray(callbacks)) {
+    return 'callbacks must be an array of { url, format, secret, headers }';
+  }
+
+  if (callbacks.length > MAX_CALLBACKS) {
+    return `Too many callbacks (${callbacks.length}). Maximum is ${MAX_CALLBACKS}.`;
+  }
+
+  for (let i = 0; i < callbacks.length; i++) {
+    const callback = callbacks[i];
+
+    const urlError = allowLocalCallbacks
+      ? validateLocalUrl(callback?.url, `callbacks[${i}].url`)
+      : validateOutboundUrl(callback?.url, `callbacks[${i}].url`);
+    if (urlError) {
+      return urlError;
+    }
+
+    if (callback.format && !CALLBACK_FORMATS.includes(callback.format)) {
+      return `callbacks[${i}].format "${callback.format}" is invalid. Expected one of: ${CALLBACK_FORMATS.join(', ')}`;
+    }
+
+    if (callback.secret !== undefined && typeof callback.secret !== 'string') {
+      return `callbacks[${i}].secret must be a string`;
+    }
+
+    if (callback.headers !== undefined && (typeof callback.headers !== 'object' || Array.isArray(callback.headers))) {
+      return `callbacks[${i}].headers must be an object`;
+    }
+  }
+
+  return null;
+}
+
+// ALLOW_LOCAL_CALLBACK_URLS=true (local development): any http(s) URL
+function validateLocalUrl(value, label) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return `${label} is not a valid URL`;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return `${label} must be http or https`;
+  }
+  return null;
+}
+
+// Only keep the fields we know about (stored on llm_requests.callbacks).
+// Secrets and header values are encrypted; the outbox decrypts them at send time.
+export function normalizeCallbacks(callbacks) {
+  if (!callbacks || callbacks.length === 0) {
+    return null;
+  }
+
+  return callbacks.map(callback => ({
+    url: callback.url,
+    format: callback.format || 'id',
+    secret: encryptSecret(callback.secret),
+    headers: encryptHeaders(callback.headers)
+  }));
+}
+
+// outcome: { status: 'completed', response } or
+//          { status: 'failed', errorCategory, errorMessage, attempts }
+export async function enqueueRequestWebhooks(request, outcome) {
+  let queued = 0;
+
+  if (request.coda_webhook_url && request.coda_api_token) {
+    await enqueueWebhook({
+      requestId: request.request_id,
+      batchId: request.batch_id || null,
+      url: request.coda_webhook_url,
+      token: request.coda_api_token,
+      payload: renderPayload('id', request, outcome)
+    });
+    queued++;
+  }
+
+  for (const callback of request.callbacks || []) {
+    await enqueueWebhook({
+      requestId: request.request_id,
+      batchId: request.batch_id || null,
+      url: callback.url,
+      signingSecret: callback.secret,
+      headers: callback.headers,
+      payload: renderPayload(callback.format, request, outcome)
+    });
+    queued++;
+  }
+
+  return queued;
+}
+
+function renderPayload(format, request, outcome) {
+  const requestId = request.request_id;
+  const failed = outcome.status === 'failed';
+
+  if (format === 'text') {
+    if (outcome.status === 'cancelled') {
+      return { text: `Request ${requestId} was cancelled` };
+    }
+    return {
+      text: failed
+        ? `Request ${requestId} failed (${outcome.errorCategory}): ${outcome.errorMessage}`
+        : renderResponseText(outcome.response)
+    };
+  }
+
+  const payload = { requestId, status: outcome.status };
+
+  // Runs of a recurring request name their schedule (lib/scheduling.js)
+  if (request.parent_request_id) {
+    payload.parentRequestId = request.parent_request_id;
+  }
+
+  if (failed) {
+    payload.errorCategory = outcome.errorCategory;
+    payload.errorMessage = outcome.errorMessage;
+    payload.attempts = outcome.attempts ?? null;
+  } else if (format === 'full') {
+    payload.response = outcome.response ?? null;
+  }
+
+  return payload;
+}
+
+// Text blocks joined in order (citation footnotes are their own final block)
+function renderResponseText(response) {
+  const text = (response?.content || [])
+    .filter(block => block?.type === 'text' && block.text)
+    .map(block => block.text)
+    .join('\n\n');
+
+  if (text.length > MAX_TEXT_LENGTH) {
+    return `${text.slice(0, MAX_TEXT_LENGTH)}\n\n[truncated]`;
+  }
+
+  return text || '(no text content)';
+}
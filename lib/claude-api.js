@@ -0,0 +1,313 @@
+// =================================================================
+// lib/claude-api.js
+// =================================================================
+/*
+STREAMING MESSAGES API CLIENT:
+
+WHY STREAMING:
+- Extended thinking / web search runs sit in 'processing' for minutes
+- With stream: true we see thinking, searches and text as they happen
+- onProgress(snapshot) lets process-queue.js save partial output to the row
+
+The final return value is the same message object the non-streaming API
+returns (rebuilt from the SSE events), so response processing is unchanged.
+
+PROGRESS SNAPSHOT:
+- phase: starting | thinking | searching | writing
+- partialContent / partialThinking: text generated so far
+- toolUses: server/client tool calls seen so far (name + input)
+- outputTokensSoFar: estimated (~4 chars/token) until the final usage arrives
+
+CANCELLATION:
+- Pass { signal } to abort mid-call; a RequestCancelledError is thrown with
+  the partial content and usage (output tokens estimated) streamed so far
+
+CUT-OFF STREAMS:
+- A stream that ends without message_stop (dropped connection, proxy
+  timeout) never returns the partial message as if it were complete - it
+  throws a retryable ClaudeAPIError (api_error), so it is neither stored as
+  completed nor billed as a whole answer
+
+RATE-LIMIT HEADERS:
+- Pass { onHeaders } to see the response headers (as a plain object) as soon
+  as they arrive - lib/concurrency.js adapts the per-key cap from them
+*/
+
+import { ClaudeAPIError, RequestCancelledError } from './claude-errors.js';
+
+const MESSAGES_URL = 'https://api.anthropic.com/v1/messages';
+
+// Snapshots rebuild partial text, so don't build one per SSE event
+const PROGRESS_INTERVAL_MS = 2000;
+
+export async function callClaudeAPI(payload, { onProgress, signal, onHeaders } = {}) {
+  const { claudeRequest, userApiKey } = payload;
+
+  if (!claudeRequest) {
+    throw new Error('No claudeRequest found in payload');
+  }
+
+  // Only use user's API key (no fallback to system key)
+  // Key problems are permanent failures - classify them like a 401
+  if (!userApiKey) {
+    throw new ClaudeAPIError({
+      errorType: 'authentication_error',
+      apiMessage: 'No user API key found in payload. User must authenticate with their Claude API key.'
+    });
+  }
+
+  // Validate API key format (Claude keys are typically 108 characters starting with sk-ant-api03-)
+  if (!userApiKey.startsWith('sk-ant-')) {
+    throw new ClaudeAPIError({
+      errorType: 'authentication_error',
+      apiMessage: `Invalid API key format. Expected Claude API key starting with 'sk-ant-'. If you're seeing this, check your API key or use the claudeApiKeyOverride parameter.`
+    });
+  }
+
+  // Separate warning for suspicious length
+  if (userApiKey.length < 50) {
+    console.warn(`⚠️ API key seems short (${userApiKey.length} chars). Normal Claude keys are 100+ characters. Possible truncation.`);
+  }
+
+  console.log(`Calling Claude with model: ${claudeRequest.model} (API key length: ${userApiKey.length})`);
+
+  const timeoutSignal = AbortSignal.timeout(660000); // 11 minutes
+
+  let response;
+  try {
+    response = await fetch(MESSAGES_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': userApiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({ ...claudeRequest, stream: true }),
+      signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+    });
+  } catch (error) {
+    if (signal?.aborted) {
+      throw new RequestCancelledError(); // nothing generated yet
+    }
+    throw error;
+  }
+
+  if (onHeaders) {
+    onHeaders(Object.fromEntries(response.headers.entries()));
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw ClaudeAPIError.fromResponse(response, errorText);
+  }
+
+  const responseData = await readMessageStream(response.body, onProgress, signal);
+
+  if (!responseData.content) {
+    throw new Error('Invalid Claude response: missing content field');
+  }
+
+  return responseData;
+}
+
+// Parse server-sent events and rebuild the final message
+async function readMessageStream(body, onProgress, signal) {
+  const accumulator = createMessageAccumulator();
+  try {
+    return await consumeEvents(body, accumulator, onProgress);
+  } catch (error) {
+    if (signal?.aborted) {
+      throw new RequestCancelledError(accumulator.partial());
+    }
+    // undici's error when the connection drops mid-body
+    if (error instanceof TypeError && error.message === 'terminated') {
+      throw incompleteStreamError(`connection dropped (${error.cause?.code || error.message})`);
+    }
+    throw error;
+  }
+}
+
+// Transient like a 5xx - the next attempt starts the message from scratch
+function incompleteStreamError(reason) {
+  return new ClaudeAPIError({
+    errorType: 'api_error',
+    apiMessage: `Stream ended before message_stop: ${reason}`
+  });
+}
+
+async function consumeEvents(body, accumulator, onProgress) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let lastPhase = null;
+  let lastProgressAt = 0;
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let separatorIndex;
+    while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, separatorIndex);
+      buffer = buffer.slice(separatorIndex + 2);
+
+      const event = parseServerSentEvent(rawEvent);
+      if (!event) continue;
+
+      accumulator.apply(event);
+
+      // Report on phase changes and at most every PROGRESS_INTERVAL_MS otherwise
+      const now = Date.now();
+      const phase = accumulator.currentPhase();
+      if (onProgress && (phase !== lastPhase || now - lastProgressAt >= PROGRESS_INTERVAL_MS)) {
+        lastPhase = phase;
+        lastProgressAt = now;
+        onProgress(accumulator.snapshot());
+      }
+    }
+  }
+
+  if (!accumulator.isComplete()) {
+    throw incompleteStreamError(accumulator.message() ? 'the response was cut short' : 'no message was received');
+  }
+
+  return accumulator.message();
+}
+
+function parseServerSentEvent(rawEvent) {
+  const dataLines = rawEvent
+    .split('\n')
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).trimStart());
+
+  if (dataLines.length === 0) return null;
+  return JSON.parse(dataLines.join('\n'));
+}
+
+function createMessageAccumulator() {
+  let message = null;
+  const partialJson = new Map();
+  let phase = 'starting';
+  let complete = false;
+
+  function phaseForBlock(block) {
+    if (block.type === 'thinking' || block.type === 'redacted_thinking') return 'thinking';
+    if (block.type === 'text') return 'writing';
+    return 'searching'; // server_tool_use, tool results, client tool_use
+  }
+
+  return {
+    apply(event) {
+      switch (event.type) {
+        case 'message_start':
+          message = { ...event.message, content: [] };
+          break;
+
+        case 'content_block_start':
+          message.content[event.index] = { ...event.content_block };
+          phase = phaseForBlock(event.content_block);
+          break;
+
+        case 'content_block_delta': {
+          const block = message.content[event.index];
+          const { delta } = event;
+          if (delta.type === 'text_delta') {
+            block.text = (block.text || '') + delta.text;
+          } else if (delta.type === 'thinking_delta') {
+            block.thinking = (block.thinking || '') + delta.thinking;
+          } else if (delta.type === 'signature_delta') {
+            block.signature = delta.signature;
+          } else if (delta.type === 'input_json_delta') {
+            partialJson.set(event.index, (partialJson.get(event.index) || '') + delta.partial_json);
+          } else if (delta.type === 'citations_delta') {
+            block.citations = [...(block.citations || []), delta.citation];
+          }
+          break;
+        }
+
+        case 'content_block_stop':
+          if (partialJson.has(event.index)) {
+            const json = partialJson.get(event.index);
+            // Input cut off by max_tokens isn't valid JSON - leave it null
+            // (structured output reports it instead of the whole call failing)
+            try {
+              message.content[event.index].input = json ? JSON.parse(json) : {};
+            } catch {
+              message.content[event.index].input = null;
+            }
+            partialJson.delete(event.index);
+          }
+          break;
+
+        case 'message_delta':
+          Object.assign(message, event.delta);
+          message.usage = { ...message.usage, ...event.usage };
+          break;
+
+        case 'error':
+          // Mid-stream errors (e.g. overloaded_error) arrive after a 200 response
+          throw new ClaudeAPIError({
+            errorType: event.error?.type || 'api_error',
+            apiMessage: event.error?.message || 'Stream error'
+          });
+
+        case 'message_stop':
+          complete = Boolean(message);
+          break;
+
+        default:
+          break; // ping
+      }
+    },
+
+    isComplete() {
+      return complete;
+    },
+
+    currentPhase() {
+      return phase;
+    },
+
+    snapshot() {
+      const content = message?.content || [];
+      const partialContent = content
+        .filter(block => block?.type === 'text')
+        .map(block => block.text || '')
+        .join('');
+      const partialThinking = content
+        .filter(block => block?.type === 'thinking')
+        .map(block => block.thinking || '')
+        .join('\n\n');
+      const toolUses = content
+        .filter(block => block?.type === 'server_tool_use' || block?.type === 'tool_use')
+        .map(block => ({ type: block.type, name: block.name, input: block.input || null }));
+
+      const generatedChars = partialContent.length + partialThinking.length +
+        Array.from(partialJson.values()).join('').length;
+
+      return {
+        phase,
+        partialContent,
+        partialThinking,
+        toolUses,
+        outputTokensSoFar: Math.max(message?.usage?.output_tokens || 0, Math.ceil(generatedChars / 4))
+      };
+    },
+
+    message() {
+      return message;
+    },
+
+    // What we have when the stream is cut short: output_tokens only arrives
+    // with message_delta at the end, so it is estimated from the text so far
+    partial() {
+      const { outputTokensSoFar } = this.snapshot();
+      return {
+        content: (message?.content || []).filter(Boolean),
+        usage: {
+          ...(message?.usage || {}),
+          output_tokens: outputTokensSoFar
+        },
+        outputTokensEstimated: true
+      };
+    }
+  };
+}
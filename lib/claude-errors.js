@@ -0,0 +1,169 @@
+// =================================================================
+// lib/claude-errors.js
+// =================================================================
+/*
+ERROR CLASSIFICATION FOR CLAUDE API CALLS:
+
+Transient (retryable) - would likely succeed a minute later:
+- rate_limited (429), overloaded (529), api_error (500/502/503/504)
+- timeout / network (no HTTP response at all)
+
+Permanent - retrying can't help, fail straight away:
+- authentication (401), permission (403), invalid_request (400),
+  not_found (404, e.g. unknown model), request_too_large (413)
+- internal: anything that isn't a Claude API error (our own bugs, DB errors)
+
+Documents fetched before the call (lib/documents.js DocumentFetchError):
+- document_unavailable (timeouts, network, 429 / 5xx) is retried
+- document_invalid (refused URL, 4xx, unsupported type, too large) is not
+
+Each category has a readable message for error_message; the raw API body
+is kept separately (error_details) for debugging.
+*/
+
+const CATEGORIES = {
+  invalid_request: { retryable: false, message: 'Claude rejected the request as invalid' },
+  authentication: { retryable: false, message: 'Claude API key was rejected - reconnect the Pack with a valid key' },
+  permission: { retryable: false, message: 'This API key does not have permission for the request (model or feature access)' },
+  not_found: { retryable: false, message: 'Claude API resource not found - check the model name' },
+  request_too_large: { retryable: false, message: 'Request is too large for the Claude API' },
+  rate_limited: { retryable: true, message: 'Rate limited by the Claude API' },
+  overloaded: { retryable: true, message: 'Claude API is temporarily overloaded' },
+  api_error: { retryable: true, message: 'Claude API had an internal error' },
+  timeout: { retryable: true, message: 'Claude API call timed out' },
+  network: { retryable: true, message: 'Could not reach the Claude API' },
+  document_unavailable: { retryable: true, message: 'Could not fetch a document' },
+  document_invalid: { retryable: false, message: 'A document could not be used' },
+  internal: { retryable: false, message: 'Processing failed' }
+};
+
+const CATEGORY_BY_STATUS = {
+  400: 'invalid_request',
+  401: 'authentication',
+  403: 'permission',
+  404: 'not_found',
+  413: 'request_too_large',
+  429: 'rate_limited',
+  500: 'api_error',
+  502: 'api_error',
+  503: 'api_error',
+  504: 'api_error',
+  529: 'overloaded'
+};
+
+const CATEGORY_BY_ERROR_TYPE = {
+  invalid_request_error: 'invalid_request',
+  authentication_error: 'authentication',
+  permission_error: 'permission',
+  not_found_error: 'not_found',
+  request_too_large: 'request_too_large',
+  rate_limit_error: 'rate_limited',
+  api_error: 'api_error',
+  overloaded_error: 'overloaded'
+};
+
+// Backoff when the API doesn't tell us how long to wait
+const BASE_RETRY_DELAY_MS = 15000;
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+
+export class ClaudeAPIError extends Error {
+  constructor({ status = null, errorType = null, apiMessage = null, headers = null, rawBody = null }) {
+    super(`Claude API error (${status || errorType || 'unknown'}): ${apiMessage || rawBody || 'No details'}`);
+    this.name = 'ClaudeAPIError';
+    this.status = status;
+    this.errorType = errorType;
+    this.apiMessage = apiMessage;
+    this.headers = headers;
+    this.rawBody = rawBody;
+  }
+
+  // Build from a non-2xx fetch Response (body already read as text)
+  static fromResponse(response, bodyText) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(bodyText);
+    } catch {
+      // Not JSON (proxy error pages etc.) - keep raw text
+    }
+
+    return new ClaudeAPIError({
+      status: response.status,
+      errorType: parsed?.error?.type || null,
+      apiMessage: parsed?.error?.message || null,
+      headers: Object.fromEntries(response.headers.entries()),
+      rawBody: bodyText
+    });
+  }
+}
+
+// Thrown when the caller aborted the call (cancel-request.js). partial holds
+// whatever had streamed in by then: { content, usage, outputTokensEstimated }
+export class RequestCancelledError extends Error {
+  constructor(partial = null) {
+    super('Request cancelled');
+    this.name = 'RequestCancelledError';
+    this.partial = partial;
+  }
+}
+
+// Returns { category, retryable, message, details }
+export function classifyClaudeError(error) {
+  let category;
+
+  if (error instanceof ClaudeAPIError) {
+    category = CATEGORY_BY_STATUS[error.status] ||
+      CATEGORY_BY_ERROR_TYPE[error.errorType] ||
+      (error.status && error.status < 500 ? 'invalid_request' : 'api_error');
+  } else if (error?.name === 'DocumentFetchError') {
+    category = error.retryable ? 'document_unavailable' : 'document_invalid';
+  } else if (error?.name === 'TimeoutError' || error?.name === 'AbortError') {
+    category = 'timeout';
+  } else if (error instanceof TypeError && error.message === 'fetch failed') {
+    category = 'network'; // undici connection errors
+  } else {
+    category = 'internal';
+  }
+
+  const { retryable, message } = CATEGORIES[category];
+
+  let readableMessage = message;
+  if (error instanceof ClaudeAPIError && error.apiMessage) {
+    readableMessage += `: ${error.apiMessage}`;
+  } else if (category === 'internal' || category.startsWith('document_')) {
+    readableMessage += `: ${error.message}`;
+  }
+
+  return {
+    category,
+    retryable,
+    message: readableMessage,
+    details: error instanceof ClaudeAPIError
+      ? { status: error.status, errorType: error.errorType, body: error.rawBody }
+      : { name: error?.name, message: error?.message }
+  };
+}
+
+// How long to wait before the next attempt (attempt = attempts made so far)
+export function getRetryDelayMs(error, attempt) {
+  const headers = error instanceof ClaudeAPIError ? error.headers || {} : {};
+
+  // retry-after (seconds) always wins
+  const retryAfter = parseFloat(headers['retry-after']);
+  if (!Number.isNaN(retryAfter)) {
+    return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+  }
+
+  // Exhausted rate limit buckets tell us when they refill
+  const resets = ['requests', 'tokens', 'input-tokens', 'output-tokens']
+    .filter(bucket => headers[`anthropic-ratelimit-${bucket}-remaining`] === '0')
+    .map(bucket => Date.parse(headers[`anthropic-ratelimit-${bucket}-reset`]))
+    .filter(reset => !Number.isNaN(reset));
+  if (resets.length > 0) {
+    const waitMs = Math.max(...resets) - Date.now();
+    return Math.min(Math.max(waitMs, 1000), MAX_RETRY_DELAY_MS);
+  }
+
+  // Exponential backoff with jitter
+  const backoff = BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(attempt - 1, 0));
+  return Math.min(backoff + Math.random() * 1000, MAX_RETRY_DELAY_MS);
+}
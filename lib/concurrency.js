@@ -0,0 +1,132 @@
+// =================================================================
+// lib/concurrency.js
+// =================================================================
+/*
+CONCURRENCY CAPS + PRIORITY (claim_request / claim_next_request RPCs):
+
+PROBLEM SOLVED:
+- A doc with hundreds of rows queued them all at once; every row got its own
+  worker and the key hit 429s until most of them failed - and a one-off
+  interactive prompt waited behind the whole backfill
+
+HOW IT WORKS:
+- concurrency_limits caps processing rows per API key and per key + model
+  ('*' rows are the defaults - 5 per key, 3 per model). The claim RPCs skip
+  rows whose caps are full, so the rest simply stay 'queued'
+- Rows carry a priority (low 0 / normal 1 / high 2). Claims take the highest
+  priority first, then the oldest
+- The model cap adapts per key: a 429, or rate-limit headers with under 10%
+  of a bucket left, halve it (min 1); headers with over half of every
+  bucket left raise it by one again, up to the configured cap
+- Every worker that finishes dispatches one more worker while rows are
+  waiting, so queued rows start as soon as a slot frees up (the sweeper
+  catches anything left behind)
+- get_queue_position() is the row's place in that order (request-status.js)
+*/
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const PRIORITIES = { low: 0, normal: 1, high: 2 };
+export const DEFAULT_PRIORITY = 'normal';
+
+// Share of a rate-limit bucket left below which we back off / above which we speed up
+const BACK_OFF_BELOW = 0.1;
+const SPEED_UP_ABOVE = 0.5;
+
+const RATE_LIMIT_BUCKETS = ['requests', 'input-tokens', 'output-tokens', 'tokens'];
+
+// Returns a user-facing error message, or null when the priority is usable
+export function validatePriority(priority) {
+  if (priority === undefined || priority === null || Object.hasOwn(PRIORITIES, priority)) {
+    return null;
+  }
+  return `priority "${priority}" is invalid. Expected one of: ${Object.keys(PRIORITIES).join(', ')}`;
+}
+
+export function resolvePriority(priority) {
+  return PRIORITIES[priority ?? DEFAULT_PRIORITY];
+}
+
+export function priorityName(value) {
+  return Object.keys(PRIORITIES).find(name => PRIORITIES[name] === value) || DEFAULT_PRIORITY;
+}
+
+// Lowest remaining/limit ratio across the anthropic-ratelimit-* buckets, or null without headers
+export function rateLimitHeadroom(headers) {
+  const ratios = RATE_LIMIT_BUCKETS
+    .map(bucket => {
+      const limit = parseFloat(headers?.[`anthropic-ratelimit-${bucket}-limit`]);
+      const remaining = parseFloat(headers?.[`anthropic-ratelimit-${bucket}-remaining`]);
+      return limit > 0 && !Number.isNaN(remaining) ? remaining / limit : null;
+    })
+    .filter(ratio => ratio !== null);
+
+  return ratios.length > 0 ? Math.min(...ratios) : null;
+}
+
+// Adapt the key + model cap to the headers of a Messages API response.
+// Never throws - a missed adjustment only delays the next one.
+export async function recordRateLimitHeaders(apiKeyHash, model, headers) {
+  const headroom = rateLimitHeadroom(headers);
+  if (headroom === null) return;
+
+  if (headroom < BACK_OFF_BELOW) {
+    await adjustCap(apiKeyHash, model, -1, `rate-limit headroom ${(headroom * 100).toFixed(0)}%`);
+  } else if (headroom > SPEED_UP_ABOVE) {
+    await adjustCap(apiKeyHash, model, 1);
+  }
+}
+
+// A 429 from the Messages API
+export async function recordThrottle(apiKeyHash, model) {
+  await adjustCap(apiKeyHash, model, -1, 'rate limited');
+}
+
+async function adjustCap(apiKeyHash, model, direction, reason) {
+  if (!apiKeyHash || !model) return;
+
+  const { data: cap, error } = await supabase.rpc('adjust_concurrency_cap', {
+    p_api_key_hash: apiKeyHash,
+    p_model: model,
+    p_direction: direction
+  });
+
+  if (error) {
+    console.warn(`Failed to adjust concurrency cap for ${model}: ${error.message}`);
+  } else if (direction < 0) {
+    console.log(`🐢 Concurrency cap for ${model} lowered to ${cap} (${reason})`);
+  }
+}
+
+// 1-based place among the waiting rows, or null when the request isn't waiting
+export async function getQueuePosition(requestId) {
+  const { data, error } = await supabase.rpc('get_queue_position', { p_request_id: requestId });
+
+  if (error) {
+    console.warn(`Failed to get queue position for ${requestId}: ${error.message}`);
+    return null;
+  }
+
+  return data ?? null;
+}
+
+// Whether any row is still waiting to be claimed (due retries included)
+export async function hasWaitingRequests() {
+  const { count, error } = await supabase
+    .from('llm_requests')
+    .select('request_id', { count: 'exact', head: true })
+    .or(`status.eq.queued,and(status.eq.retrying,next_attempt_at.lte.${new Date().toISOString()})`)
+    .is('cancel_requested_at', null);
+
+  if (error) {
+    console.warn(`Failed to count waiting requests: ${error.message}`);
+    return false;
+  }
+
+  return count > 0;
+}
@@ -0,0 +1,357 @@
+// =================================================================
+// lib/conversations.js
+// =================================================================
+/*
+Multi-turn conversation threads for promptAsync(conversationId).
+
+STORAGE:
+- conversations: one row per thread (rolling summary lives here)
+- conversation_turns: one row per user/assistant message, ordered by id
+- Turns are only written after a request completes: exactly one user turn
+  (the request's last user message) + one assistant turn (an assistant
+  prefill joined with the reply) per request, in a single insert
+- History is replayed as those per-request pairs, ordered by when they were
+  stored - rows of two concurrent requests on one thread can interleave,
+  and older rows may hold a prefill as an extra assistant turn; grouping by
+  request_id keeps the replayed messages strictly user/assistant
+
+OWNERSHIP:
+- A thread belongs to the API key that opened it (owner_key_hash). Another
+  key can't continue it - queue-request.js refuses the conversationId with a
+  403, and buildThreadedRequest checks again before any turn is replayed -
+  nor read it: getConversationTranscript only returns the owner's threads
+
+CONTEXT LIMITS:
+- Token counts are estimated (~4 chars per token) - good enough for budgeting
+- 'truncate' (default): drop the oldest user/assistant pairs (whole
+  requests, never single turns) until the thread fits
+- 'summarize': fold dropped turns into a rolling summary that is added to
+  the system prompt, so older context isn't lost entirely
+*/
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Default history budget - leaves headroom below the 200k context window
+const DEFAULT_MAX_CONTEXT_TOKENS = 150000;
+
+const CONVERSATION_STRATEGIES = ['truncate', 'summarize'];
+
+function estimateTokens(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value || '');
+  return Math.ceil(text.length / 4);
+}
+
+// Assistant turns keep text only - thinking/tool blocks need signatures to replay
+function toStoredAssistantContent(claudeResponse) {
+  const textBlocks = (claudeResponse.content || [])
+    .filter(block => block.type === 'text' && block.text)
+    .map(block => ({ type: 'text', text: block.text }));
+
+  return textBlocks.length > 0 ? textBlocks : [{ type: 'text', text: '(no text response)' }];
+}
+
+function toContentBlocks(content) {
+  return typeof content === 'string' ? [{ type: 'text', text: content }] : (content || []);
+}
+
+// Stored rows -> one { user, assistant, lastId } pair per request, oldest
+// first by the id of its last row. Requests without both roles are skipped.
+function toTurnPairs(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = row.request_id || `turn_${row.id}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(row);
+  }
+
+  const pairs = [];
+  for (const group of groups.values()) {
+    const users = group.filter(row => row.role === 'user');
+    const assistants = group.filter(row => row.role === 'assistant');
+    if (users.length === 0 || assistants.length === 0) {
+      continue;
+    }
+
+    pairs.push({
+      user: { role: 'user', content: users.flatMap(row => toContentBlocks(row.content)) },
+      assistant: { role: 'assistant', content: assistants.flatMap(row => toContentBlocks(row.content)) },
+      lastId: Math.max(...group.map(row => row.id))
+    });
+  }
+
+  return pairs.sort((a, b) => a.lastId - b.lastId);
+}
+
+function pairsToTurns(pairs) {
+  return pairs.flatMap(pair => [pair.user, pair.assistant]);
+}
+
+function turnsToTranscript(turns) {
+  return turns.map(turn => {
+    const text = typeof turn.content === 'string'
+      ? turn.content
+      : turn.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('\n');
+    return `${turn.role === 'user' ? 'User' : 'Assistant'}: ${text}`;
+  }).join('\n\n');
+}
+
+// Stored user turns keep the breakpoints they were sent with; the API allows
+// only 4 per request, so history is replayed without them
+function withoutCacheControl(content) {
+  if (!Array.isArray(content)) return content;
+  return content.map(({ cache_control, ...block }) => block);
+}
+
+function appendToSystem(system, addition) {
+  if (!system) return addition;
+  if (typeof system === 'string') return `${system}\n\n${addition}`;
+  return [...system, { type: 'text', text: addition }];
+}
+
+// Owner of a thread: the key hash, null for a thread nobody has used yet
+async function getConversationOwner(conversationId) {
+  const { data, error } = await supabase
+    .from('conversations')
+    .select('owner_key_hash')
+    .eq('conversation_id', conversationId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load conversation ${conversationId}: ${error.message}`);
+  }
+
+  return data?.owner_key_hash || null;
+}
+
+// True when ownerKeyHash may use the thread: new, unowned or its own
+export async function canUseConversation(conversationId, ownerKeyHash) {
+  const owner = await getConversationOwner(conversationId);
+  return !owner || owner === ownerKeyHash;
+}
+
+// The whole thread, or null unless ownerKeyHash owns it - callers pass the
+// api_key_hash of a request the reader was allowed to open
+export async function getConversationTranscript(conversationId, ownerKeyHash) {
+  if (!ownerKeyHash || (await getConversationOwner(conversationId)) !== ownerKeyHash) {
+    return null;
+  }
+
+  const [{ data: conversation }, { data: turns, error }] = await Promise.all([
+    supabase
+      .from('conversations')
+      .select('conversation_id, summary, summarized_through_turn_id, created_at, updated_at')
+      .eq('conversation_id', conversationId)
+      .maybeSingle(),
+    supabase
+      .from('conversation_turns')
+      .select('id, role, content, request_id, created_at')
+      .eq('conversation_id', conversationId)
+      .order('id', { ascending: true })
+  ]);
+
+  if (error) {
+    throw new Error(`Failed to load conversation ${conversationId}: ${error.message}`);
+  }
+
+  const lastIdByRequest = new Map();
+  for (const turn of turns || []) {
+    if (turn.request_id) {
+      lastIdByRequest.set(turn.request_id, Math.max(lastIdByRequest.get(turn.request_id) || 0, turn.id));
+    }
+  }
+
+  return {
+    conversationId,
+    summary: conversation?.summary || null,
+    createdAt: conversation?.created_at || null,
+    updatedAt: conversation?.updated_at || null,
+    turns: (turns || []).map(turn => ({
+      role: turn.role,
+      content: turn.content,
+      requestId: turn.request_id,
+      createdAt: turn.created_at,
+      // Whole requests are summarized - see buildThreadedRequest
+      summarized: conversation?.summarized_through_turn_id
+        ? (lastIdByRequest.get(turn.request_id) ?? turn.id) <= conversation.summarized_through_turn_id
+        : false
+    }))
+  };
+}
+
+// Prepend stored turns to the new request, applying the context budget.
+// ownerKeyHash is the api_key_hash of the request's row - a thread owned by
+// another key is never replayed into it.
+// summarizeTurns(transcript, previousSummary) => { summary, usage } (only used by 'summarize')
+export async function buildThreadedRequest(claudeRequest, conversationId, ownerKeyHash, options = {}, summarizeTurns) {
+  if (!ownerKeyHash) {
+    throw new Error(`Conversation ${conversationId} needs the API key that owns it`);
+  }
+
+  const strategy = options.strategy || 'truncate';
+  if (!CONVERSATION_STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid conversation strategy "${strategy}". Expected one of: ${CONVERSATION_STRATEGIES.join(', ')}`);
+  }
+
+  const maxContextTokens = options.maxContextTokens || DEFAULT_MAX_CONTEXT_TOKENS;
+
+  // Make sure the thread exists (first turn creates it and owns it)
+  const { error: upsertError } = await supabase
+    .from('conversations')
+    .upsert({ conversation_id: conversationId, owner_key_hash: ownerKeyHash }, { onConflict: 'conversation_id', ignoreDuplicates: true });
+
+  if (upsertError) {
+    throw new Error(`Failed to open conversation ${conversationId}: ${upsertError.message}`);
+  }
+
+  // Threads from before owners were recorded (and never used since) go to
+  // the first key that continues them
+  await supabase
+    .from('conversations')
+    .update({ owner_key_hash: ownerKeyHash })
+    .eq('conversation_id', conversationId)
+    .is('owner_key_hash', null);
+
+  const { data: conversation } = await supabase
+    .from('conversations')
+    .select('summary, summarized_through_turn_id, owner_key_hash')
+    .eq('conversation_id', conversationId)
+    .single();
+
+  if (conversation?.owner_key_hash !== ownerKeyHash) {
+    throw new Error(`Conversation ${conversationId} belongs to a different API key`);
+  }
+
+  let summary = conversation?.summary || null;
+  let summarizedThrough = conversation?.summarized_through_turn_id || 0;
+
+  // All rows: a pair's user turn can sit below summarizedThrough when
+  // another request's rows were stored in between
+  const { data: storedTurns, error: turnsError } = await supabase
+    .from('conversation_turns')
+    .select('id, role, content, request_id')
+    .eq('conversation_id', conversationId)
+    .order('id', { ascending: true });
+
+  if (turnsError) {
+    throw new Error(`Failed to load conversation ${conversationId}: ${turnsError.message}`);
+  }
+
+  let history = toTurnPairs(storedTurns || []).filter(pair => pair.lastId > summarizedThrough);
+
+  // Budget: everything except the history itself
+  const fixedTokens = estimateTokens(claudeRequest.messages) +
+    estimateTokens(claudeRequest.system) +
+    estimateTokens(summary) +
+    (claudeRequest.max_tokens || 0);
+  const historyBudget = maxContextTokens - fixedTokens;
+
+  // Drop the oldest requests' pairs until the history fits
+  const dropped = [];
+  while (history.length > 0 && estimateTokens(pairsToTurns(history).map(turn => turn.content)) > historyBudget) {
+    dropped.push(history.shift());
+  }
+
+  let summaryUsage = null;
+  if (dropped.length > 0 && strategy === 'summarize' && summarizeTurns) {
+    const result = await summarizeTurns(turnsToTranscript(pairsToTurns(dropped)), summary);
+    summary = result.summary;
+    summaryUsage = result.usage || null;
+    summarizedThrough = dropped[dropped.length - 1].lastId;
+
+    await supabase
+      .from('conversations')
+      .update({
+        summary,
+        summarized_through_turn_id: summarizedThrough,
+        updated_at: new Date().toISOString()
+      })
+      .eq('conversation_id', conversationId);
+
+    console.log(`Summarized ${dropped.length * 2} turns of conversation ${conversationId}`);
+  } else if (dropped.length > 0) {
+    console.log(`Truncated ${dropped.length * 2} turns of conversation ${conversationId}`);
+  }
+
+  const threadedRequest = {
+    ...claudeRequest,
+    messages: [
+      ...pairsToTurns(history).map(turn => ({ role: turn.role, content: withoutCacheControl(turn.content) })),
+      ...claudeRequest.messages
+    ]
+  };
+
+  if (summary) {
+    threadedRequest.system = appendToSystem(
+      claudeRequest.system,
+      `Summary of the earlier conversation:\n${summary}`
+    );
+  }
+
+  return {
+    claudeRequest: threadedRequest,
+    threadInfo: {
+      conversationId,
+      strategy,
+      turnsIncluded: history.length * 2,
+      turnsDropped: dropped.length * 2,
+      summarized: strategy === 'summarize' && dropped.length > 0,
+      summaryUsage
+    }
+  };
+}
+
+// Store the request's user turn and the assistant reply once it completes.
+// messages is the request's own claudeRequest.messages (no history): its last
+// user message is the turn; an assistant prefill after it is the start of
+// the reply, so it is stored as part of the assistant turn.
+export async function appendConversationTurns(conversationId, requestId, messages, claudeResponse) {
+  const lastUserIndex = messages.map(message => message.role).lastIndexOf('user');
+  if (lastUserIndex === -1) {
+    console.warn(`Request ${requestId} has no user message - nothing stored on conversation ${conversationId}`);
+    return;
+  }
+
+  const prefill = messages
+    .slice(lastUserIndex + 1)
+    .filter(message => message.role === 'assistant')
+    .flatMap(message => toContentBlocks(message.content))
+    .filter(block => block.type === 'text' && block.text);
+
+  const rows = [
+    {
+      conversation_id: conversationId,
+      request_id: requestId,
+      role: 'user',
+      content: messages[lastUserIndex].content
+    },
+    {
+      conversation_id: conversationId,
+      request_id: requestId,
+      role: 'assistant',
+      content: [...prefill, ...toStoredAssistantContent(claudeResponse)]
+    }
+  ];
+
+  const { error } = await supabase
+    .from('conversation_turns')
+    .insert(rows);
+
+  if (error) {
+    throw new Error(`Failed to store conversation turns: ${error.message}`);
+  }
+
+  await supabase
+    .from('conversations')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('conversation_id', conversationId);
+}
@@ -0,0 +1,298 @@
+// =================================================================
+// lib/custom-tools.js
+// =================================================================
+/*
+SERVER-EXECUTED CUSTOM TOOLS (promptAsync tools):
+
+PROBLEM SOLVED:
+- web_search was the only tool a request could use; answers that needed our
+  own APIs (customer lookups, inventory...) meant several round trips in Coda
+
+HOW IT WORKS:
+- Tools are registered per API key through /api/tools: name, description,
+  input schema and the HTTP endpoint that runs them (custom_tools table)
+- Requests name the tools they want (customTools: ['lookup_customer']);
+  process-queue.js adds their definitions to the Claude request
+- runToolLoop(): while Claude stops with stop_reason 'tool_use', every tool
+  call is POSTed to its endpoint and the answers go back as tool_result
+  blocks - up to maxToolIterations rounds (default 5, max 10)
+- Each call is recorded as a step (input, output, status, timing) and stored
+  with the final answer as toolSteps; usage covers every round, so it is costed
+
+ENDPOINT CONTRACT:
+- POST { tool, input, requestId, toolUseId } as JSON to a public https
+  endpoint - http, private, loopback and link-local hosts are refused at
+  registration and again on connect (lib/outbound-urls.js)
+- Signed like webhooks when the tool has a secret (lib/webhook-signing.js),
+  plus the tool's extra headers (e.g. Authorization)
+- The response body (text or JSON, at most 1 MB is read) is handed to
+  Claude as the tool result; non-2xx responses, timeouts, network errors
+  and refused hosts become is_error results so Claude can explain or work
+  around them
+*/
+
+import { createClient } from '@supabase/supabase-js';
+import { addUsage } from './pricing.js';
+import { decryptSecret, decryptHeaders } from './secrets.js';
+import { signWebhookBody, SIGNATURE_HEADER } from './webhook-signing.js';
+import { RequestCancelledError } from './claude-errors.js';
+import { STRUCTURED_OUTPUT_TOOL } from './structured-output.js';
+import { validateOutboundUrl, fetchPublicUrl, readBodyLimited, OutboundUrlError } from './outbound-urls.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const DEFAULT_MAX_TOOL_ITERATIONS = 5;
+const MAX_TOOL_ITERATIONS_LIMIT = 10;
+const MAX_TOOLS_PER_REQUEST = 10;
+
+export const DEFAULT_TOOL_TIMEOUT_MS = 30000;
+const MAX_TOOL_TIMEOUT_MS = 120000;
+
+// Tool output handed back to Claude (steps keep all of it - see lib/result-paging.js)
+const MAX_TOOL_RESULT_CHARS = 20000;
+// Most of an endpoint's response body that is ever read
+const MAX_TOOL_RESPONSE_BYTES = 1024 * 1024;
+
+// Same rule as the Messages API tool name
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const RESERVED_TOOL_NAMES = ['web_search', STRUCTURED_OUTPUT_TOOL];
+
+// Clamp a client-supplied maxToolIterations to something sane
+export function resolveMaxToolIterations(requested) {
+  const value = parseInt(requested, 10);
+  if (!value || value < 1) return DEFAULT_MAX_TOOL_ITERATIONS;
+  return Math.min(value, MAX_TOOL_ITERATIONS_LIMIT);
+}
+
+// Returns a user-facing error message, or null when the definition is usable
+export function validateToolDefinition(tool) {
+  if (!tool || typeof tool !== 'object') {
+    return 'Tool definition must be an object';
+  }
+
+  if (!TOOL_NAME_PATTERN.test(tool.name || '')) {
+    return 'name must be 1-64 letters, digits, underscores or hyphens';
+  }
+  if (RESERVED_TOOL_NAMES.includes(tool.name)) {
+    return `"${tool.name}" is reserved - pick another name`;
+  }
+
+  if (!tool.description || typeof tool.description !== 'string') {
+    return 'description is required - Claude uses it to decide when to call the tool';
+  }
+
+  if (!tool.inputSchema || typeof tool.inputSchema !== 'object' || tool.inputSchema.type !== 'object') {
+    return 'inputSchema must be a JSON Schema with "type": "object" at the top level';
+  }
+
+  // https only, public hosts only (lib/outbound-urls.js)
+  const urlError = validateOutboundUrl(tool.endpointUrl, 'endpointUrl');
+  if (urlError) {
+    return urlError;
+  }
+
+  if (tool.secret !== undefined && tool.secret !== null && typeof tool.secret !== 'string') {
+    return 'secret must be a string';
+  }
+
+  if (tool.headers !== undefined && tool.headers !== null && (typeof tool.headers !== 'object' || Array.isArray(tool.headers))) {
+    return 'headers must be an object';
+  }
+
+  if (tool.timeoutMs !== undefined && tool.timeoutMs !== null) {
+    const timeoutMs = Number(tool.timeoutMs);
+    if (!Number.isInteger(timeoutMs) || timeoutMs < 1000 || timeoutMs > MAX_TOOL_TIMEOUT_MS) {
+      return `timeoutMs must be between 1000 and ${MAX_TOOL_TIMEOUT_MS}`;
+    }
+  }
+
+  return null;
+}
+
+// Returns a user-facing error message, or null when the names are usable
+export function validateToolNames(names) {
+  if (names === undefined || names === null) {
+    return null;
+  }
+
+  if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+    return 'customTools must be an array of tool names';
+  }
+
+  if (names.length > MAX_TOOLS_PER_REQUEST) {
+    return `Too many custom tools (${names.length}). Maximum is ${MAX_TOOLS_PER_REQUEST}.`;
+  }
+
+  return null;
+}
+
+// The enabled tools of this API key with these names - throws if any is missing
+export async function loadCustomTools(apiKeyHash, names) {
+  if (!names || names.length === 0) {
+    return [];
+  }
+
+  const { data: tools, error } = await supabase
+    .from('custom_tools')
+    .select('name, description, input_schema, endpoint_url, signing_secret, extra_headers, timeout_ms')
+    .eq('owner_key_hash', apiKeyHash)
+    .eq('enabled', true)
+    .in('name', names);
+
+  if (error) {
+    throw new Error(`Failed to load custom tools: ${error.message}`);
+  }
+
+  const missing = names.filter(name => !tools.some(tool => tool.name === name));
+  if (missing.length > 0) {
+    throw new Error(`Unknown or disabled custom tools: ${missing.join(', ')} - register them with /api/tools`);
+  }
+
+  return tools;
+}
+
+// Definitions added to claudeRequest.tools (next to web_search, if any)
+export function toClaudeTools(tools) {
+  return tools.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    input_schema: tool.input_schema
+  }));
+}
+
+// Runs Claude's tool calls until it answers or maxIterations rounds are used.
+// callClaude(claudeRequest) => message.
+// Returns { response, steps, iterations, limitReached } - response usage covers every round.
+export async function runToolLoop(claudeRequest, claudeResponse, tools, callClaude, { requestId, maxIterations = DEFAULT_MAX_TOOL_ITERATIONS, signal } = {}) {
+  let response = claudeResponse;
+  let messages = claudeRequest.messages;
+  const steps = [];
+  let iterations = 0;
+
+  while (response.stop_reason === 'tool_use' && iterations < maxIterations) {
+    iterations++;
+    const toolCalls = response.content.filter(block => block?.type === 'tool_use');
+    console.log(`🔧 Tool round ${iterations}/${maxIterations} for ${requestId}: ${toolCalls.map(call => call.name).join(', ')}`);
+
+    const results = await Promise.all(toolCalls.map(toolCall =>
+      executeToolCall(tools.find(tool => tool.name === toolCall.name), toolCall, { requestId, signal })
+    ));
+
+    steps.push(...results.map(result => ({ iteration: iterations, ...result.step })));
+
+    if (signal?.aborted) {
+      throw new RequestCancelledError({ content: response.content, usage: response.usage });
+    }
+
+    messages = [
+      ...messages,
+      { role: 'assistant', content: response.content },
+      { role: 'user', content: results.map(result => result.toolResult) }
+    ];
+
+    let next;
+    try {
+      next = await callClaude({ ...claudeRequest, messages });
+    } catch (error) {
+      // Keep the earlier rounds' usage on the partial so it is still costed
+      if (error instanceof RequestCancelledError) {
+        throw new RequestCancelledError({
+          ...error.partial,
+          usage: addUsage(response.usage, error.partial?.usage)
+        });
+      }
+      throw error;
+    }
+
+    response = { ...next, usage: addUsage(response.usage, next.usage) };
+  }
+
+  const limitReached = response.stop_reason === 'tool_use';
+  if (limitReached) {
+    console.warn(`⚠️ Tool loop for ${requestId} stopped after ${iterations} rounds with tool calls still pending`);
+  }
+
+  return { response, steps, iterations, limitReached };
+}
+
+// One tool call -> { toolResult (for Claude), step (stored) }. Never throws:
+// failures become is_error results so Claude can react to them.
+async function executeToolCall(tool, toolCall, { requestId, signal }) {
+  const startedAt = Date.now();
+  const step = {
+    toolUseId: toolCall.id,
+    name: toolCall.name,
+    input: toolCall.input
+  };
+
+  const finish = (output, isError, httpStatus = null) => {
+    const truncated = output.length > MAX_TOOL_RESULT_CHARS
+      ? `${output.slice(0, MAX_TOOL_RESULT_CHARS)}\n[truncated - ${output.length} characters]`
+      : output;
+    return {
+      toolResult: {
+        type: 'tool_result',
+        tool_use_id: toolCall.id,
+        content: truncated,
+        ...(isError ? { is_error: true } : {})
+      },
+      step: { ...step, output, isError, httpStatus, durationMs: Date.now() - startedAt }
+    };
+  };
+
+  if (!tool) {
+    return finish(`Unknown tool: ${toolCall.name}`, true);
+  }
+  if (toolCall.input === null || toolCall.input === undefined) {
+    return finish('Tool input was not valid JSON', true);
+  }
+
+  const body = JSON.stringify({
+    tool: tool.name,
+    input: toolCall.input,
+    requestId,
+    toolUseId: toolCall.id
+  });
+
+  const headers = {
+    ...decryptHeaders(tool.extra_headers),
+    'Content-Type': 'application/json'
+  };
+  const secret = decryptSecret(tool.signing_secret);
+  if (secret) {
+    headers[SIGNATURE_HEADER] = signWebhookBody(secret, body);
+  }
+
+  const timeoutSignal = AbortSignal.timeout(tool.timeout_ms || DEFAULT_TOOL_TIMEOUT_MS);
+
+  try {
+    // POST - redirects are not followed, and the host is re-checked on connect
+    const response = await fetchPublicUrl(tool.endpoint_url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+    });
+    const { text: bodyText, truncated } = await readBodyLimited(response, MAX_TOOL_RESPONSE_BYTES);
+    const text = truncated
+      ? `${bodyText}\n[truncated - response was larger than ${MAX_TOOL_RESPONSE_BYTES} bytes]`
+      : bodyText;
+
+    if (!response.ok) {
+      return finish(`Tool endpoint returned HTTP ${response.status}: ${text || response.statusText}`, true, response.status);
+    }
+    return finish(text, false, response.status);
+
+  } catch (error) {
+    if (error instanceof OutboundUrlError) {
+      return finish(`Tool endpoint refused: ${error.message}`, true);
+    }
+    const reason = timeoutSignal.aborted
+      ? `timed out after ${tool.timeout_ms || DEFAULT_TOOL_TIMEOUT_MS}ms`
+      : error.message;
+    return finish(`Tool call failed: ${reason}`, true);
+  }
+}
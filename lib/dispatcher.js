@@ -0,0 +1,169 @@
+// =================================================================
+// lib/dispatcher.js
+// =================================================================
+/*
+QUEUE DISPATCHER (leases + heartbeats):
+
+PROBLEM SOLVED:
+- Requests only got processed if the pg_net insert trigger reached
+  /api/process-queue - if that failed, the row stayed 'queued' forever
+- Crashed/timed-out workers left rows 'processing' until a hard-coded
+  20-minute reset
+
+HOW IT WORKS:
+- Workers claim rows atomically (claim_request / claim_next_request RPCs)
+- A claim sets a lease; the worker extends it every HEARTBEAT_INTERVAL_MS
+- queue-sweeper.js cron requeues expired leases and dispatches orphaned rows
+- Each claim counts as an attempt; rows fail once max_attempts is used up
+- Rows with cancel_requested_at are never claimed; the worker running one
+  polls for it (watchForCancellation) and aborts its Claude call
+- Claims skip rows whose API key / model is at its concurrency cap and take
+  high priority rows first (lib/concurrency.js)
+*/
+
+import { createClient } from '@supabase/supabase-js';
+import { randomUUID } from 'crypto';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Lease must outlive a couple of missed heartbeats
+export const LEASE_SECONDS = 120;
+const HEARTBEAT_INTERVAL_MS = 30000;
+const CANCEL_POLL_INTERVAL_MS = 3000;
+
+export const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS || '3', 10);
+const MAX_ATTEMPTS_LIMIT = 10;
+
+export function createWorkerId() {
+  return `${process.env.VERCEL_REGION || 'local'}-${randomUUID().slice(0, 8)}`;
+}
+
+// Clamp a client-supplied maxAttempts to something sane
+export function resolveMaxAttempts(requested) {
+  const value = parseInt(requested, 10);
+  if (!value || value < 1) return DEFAULT_MAX_ATTEMPTS;
+  return Math.min(value, MAX_ATTEMPTS_LIMIT);
+}
+
+// Returns the claimed row, or null if it isn't claimable right now (including
+// when its concurrency slots are full or a higher-priority row of the same
+// key is waiting)
+export async function claimRequest(requestId, workerId) {
+  const { data, error } = await supabase.rpc('claim_request', {
+    p_request_id: requestId,
+    p_worker_id: workerId,
+    p_lease_seconds: LEASE_SECONDS
+  });
+
+  if (error) {
+    throw new Error(`Failed to claim request ${requestId}: ${error.message}`);
+  }
+
+  return data?.[0] || null;
+}
+
+// Returns the next claimable row - highest priority, then oldest - now leased
+// to workerId, or null if nothing is claimable
+export async function claimNextRequest(workerId) {
+  const { data, error } = await supabase.rpc('claim_next_request', {
+    p_worker_id: workerId,
+    p_lease_seconds: LEASE_SECONDS
+  });
+
+  if (error) {
+    throw new Error(`Failed to claim next request: ${error.message}`);
+  }
+
+  return data?.[0] || null;
+}
+
+// Keep the lease alive while the Claude call runs. onLost fires once if
+// another worker has taken the row over. Returns stop().
+export function startHeartbeat(requestId, workerId, onLost) {
+  let lost = false;
+  const timer = setInterval(async () => {
+    const { data: stillOwned, error } = await supabase.rpc('extend_request_lease', {
+      p_request_id: requestId,
+      p_worker_id: workerId,
+      p_lease_seconds: LEASE_SECONDS
+    });
+
+    if (error) {
+      console.warn(`Heartbeat failed for ${requestId}: ${error.message}`);
+    } else if (!stillOwned && !lost) {
+      lost = true;
+      console.warn(`⚠️ Lease lost for ${requestId} (worker ${workerId}) - another worker may pick it up`);
+      onLost?.();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  return () => clearInterval(timer);
+}
+
+// Poll for a cancel request (api/cancel-request.js) while the Claude call runs.
+// onCancel fires at most once. Returns stop().
+export function watchForCancellation(requestId, onCancel) {
+  const timer = setInterval(async () => {
+    const { data, error } = await supabase
+      .from('llm_requests')
+      .select('cancel_requested_at')
+      .eq('request_id', requestId)
+      .maybeSingle();
+
+    if (error) {
+      console.warn(`Cancellation check failed for ${requestId}: ${error.message}`);
+    } else if (data?.cancel_requested_at) {
+      clearInterval(timer);
+      onCancel();
+    }
+  }, CANCEL_POLL_INTERVAL_MS);
+
+  return () => clearInterval(timer);
+}
+
+export async function requeueExpiredLeases() {
+  const { data, error } = await supabase.rpc('requeue_expired_leases');
+
+  if (error) {
+    throw new Error(`Failed to requeue expired leases: ${error.message}`);
+  }
+
+  const row = data?.[0];
+  return {
+    requeued: row?.requeued || 0,
+    failed: row?.failed || 0,
+    failedRequestIds: row?.failed_request_ids || [],
+    cancelledRequestIds: row?.cancelled_request_ids || []
+  };
+}
+
+// Fire-and-forget: kick off process-queue workers that each claim the next queued row.
+// We only wait long enough for the calls to be accepted, not for processing.
+export async function triggerWorkers(baseUrl, count) {
+  const triggers = Array.from({ length: count }, () => postToProcessQueue(baseUrl, {}));
+  await Promise.all(triggers);
+}
+
+// Same, for one specific request (e.g. a replay - the pg_net trigger only fires on insert)
+export async function triggerRequest(baseUrl, requestId) {
+  await postToProcessQueue(baseUrl, { requestId });
+}
+
+async function postToProcessQueue(baseUrl, body) {
+  try {
+    await fetch(`${baseUrl}/api/process-queue`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(2000)
+    });
+  } catch (error) {
+    // Timeouts are expected - the worker keeps running after we stop waiting
+    if (error.name !== 'TimeoutError' && error.name !== 'AbortError') {
+      console.warn(`Failed to trigger processing: ${error.message}`);
+    }
+  }
+}
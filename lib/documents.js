@@ -0,0 +1,156 @@
+// =================================================================
+// lib/documents.js
+// =================================================================
+/*
+PDF + PLAIN-TEXT DOCUMENT INPUTS (promptAsync documentUrls):
+
+PROBLEM SOLVED:
+- Only images could be attached; contracts and reports in Coda are PDFs or
+  text attachments
+
+HOW IT WORKS:
+- The Pack sends one document block per URL with citations enabled:
+    { type: 'document', source: { type: 'url', url }, title, citations: { enabled: true } }
+- The Messages API fetches URL sources itself, but only for PDFs. Before the
+  call, resolveDocumentSources() fetches every URL that isn't obviously a
+  PDF: PDFs stay URL sources, text is inlined as a text source
+  ({ type: 'text', media_type: 'text/plain', data })
+- Citations come back as page_location (PDF) or char_location (text) and
+  are numbered with the web search ones (lib/response-processing.js)
+
+FETCHING SAFELY (lib/outbound-urls.js):
+- Document URLs must be public https URLs - validateDocumentSources() runs
+  in queue-request.js (400), and the worker's fetch refuses hosts that
+  resolve to private / loopback / link-local addresses
+- Text bodies are read up to MAX_TEXT_DOCUMENT_BYTES, never further
+- Failures throw DocumentFetchError: timeouts, network errors, 429 and 5xx
+  are retryable (document_unavailable); refused URLs, 4xx, unsupported types
+  and oversized documents are not (document_invalid) - lib/claude-errors.js
+*/
+
+import { validateOutboundUrl, fetchPublicUrl, readBodyLimited, OutboundUrlError } from './outbound-urls.js';
+
+export const MAX_DOCUMENTS = 20;
+
+const FETCH_TIMEOUT_MS = 30000;
+
+// Text sources are sent inline - keep them well under the request size limit
+const MAX_TEXT_DOCUMENT_BYTES = 5 * 1024 * 1024;
+
+const TEXT_CONTENT_TYPES = ['text/', 'application/json', 'application/xml', 'application/csv'];
+
+export class DocumentFetchError extends Error {
+  constructor(message, { retryable = false } = {}) {
+    super(message);
+    this.name = 'DocumentFetchError';
+    this.retryable = retryable;
+  }
+}
+
+function isDocumentBlock(block) {
+  return block && typeof block === 'object' && block.type === 'document';
+}
+
+function documentBlocks(claudeRequest) {
+  return (claudeRequest?.messages || [])
+    .flatMap(message => Array.isArray(message.content) ? message.content : [])
+    .filter(isDocumentBlock);
+}
+
+// Whether the response can carry document citations
+export function hasCitedDocuments(claudeRequest) {
+  return documentBlocks(claudeRequest).some(block => block.citations?.enabled);
+}
+
+// Whether any document is fetched from a URL - its content can change while
+// the request stays the same, so such requests are never answered from cache
+export function hasUrlDocuments(claudeRequest) {
+  return documentBlocks(claudeRequest).some(block => block.source?.type === 'url');
+}
+
+// Returns a user-facing error message for the first unusable document URL,
+// or null - checked at queue time so bad URLs fail before anything runs
+export function validateDocumentSources(claudeRequest) {
+  const urlBlocks = documentBlocks(claudeRequest).filter(block => block.source?.type === 'url');
+  for (let i = 0; i < urlBlocks.length; i++) {
+    const urlError = validateOutboundUrl(urlBlocks[i].source.url, `Document URL ${i + 1}`);
+    if (urlError) {
+      return urlError;
+    }
+  }
+  return null;
+}
+
+// Returns a copy of the request with non-PDF URL documents inlined as text.
+// Throws DocumentFetchError on unreachable URLs and unsupported types - there
+// is nothing useful to answer without the document.
+export async function resolveDocumentSources(claudeRequest) {
+  const urlError = validateDocumentSources(claudeRequest);
+  if (urlError) {
+    throw new DocumentFetchError(urlError);
+  }
+
+  const pending = documentBlocks(claudeRequest).filter(block =>
+    block.source?.type === 'url' && !/\.pdf$/i.test(new URL(block.source.url).pathname)
+  );
+  if (pending.length === 0) {
+    return claudeRequest;
+  }
+
+  const resolved = new Map();
+  for (const block of pending) {
+    resolved.set(block, await fetchDocumentSource(block.source.url));
+  }
+
+  return {
+    ...claudeRequest,
+    messages: claudeRequest.messages.map(message => Array.isArray(message.content)
+      ? { ...message, content: message.content.map(block => resolved.has(block) ? { ...block, source: resolved.get(block) } : block) }
+      : message)
+  };
+}
+
+async function fetchDocumentSource(url) {
+  let response;
+  try {
+    response = await fetchPublicUrl(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  } catch (error) {
+    if (error instanceof OutboundUrlError) {
+      throw new DocumentFetchError(`Refused to fetch document ${url}: ${error.message}`);
+    }
+    // Timeouts and network errors - the next attempt may well get through
+    throw new DocumentFetchError(`Failed to fetch document ${url}: ${error.message}`, { retryable: true });
+  }
+
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw new DocumentFetchError(`Failed to fetch document ${url}: HTTP ${response.status}`, {
+      retryable: response.status === 429 || response.status >= 500
+    });
+  }
+
+  const contentType = (response.headers.get('content-type') || '').toLowerCase();
+
+  // The API fetches PDFs itself
+  if (contentType.includes('application/pdf')) {
+    await response.body?.cancel();
+    return { type: 'url', url };
+  }
+
+  if (!TEXT_CONTENT_TYPES.some(type => contentType.startsWith(type))) {
+    await response.body?.cancel();
+    throw new DocumentFetchError(`Unsupported document type "${contentType || 'unknown'}" at ${url} - documentUrls takes PDFs and plain text`);
+  }
+
+  let body;
+  try {
+    body = await readBodyLimited(response, MAX_TEXT_DOCUMENT_BYTES);
+  } catch (error) {
+    throw new DocumentFetchError(`Failed to read document ${url}: ${error.message}`, { retryable: true });
+  }
+  if (body.truncated) {
+    throw new DocumentFetchError(`Document ${url} is too large (max ${MAX_TEXT_DOCUMENT_BYTES} bytes)`);
+  }
+
+  return { type: 'text', media_type: 'text/plain', data: body.text };
+}
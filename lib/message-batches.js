@@ -0,0 +1,82 @@
+// =================================================================
+// lib/message-batches.js
+// =================================================================
+/*
+Thin wrapper around the Anthropic Message Batches API.
+
+FLOW:
+1. queue-batch.js submits every prompt as one batch (custom_id = requestId)
+2. batch-monitor.js polls the batch until processing_status === 'ended'
+3. Results are streamed back as JSONL and fanned out to llm_requests rows
+
+Batches can take up to 24 hours, so nothing here waits on completion.
+*/
+
+const BATCHES_URL = 'https://api.anthropic.com/v1/messages/batches';
+
+function batchHeaders(apiKey) {
+  return {
+    'Content-Type': 'application/json',
+    'x-api-key': apiKey,
+    'anthropic-version': '2023-06-01'
+  };
+}
+
+async function readBatchError(response) {
+  const errorText = await response.text();
+  return new Error(`Message Batches API error (${response.status}): ${errorText}`);
+}
+
+// Submit requests as [{ requestId, claudeRequest }]
+export async function createMessageBatch(apiKey, requests) {
+  const response = await fetch(BATCHES_URL, {
+    method: 'POST',
+    headers: batchHeaders(apiKey),
+    body: JSON.stringify({
+      requests: requests.map(({ requestId, claudeRequest }) => ({
+        custom_id: requestId,
+        params: claudeRequest
+      }))
+    }),
+    signal: AbortSignal.timeout(60000)
+  });
+
+  if (!response.ok) {
+    throw await readBatchError(response);
+  }
+
+  return response.json();
+}
+
+export async function retrieveMessageBatch(apiKey, anthropicBatchId) {
+  const response = await fetch(`${BATCHES_URL}/${anthropicBatchId}`, {
+    method: 'GET',
+    headers: batchHeaders(apiKey),
+    signal: AbortSignal.timeout(30000)
+  });
+
+  if (!response.ok) {
+    throw await readBatchError(response);
+  }
+
+  return response.json();
+}
+
+// Returns parsed JSONL result lines: [{ custom_id, result: { type, message | error } }]
+export async function fetchMessageBatchResults(apiKey, resultsUrl) {
+  const response = await fetch(resultsUrl, {
+    method: 'GET',
+    headers: batchHeaders(apiKey),
+    signal: AbortSignal.timeout(120000)
+  });
+
+  if (!response.ok) {
+    throw await readBatchError(response);
+  }
+
+  const body = await response.text();
+  return body
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
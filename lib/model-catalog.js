@@ -0,0 +1,147 @@
+// =================================================================
+// lib/model-catalog.js
+// =================================================================
+/*
+SERVER-SIDE MODEL CATALOG (api/models.js, Pack model autocomplete):
+
+PROBLEM SOLVED:
+- The Pack's MODELS list was edited by hand: retired models stayed in it,
+  and a model missing from it made promptAsync fail with "Unknown model"
+  until a new Pack version shipped
+
+HOW IT WORKS:
+- model_catalog holds one row per model id: display name, aliases,
+  capabilities (vision, thinking, web search, max output tokens) and the
+  deprecation / retirement dates. Pricing stays in model_pricing
+  (lib/pricing.js) and is joined in by api/models.js
+- resolveModel() maps what a request asked for onto what it runs on:
+    alias       -> the dated model id
+    deprecated  -> replacement_model once deprecated_at has passed
+                   (followed until an active model is reached)
+    retired without a replacement, or unknown -> error (400 at queue time)
+- Queue endpoints (queue-request, queue-batch, replay) and every recurring
+  run resolve before storing; the payload keeps requestedModel and the
+  response shows it next to model (what actually ran)
+*/
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// The catalog rarely changes - don't hit the table for every request
+const CATALOG_CACHE_TTL_MS = 5 * 60 * 1000;
+let catalogCache = null; // { rows, loadedAt }
+
+// Deprecations chain at most this far (3.5 Sonnet -> 3.7 -> 4 ...)
+const MAX_REPLACEMENT_HOPS = 5;
+
+export async function getModelCatalog() {
+  if (catalogCache && Date.now() - catalogCache.loadedAt < CATALOG_CACHE_TTL_MS) {
+    return catalogCache.rows;
+  }
+
+  const { data, error } = await supabase
+    .from('model_catalog')
+    .select('model, display_name, aliases, supports_vision, supports_thinking, supports_web_search, max_output_tokens, deprecated_at, retires_at, replacement_model, sort_order')
+    .order('sort_order', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load model catalog: ${error.message}`);
+  }
+
+  catalogCache = { rows: data || [], loadedAt: Date.now() };
+  return catalogCache.rows;
+}
+
+// 'active' | 'deprecated' (still served, requests use the replacement if
+// there is one) | 'retired'
+export function modelStatus(entry, at = new Date()) {
+  const now = new Date(at).getTime();
+  if (entry.retires_at && new Date(entry.retires_at).getTime() <= now) return 'retired';
+  if (entry.deprecated_at && new Date(entry.deprecated_at).getTime() <= now) return 'deprecated';
+  return 'active';
+}
+
+// Returns { error } or { model, requestedModel, reason } - reason is null when
+// the model runs as requested, else 'alias' or 'deprecated'
+export async function resolveModel(requested, at = new Date()) {
+  if (!requested || typeof requested !== 'string') {
+    return { error: 'claudeRequest.model is required' };
+  }
+
+  const catalog = await getModelCatalog();
+  let entry = catalog.find(row => row.model === requested) ||
+    catalog.find(row => (row.aliases || []).includes(requested));
+
+  if (!entry) {
+    return { error: `Unknown model: ${requested} - see /api/models for the available models` };
+  }
+
+  let reason = entry.model === requested ? null : 'alias';
+
+  for (let hop = 0; hop < MAX_REPLACEMENT_HOPS && entry.replacement_model && modelStatus(entry, at) !== 'active'; hop++) {
+    const replacement = catalog.find(row => row.model === entry.replacement_model);
+    if (!replacement) break;
+    entry = replacement;
+    reason = 'deprecated';
+  }
+
+  if (modelStatus(entry, at) === 'retired') {
+    return { error: `Model ${entry.model} was retired on ${new Date(entry.retires_at).toISOString().slice(0, 10)} and has no replacement configured` };
+  }
+
+  if (reason) {
+    console.log(`🔀 Model ${requested} -> ${entry.model} (${reason})`);
+  }
+
+  return { model: entry.model, requestedModel: requested, reason };
+}
+
+// The claudeRequest to store for this request: { error } or { claudeRequest,
+// requestedModel } - requestedModel is null when nothing was substituted
+export async function resolveClaudeRequestModel(claudeRequest, at = new Date()) {
+  const resolved = await resolveModel(claudeRequest?.model, at);
+  if (resolved.error) {
+    return { error: resolved.error };
+  }
+
+  if (!resolved.reason) {
+    return { claudeRequest, requestedModel: null };
+  }
+
+  return {
+    claudeRequest: { ...claudeRequest, model: resolved.model },
+    requestedModel: resolved.requestedModel
+  };
+}
+
+export function toModelSummary(entry, pricing = null, at = new Date()) {
+  return {
+    id: entry.model,
+    displayName: entry.display_name,
+    aliases: entry.aliases || [],
+    status: modelStatus(entry, at),
+    capabilities: {
+      vision: entry.supports_vision,
+      thinking: entry.supports_thinking,
+      webSearch: entry.supports_web_search,
+      maxOutputTokens: entry.max_output_tokens
+    },
+    pricing: pricing
+      ? {
+        currency: 'USD',
+        inputPerMTok: pricing.input,
+        outputPerMTok: pricing.output,
+        cacheWritePerMTok: pricing.cacheWrite,
+        cacheReadPerMTok: pricing.cacheRead,
+        webSearchPer1k: pricing.webSearchPer1k
+      }
+      : null,
+    deprecatedAt: entry.deprecated_at,
+    retiresAt: entry.retires_at,
+    replacement: entry.replacement_model
+  };
+}
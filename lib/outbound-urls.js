@@ -0,0 +1,192 @@
+// =================================================================
+// lib/outbound-urls.js
+// =================================================================
+/*
+URLS THE WORKERS FETCH ON A CALLER'S BEHALF (documentUrls, custom tool
+endpoints, webhook and callback deliveries):
+
+PROBLEM SOLVED:
+- Workers fetched whatever URL a request or tool named - loopback, the
+  private network, cloud metadata (169.254.169.254) - and the body came back
+  through Claude's answer (SSRF). Plain http also sent tool headers in clear
+
+HOW IT WORKS:
+- validateOutboundUrl(): sync check for queue / registration time - https
+  only, no user:password@, no internal host names or private IP literals
+- fetchPublicUrl(): fetch through an agent whose DNS lookup refuses private,
+  loopback and link-local addresses - checked when the socket connects, so
+  a public name that resolves (or re-resolves) inward is still refused.
+  GET redirects are followed by hand, each hop validated again
+- readBodyLimited(): reads at most maxBytes - content-length is checked
+  first, and the stream is cancelled once the limit is passed
+- Refusals throw OutboundUrlError (never retryable)
+- ALLOW_LOCAL_CALLBACK_URLS=true lifts the check for callbacks and webhook
+  deliveries only (vercel dev + scripts/webhook-listener.js on localhost) -
+  never set it in production
+*/
+
+import dns from 'dns';
+import net from 'net';
+import { Agent, fetch } from 'undici';
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+const INTERNAL_HOST_SUFFIXES = ['.localhost', '.local', '.internal', '.localdomain'];
+
+export const allowLocalCallbacks = process.env.ALLOW_LOCAL_CALLBACK_URLS === 'true';
+
+const privateRanges = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  privateRanges.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]
+]) {
+  privateRanges.addSubnet(address, prefix, 'ipv6');
+}
+
+export class OutboundUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OutboundUrlError';
+  }
+}
+
+export function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is the IPv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return isPrivateAddress(mapped[1]);
+  }
+
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true; // not an address at all - refuse rather than guess
+  }
+  return privateRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Returns a user-facing error message, or null when the URL may be fetched
+export function validateOutboundUrl(value, label = 'URL') {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return `${label} is not a valid URL`;
+  }
+
+  if (url.protocol !== 'https:') {
+    return `${label} must use https`;
+  }
+  if (url.username || url.password) {
+    return `${label} must not contain credentials - use headers instead`;
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || INTERNAL_HOST_SUFFIXES.some(suffix => host.endsWith(suffix))) {
+    return `${label} must point to a public host`;
+  }
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    return `${label} must not point to a private, loopback or link-local address`;
+  }
+
+  return null;
+}
+
+// Lookup that only ever hands public addresses to the socket
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new OutboundUrlError(`${hostname} resolves to a private address (${blocked.address})`));
+    }
+
+    if (options?.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const publicAgent = new Agent({ connect: { lookup: publicOnlyLookup } });
+
+// fetch() restricted to public https hosts. Throws OutboundUrlError for
+// refused URLs; network errors and timeouts are thrown as fetch throws them.
+export async function fetchPublicUrl(value, init = {}) {
+  const followRedirects = !init.method || init.method === 'GET';
+  let current = value;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const urlError = validateOutboundUrl(current);
+    if (urlError) {
+      throw new OutboundUrlError(`${urlError}: ${current}`);
+    }
+
+    let response;
+    try {
+      response = await fetch(current, { ...init, redirect: 'manual', dispatcher: publicAgent });
+    } catch (error) {
+      if (error?.cause instanceof OutboundUrlError) {
+        throw error.cause;
+      }
+      throw error;
+    }
+
+    const location = response.headers.get('location');
+    if (!followRedirects || !REDIRECT_STATUSES.includes(response.status) || !location) {
+      return response;
+    }
+
+    await response.body?.cancel();
+    current = new URL(location, current).toString();
+  }
+
+  throw new OutboundUrlError(`Too many redirects fetching ${value}`);
+}
+
+// Reads up to maxBytes of the body -> { text, bytes, truncated }
+export async function readBodyLimited(response, maxBytes) {
+  const declared = parseInt(response.headers.get('content-length'), 10);
+  if (declared > maxBytes) {
+    await response.body?.cancel();
+    return { text: '', bytes: declared, truncated: true };
+  }
+
+  if (!response.body) {
+    return { text: '', bytes: 0, truncated: false };
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let bytes = 0;
+  let truncated = false;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    bytes += value.byteLength;
+    if (bytes > maxBytes) {
+      chunks.push(value.subarray(0, value.byteLength - (bytes - maxBytes)));
+      truncated = true;
+      await reader.cancel();
+      break;
+    }
+    chunks.push(value);
+  }
+
+  return {
+    text: new TextDecoder().decode(Buffer.concat(chunks)),
+    bytes,
+    truncated
+  };
+}
@@ -0,0 +1,163 @@
+// =================================================================
+// lib/pricing.js
+// =================================================================
+/*
+SERVER-SIDE PRICING REGISTRY:
+
+PROBLEM SOLVED:
+- Costs used whatever modelPricing the client sent (copied from the Pack's
+  MODELS list) - anyone could send wrong numbers, and stale ones stuck
+- Web search fees and cache tokens weren't priced at all
+
+HOW IT WORKS:
+- model_pricing holds each model's rates with an effective_from date;
+  requests are priced with the rates in effect when they were created
+- getModelPricing(model, at) loads them (cached per instance for a while)
+- priceResponse(response, pricing, { batch }) itemises the cost:
+    input        usage.input_tokens (excludes cached tokens)
+    cache_write  usage.cache_creation_input_tokens
+    cache_read   usage.cache_read_input_tokens
+    output       usage.output_tokens - thinking is billed as output, so it is
+                 included here; thinkingTokensEstimated shows its share
+    web_search   usage.server_tool_use.web_search_requests (per 1,000)
+- Message Batches get 50% off the token items (search fees are unchanged)
+
+RATE CHANGES:
+- Insert a new model_pricing row with a later effective_from
+- scripts/reprice.js recomputes stored costs from the stored usage
+*/
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Message Batches API discount applied to standard per-token pricing
+const BATCH_PRICING_MULTIPLIER = 0.5;
+
+// Rates rarely change - don't hit the table for every request
+const PRICING_CACHE_TTL_MS = 5 * 60 * 1000;
+const pricingCache = new Map(); // model -> { rows, loadedAt }
+
+// Returns the rates in effect at `at` (default now), or null if the model
+// has none. Lookup failures are logged and return null - a missing price
+// must never fail a request that already ran.
+export async function getModelPricing(model, at = new Date()) {
+  if (!model) return null;
+
+  let cached = pricingCache.get(model);
+  if (!cached || Date.now() - cached.loadedAt > PRICING_CACHE_TTL_MS) {
+    const { data, error } = await supabase
+      .from('model_pricing')
+      .select('model, effective_from, input_per_mtok, output_per_mtok, cache_write_per_mtok, cache_read_per_mtok, web_search_per_1k')
+      .eq('model', model)
+      .order('effective_from', { ascending: false });
+
+    if (error) {
+      console.warn(`Failed to load pricing for ${model}: ${error.message}`);
+      return null;
+    }
+
+    cached = { rows: data || [], loadedAt: Date.now() };
+    pricingCache.set(model, cached);
+  }
+
+  const atTime = new Date(at).getTime();
+  const row = cached.rows.find(rate => new Date(rate.effective_from).getTime() <= atTime);
+  if (!row) {
+    console.warn(`⚠️ No pricing for ${model} at ${new Date(at).toISOString()} - cost not calculated`);
+    return null;
+  }
+
+  // numeric columns come back as strings
+  return {
+    model: row.model,
+    effectiveFrom: row.effective_from,
+    input: Number(row.input_per_mtok),
+    output: Number(row.output_per_mtok),
+    cacheWrite: Number(row.cache_write_per_mtok),
+    cacheRead: Number(row.cache_read_per_mtok),
+    webSearchPer1k: Number(row.web_search_per_1k)
+  };
+}
+
+// response: a Claude message (or a stored response_payload) with usage + content
+export function priceResponse(response, pricing, { batch = false } = {}) {
+  const usage = response?.usage;
+  if (!pricing || !usage) {
+    return null;
+  }
+
+  const multiplier = batch ? BATCH_PRICING_MULTIPLIER : 1;
+  const tokenItem = (item, tokens, ratePerMTok) => ({
+    item,
+    quantity: tokens || 0,
+    unit: 'tokens',
+    rate: ratePerMTok * multiplier,
+    cost: roundCost(((tokens || 0) / 1000000) * ratePerMTok * multiplier)
+  });
+
+  const webSearchRequests = usage.server_tool_use?.web_search_requests || 0;
+  const lineItems = [
+    tokenItem('input', usage.input_tokens, pricing.input),
+    tokenItem('cache_write', usage.cache_creation_input_tokens, pricing.cacheWrite),
+    tokenItem('cache_read', usage.cache_read_input_tokens, pricing.cacheRead),
+    tokenItem('output', usage.output_tokens, pricing.output),
+    {
+      item: 'web_search',
+      quantity: webSearchRequests,
+      unit: 'searches',
+      rate: pricing.webSearchPer1k / 1000,
+      cost: roundCost((webSearchRequests / 1000) * pricing.webSearchPer1k)
+    }
+  ];
+  const costOf = item => lineItems.find(line => line.item === item).cost;
+
+  return {
+    model: pricing.model,
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheWriteTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0,
+    thinkingTokensEstimated: estimateThinkingTokens(response.content),
+    webSearchRequests,
+    inputCost: costOf('input'),
+    outputCost: costOf('output'),
+    cacheWriteCost: costOf('cache_write'),
+    cacheReadCost: costOf('cache_read'),
+    webSearchCost: costOf('web_search'),
+    totalCost: roundCost(lineItems.reduce((sum, line) => sum + line.cost, 0)),
+    lineItems: lineItems.filter(line => line.quantity > 0),
+    pricingTier: batch ? 'batch' : 'standard',
+    ratesEffectiveFrom: pricing.effectiveFrom,
+    currency: 'USD'
+  };
+}
+
+// Usage of several calls that make up one request (repairs, tool loops)
+export function addUsage(a = {}, b = {}) {
+  const total = { ...a, ...b };
+  for (const field of ['input_tokens', 'output_tokens', 'cache_creation_input_tokens', 'cache_read_input_tokens']) {
+    total[field] = (a?.[field] || 0) + (b?.[field] || 0);
+  }
+
+  const searches = (a?.server_tool_use?.web_search_requests || 0) + (b?.server_tool_use?.web_search_requests || 0);
+  if (searches > 0) {
+    total.server_tool_use = { ...a?.server_tool_use, ...b?.server_tool_use, web_search_requests: searches };
+  }
+  return total;
+}
+
+// Thinking text length / 4 - the API only reports output_tokens as a whole
+function estimateThinkingTokens(content) {
+  const thinkingChars = (content || [])
+    .filter(block => block?.type === 'thinking')
+    .reduce((sum, block) => sum + (block.thinking || '').length, 0);
+  return Math.ceil(thinkingChars / 4);
+}
+
+function roundCost(value) {
+  return parseFloat(value.toFixed(6));
+}
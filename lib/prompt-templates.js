@@ -0,0 +1,223 @@
+// =================================================================
+// lib/prompt-templates.js
+// =================================================================
+/*
+STORED PROMPT TEMPLATES (api/templates.js, queue-request.js template,
+Pack promptTemplateAsync):
+
+PROBLEM SOLVED:
+- System prompts and instruction blocks were pasted into dozens of Coda
+  formulas and drifted apart between docs
+
+HOW IT WORKS:
+- Templates are saved per API key (prompt_templates). Every save is a new
+  immutable version (1, 2, 3...) - nothing is edited in place
+- system / prompt hold {{variable}} placeholders; variables declares
+  defaults - placeholders without a default are required
+- A template also carries a default model, maxTokens, temperature and an
+  optional jsonSchema (structured output, same forced tool as the Pack)
+- queue-request.js renders { template: { id, version?, variables } } into
+  the claudeRequest here; version defaults to the latest. The row records
+  template_id + template_version, and the payload keeps the variables, so
+  every output can be traced back to the exact text that produced it
+- Unknown variables are rejected - a typo shouldn't silently send the
+  template with a placeholder left in
+*/
+
+import { createClient } from '@supabase/supabase-js';
+import { STRUCTURED_OUTPUT_TOOL } from './structured-output.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Same rule as custom tool names - safe in URLs and Coda formulas
+const TEMPLATE_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+
+const DEFAULT_MAX_TOKENS = 4096;
+const MAX_TEMPLATE_CHARS = 200000;
+
+export const TEMPLATE_COLUMNS = 'template_id, version, description, system_prompt, prompt, model, max_tokens, temperature, json_schema, variable_defaults, deleted_at, created_at';
+
+// Placeholder names in order of first use
+export function extractVariables(...texts) {
+  const names = [];
+  for (const text of texts) {
+    for (const match of (text || '').matchAll(VARIABLE_PATTERN)) {
+      if (!names.includes(match[1])) {
+        names.push(match[1]);
+      }
+    }
+  }
+  return names;
+}
+
+// Returns a user-facing error message, or null when the definition is usable
+export function validateTemplateDefinition(template) {
+  if (!template || typeof template !== 'object') {
+    return 'Template definition must be an object';
+  }
+
+  if (!TEMPLATE_ID_PATTERN.test(template.id || '')) {
+    return 'id must be 1-64 letters, digits, underscores or hyphens';
+  }
+
+  if (!template.prompt || typeof template.prompt !== 'string') {
+    return 'prompt is required - the user message, with {{variable}} placeholders';
+  }
+  if (template.system !== undefined && template.system !== null && typeof template.system !== 'string') {
+    return 'system must be a string';
+  }
+  if (template.prompt.length + (template.system || '').length > MAX_TEMPLATE_CHARS) {
+    return `Template is too long (max ${MAX_TEMPLATE_CHARS} characters)`;
+  }
+
+  if (!template.model || typeof template.model !== 'string') {
+    return 'model is required - the default model for requests from this template';
+  }
+
+  if (template.maxTokens !== undefined && template.maxTokens !== null) {
+    if (!Number.isInteger(Number(template.maxTokens)) || Number(template.maxTokens) < 1) {
+      return 'maxTokens must be a positive integer';
+    }
+  }
+  if (template.temperature !== undefined && template.temperature !== null) {
+    const temperature = Number(template.temperature);
+    if (Number.isNaN(temperature) || temperature < 0 || temperature > 1) {
+      return 'temperature must be between 0 and 1';
+    }
+  }
+
+  if (template.jsonSchema !== undefined && template.jsonSchema !== null) {
+    if (typeof template.jsonSchema !== 'object' || template.jsonSchema.type !== 'object') {
+      return 'jsonSchema must be a JSON Schema with "type": "object" at the top level';
+    }
+  }
+
+  if (template.variables !== undefined && template.variables !== null) {
+    if (typeof template.variables !== 'object' || Array.isArray(template.variables)) {
+      return 'variables must be an object of default values, e.g. {"tone": "friendly"}';
+    }
+    const placeholders = extractVariables(template.system, template.prompt);
+    const unused = Object.keys(template.variables).filter(name => !placeholders.includes(name));
+    if (unused.length > 0) {
+      return `variables has defaults for names the template doesn't use: ${unused.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+// A saved version (or the latest one), or null. Deleted templates are gone
+// for new requests but their rows stay for audits.
+export async function loadTemplate(ownerKeyHash, templateId, version = null) {
+  let query = supabase
+    .from('prompt_templates')
+    .select(TEMPLATE_COLUMNS)
+    .eq('owner_key_hash', ownerKeyHash)
+    .eq('template_id', templateId)
+    .is('deleted_at', null);
+
+  query = version
+    ? query.eq('version', version)
+    : query.order('version', { ascending: false }).limit(1);
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load template ${templateId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+// Returns { error } or { claudeRequest, responseOptions } for one request.
+// options: { variables, model, includeWrapper } from queue-request.js
+export function renderTemplate(template, { variables = {}, model, includeWrapper = false } = {}) {
+  if (variables === null || typeof variables !== 'object' || Array.isArray(variables)) {
+    return { error: 'template.variables must be an object, e.g. {"customer": "Acme"}' };
+  }
+
+  const placeholders = extractVariables(template.system_prompt, template.prompt);
+  const values = { ...(template.variable_defaults || {}), ...variables };
+
+  const unknown = Object.keys(variables).filter(name => !placeholders.includes(name));
+  if (unknown.length > 0) {
+    return { error: `Unknown variables for template ${template.template_id} v${template.version}: ${unknown.join(', ')} (expected: ${placeholders.join(', ') || 'none'})` };
+  }
+
+  const missing = placeholders.filter(name => values[name] === undefined || values[name] === null);
+  if (missing.length > 0) {
+    return { error: `Missing variables for template ${template.template_id} v${template.version}: ${missing.join(', ')}` };
+  }
+
+  const fill = text => text.replace(VARIABLE_PATTERN, (_, name) => {
+    const value = values[name];
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  });
+
+  const claudeRequest = {
+    model: model || template.model,
+    max_tokens: template.max_tokens || DEFAULT_MAX_TOKENS,
+    messages: [{ role: 'user', content: fill(template.prompt) }]
+  };
+
+  if (template.system_prompt) {
+    claudeRequest.system = fill(template.system_prompt);
+  }
+
+  // Same defaults as the Pack's buildClaudeRequest: structured output runs cooler
+  if (template.json_schema) {
+    claudeRequest.temperature = template.temperature !== null && template.temperature !== undefined
+      ? Number(template.temperature)
+      : 0.2;
+    claudeRequest.tools = [{
+      name: STRUCTURED_OUTPUT_TOOL,
+      description: 'Return your complete answer as structured data matching this schema.',
+      input_schema: template.json_schema
+    }];
+    claudeRequest.tool_choice = { type: 'tool', name: STRUCTURED_OUTPUT_TOOL };
+  } else if (template.temperature !== null && template.temperature !== undefined) {
+    claudeRequest.temperature = Number(template.temperature);
+  }
+
+  return {
+    claudeRequest,
+    responseOptions: {
+      jsonContent: false,
+      extendedThinking: false,
+      includeThinking: false,
+      includeCost: true,
+      webSearch: false,
+      includeWrapper: Boolean(includeWrapper),
+      hasVision: false,
+      hasDocuments: false,
+      structuredOutput: Boolean(template.json_schema)
+    }
+  };
+}
+
+export function toTemplateSummary(row, { includeContent = true } = {}) {
+  const summary = {
+    id: row.template_id,
+    version: row.version,
+    description: row.description,
+    model: row.model,
+    maxTokens: row.max_tokens,
+    temperature: row.temperature === null ? null : Number(row.temperature),
+    variables: extractVariables(row.system_prompt, row.prompt),
+    variableDefaults: row.variable_defaults || {},
+    hasJsonSchema: Boolean(row.json_schema),
+    createdAt: row.created_at
+  };
+
+  if (includeContent) {
+    summary.system = row.system_prompt;
+    summary.prompt = row.prompt;
+    summary.jsonSchema = row.json_schema;
+  }
+
+  return summary;
+}
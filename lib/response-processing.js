@@ -0,0 +1,280 @@
+// =================================================================
+// lib/response-processing.js
+// =================================================================
+/*
+Shared response post-processing used by process-queue.js (single requests)
+and batch-monitor.js (Message Batches results). Both paths must produce the
+same response_payload shape so checkRequest and Coda formulas don't care how
+a request was run.
+
+PRICING (lib/pricing.js):
+- Callers look up the server-side rates (getModelPricing) and pass them as
+  { pricing } - client-sent modelPricing is ignored
+- Pass { batch: true } to processResponseMinimal to apply the batch discount
+- No pricing -> no cost block (the response itself is still stored)
+
+CITATIONS:
+- Web search results and documents (documentUrls, citations enabled) share
+  one numbering: [n] markers after the cited text, footnotes at the end
+- Web sources are deduplicated by URL; document citations by document and
+  location - page ranges for PDFs, character ranges for plain text
+
+STRUCTURED OUTPUT (lib/structured-output.js):
+- jsonSchema requests get structuredOutput (parsed object), validationErrors
+  (null when it matches the schema) and repairAttempts
+
+MODEL SUBSTITUTION (lib/model-catalog.js):
+- response.model is the model that actually ran; requestedModel is added
+  when the request asked for an alias or a deprecated model
+*/
+
+import { priceResponse } from './pricing.js';
+import { getOutputSchema, getStructuredOutput, validateStructuredOutput } from './structured-output.js';
+import { hasCitedDocuments } from './documents.js';
+
+// Simple recursive function to clean response
+function cleanResponse(obj) {
+  if (obj === null || typeof obj !== 'object') {
+    return obj;
+  }
+
+  if (Array.isArray(obj)) {
+    return obj.map(item => cleanResponse(item));
+  }
+
+  const cleaned = {};
+  for (const [key, value] of Object.entries(obj)) {
+    // Remove signature and encrypted content fields
+    if (key === 'signature' || key === 'encrypted_content' || key === 'encrypted_index') {
+      continue;
+    }
+    cleaned[key] = cleanResponse(value);
+  }
+
+  return cleaned;
+}
+
+// Web results are one source per URL; document citations point at a place
+// in the document (page_location end_page_number is exclusive)
+function describeDocumentLocation(citation) {
+  switch (citation.type) {
+    case 'page_location': {
+      const lastPage = citation.end_page_number - 1;
+      return lastPage > citation.start_page_number
+        ? `pp. ${citation.start_page_number}-${lastPage}`
+        : `p. ${citation.start_page_number}`;
+    }
+    case 'char_location':
+      return `chars ${citation.start_char_index}-${citation.end_char_index}`;
+    case 'content_block_location':
+      return `blocks ${citation.start_block_index}-${citation.end_block_index - 1}`;
+    default:
+      return null;
+  }
+}
+
+function citationKey(citation) {
+  if (citation.url) {
+    return citation.url;
+  }
+  if (citation.document_index !== undefined) {
+    return `document:${citation.document_index}:${describeDocumentLocation(citation)}`;
+  }
+  return null;
+}
+
+// Extract and format citations from Claude's response
+function extractAndFormatCitations(claudeResponse) {
+  const citationRegistry = new Map();
+  let citationCounter = 1;
+
+  // Walk through content blocks and extract citations
+  function collectCitations(obj) {
+    if (obj === null || typeof obj !== 'object') return;
+
+    if (Array.isArray(obj)) {
+      obj.forEach(collectCitations);
+      return;
+    }
+
+    // Handle text blocks with citations array
+    if (obj.type === 'text' && obj.citations && Array.isArray(obj.citations)) {
+      obj.citations.forEach(citation => {
+        const key = citationKey(citation);
+        if (key && !citationRegistry.has(key)) {
+          const isDocument = !citation.url;
+          citationRegistry.set(key, {
+            number: citationCounter++,
+            url: citation.url || null,
+            title: citation.title || citation.document_title ||
+              (isDocument ? `Document ${citation.document_index + 1}` : 'Unknown Source'),
+            location: isDocument ? describeDocumentLocation(citation) : null,
+            cited_text: citation.cited_text || ''
+          });
+        }
+      });
+    }
+
+    // Recursively process nested objects
+    Object.values(obj).forEach(collectCitations);
+  }
+
+  // Collect all citations
+  collectCitations(claudeResponse);
+
+  return citationRegistry;
+}
+
+function formatFootnote(citation) {
+  if (citation.url) {
+    return `[${citation.number}] [${citation.title}](${citation.url})\n`;
+  }
+  return `[${citation.number}] ${citation.title}${citation.location ? `, ${citation.location}` : ''}\n`;
+}
+
+function addCitationFootnotes(content, citationRegistry) {
+  if (citationRegistry.size === 0) return content;
+
+  // Build footnotes section
+  const citations = Array.from(citationRegistry.values())
+    .sort((a, b) => a.number - b.number);
+
+  let footnotes = '\n\n---\n**Sources:**\n\n';
+  citations.forEach(citation => {
+    footnotes += formatFootnote(citation);
+  });
+
+  return content + footnotes;
+}
+
+function processContentWithCitations(contentArray, citationRegistry) {
+  return contentArray.map(block => {
+    if (block.type === 'text' && block.citations && Array.isArray(block.citations)) {
+      // Add citation markers to text
+      let text = block.text || '';
+
+      const citationNumbers = block.citations
+        .filter(c => citationRegistry.has(citationKey(c)))
+        .map(c => citationRegistry.get(citationKey(c)).number)
+        .sort((a, b) => a - b);
+
+      if (citationNumbers.length > 0) {
+        const markers = citationNumbers.map(n => `[${n}]`).join('');
+        text += ` ${markers}`;
+      }
+
+      return {
+        type: 'text',
+        text: text
+      };
+    }
+
+    // Return other blocks unchanged
+    return block;
+  });
+}
+
+// Enhanced minimal response processing with optional citation handling
+export function processResponseMinimal(claudeResponse, requestPayload, options = {}) {
+  // Clean the response (remove signatures, encrypted content)
+  let cleaned = cleanResponse(claudeResponse);
+
+  // Check if web search was used (citations present)
+  const hasWebSearch = requestPayload.claudeRequest?.tools?.some(tool =>
+    tool.type === 'web_search_20250305' || tool.name === 'web_search'
+  );
+
+  // Documents sent with citations enabled are cited the same way
+  const hasDocuments = hasCitedDocuments(requestPayload.claudeRequest);
+
+  // Process citations if web search was used
+  if ((hasWebSearch || hasDocuments) && cleaned.content) {
+    console.log(`${hasWebSearch ? 'Web search' : 'Documents'} detected, processing citations...`);
+
+    // Extract citation registry
+    const citationRegistry = extractAndFormatCitations(cleaned);
+
+    if (citationRegistry.size > 0) {
+      console.log(`Found ${citationRegistry.size} unique citations`);
+
+      // Process content blocks to add citation markers
+      cleaned.content = processContentWithCitations(cleaned.content, citationRegistry);
+
+      // Add footnotes as a SEPARATE final text block instead of modifying existing blocks
+      const footnotes = buildFootnotesBlock(citationRegistry);
+      cleaned.content.push(footnotes);
+
+      // Store citation metadata
+      cleaned._citationInfo = {
+        totalCitations: citationRegistry.size,
+        citationUrls: Array.from(new Set(Array.from(citationRegistry.values()).map(c => c.url).filter(Boolean))),
+        documentCitations: Array.from(citationRegistry.values()).filter(c => !c.url).length
+      };
+    } else {
+      console.log('No citations found in response');
+    }
+  }
+
+  // Handle JSON content extraction if requested
+  if (requestPayload.responseOptions?.jsonContent) {
+    const textContent = cleaned.content?.find(item => item.type === 'text');
+    if (textContent?.text) {
+      const jsonMatch = textContent.text.match(/\{[\s\S]*\}/);
+      if (jsonMatch) {
+        try {
+          JSON.parse(jsonMatch[0]);
+          textContent.text = jsonMatch[0];
+          console.log('✅ Extracted clean JSON from mixed content');
+        } catch (e) {
+          console.warn('⚠️ JSON extraction failed, keeping original text:', e.message);
+        }
+      }
+    }
+  }
+
+  // Structured output mode: the parsed tool input, checked against the schema
+  const outputSchema = getOutputSchema(requestPayload.claudeRequest);
+  if (outputSchema) {
+    const validationErrors = validateStructuredOutput(outputSchema, claudeResponse);
+    cleaned.structuredOutput = getStructuredOutput(claudeResponse);
+    cleaned.validationErrors = validationErrors.length > 0 ? validationErrors : null;
+    cleaned.repairAttempts = options.repairAttempts || 0;
+    if (validationErrors.length > 0) {
+      console.warn(`⚠️ Structured output still invalid: ${validationErrors.join('; ')}`);
+    }
+  }
+
+  // Add itemised cost from the server-side pricing registry
+  const cost = priceResponse(claudeResponse, options.pricing, { batch: options.batch });
+  if (cost) {
+    cleaned.cost = cost;
+  }
+
+  // Show what was asked for when the catalog substituted another model
+  if (requestPayload.requestedModel) {
+    cleaned.requestedModel = requestPayload.requestedModel;
+  }
+
+  // Add minimal metadata
+  cleaned.requestId = requestPayload.requestId;
+  cleaned.completedAt = new Date().toISOString();
+
+  return cleaned;
+}
+
+function buildFootnotesBlock(citationRegistry) {
+  if (citationRegistry.size === 0) return null;
+
+  const citations = Array.from(citationRegistry.values())
+    .sort((a, b) => a.number - b.number);
+
+  let footnotes = '\n\n---\n**Sources:**\n\n';
+  citations.forEach(citation => {
+    footnotes += formatFootnote(citation);
+  });
+
+  return {
+    type: 'text',
+    text: footnotes
+  };
+}
@@ -0,0 +1,153 @@
+// =================================================================
+// lib/result-cache.js
+// =================================================================
+/*
+IDEMPOTENT RESUBMISSION + RESULT CACHE (queue-request.js):
+
+PROBLEM SOLVED:
+- Coda automations re-run a row's formula and every run paid for the same
+  prompt again - the Pack can't reuse a requestId between runs
+
+HOW IT WORKS (everything is scoped to the API key that submits):
+- idempotencyKey: a repeat within the TTL returns the request that is
+  already queued / running / done - nothing new is stored. Failed and
+  cancelled requests don't count, so a retry goes through
+- cache 'use': the claudeRequest + responseOptions are normalised (sorted
+  keys) and hashed. Same hash within the TTL:
+    still running -> that request is returned
+    completed     -> a new row is stored as completed right away with a copy
+                     of the response (cacheHit: true, cost 0) and the usual
+                     webhooks fire, so Coda can't tell the difference
+- cache 'refresh': no lookup, but the hash is stored for later hits
+- cache 'off' (default for direct API calls): no hash at all
+- Conversation requests, custom tools and URL documents are never cached -
+  their answer depends on more than the request body
+*/
+
+import { createHash } from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const CACHE_MODES = ['use', 'off', 'refresh'];
+
+const DEFAULT_CACHE_TTL_SECONDS = 24 * 60 * 60;
+const MAX_CACHE_TTL_SECONDS = 30 * 24 * 60 * 60;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 200;
+
+// Clamp a client-supplied cacheTtlSeconds to something sane
+export function resolveCacheTtlSeconds(requested) {
+  const value = parseInt(requested, 10);
+  if (!value || value < 1) return DEFAULT_CACHE_TTL_SECONDS;
+  return Math.min(value, MAX_CACHE_TTL_SECONDS);
+}
+
+// Returns a user-facing error message, or null when the options are usable
+export function validateCacheOptions({ idempotencyKey, cache }) {
+  if (idempotencyKey !== undefined && idempotencyKey !== null) {
+    if (typeof idempotencyKey !== 'string' || idempotencyKey.length === 0 || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      return `idempotencyKey must be a string of 1-${MAX_IDEMPOTENCY_KEY_LENGTH} characters`;
+    }
+  }
+
+  if (cache !== undefined && cache !== null && !CACHE_MODES.includes(cache)) {
+    return `cache "${cache}" is invalid. Expected one of: ${CACHE_MODES.join(', ')}`;
+  }
+
+  return null;
+}
+
+// Same request -> same hash, whatever order its keys were sent in
+export function hashClaudeRequest(claudeRequest, responseOptions) {
+  return createHash('sha256')
+    .update(stableStringify({ claudeRequest, responseOptions: responseOptions || null }))
+    .digest('hex');
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function ttlCutoff(ttlSeconds) {
+  return new Date(Date.now() - ttlSeconds * 1000).toISOString();
+}
+
+// The latest live request submitted with this key, or null
+export async function findIdempotentRequest(apiKeyHash, idempotencyKey, ttlSeconds) {
+  const { data, error } = await supabase
+    .from('llm_requests')
+    .select('request_id, status, created_at, cached_from_request_id')
+    .eq('api_key_hash', apiKeyHash)
+    .eq('idempotency_key', idempotencyKey)
+    .not('status', 'in', '(failed,cancelled)')
+    .gte('created_at', ttlCutoff(ttlSeconds))
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Idempotency lookup failed: ${error.message}`);
+  }
+
+  return data;
+}
+
+// The latest request with this hash that is still running or completed, or null
+export async function findCachedRequest(apiKeyHash, requestHash, ttlSeconds) {
+  const { data, error } = await supabase
+    .from('llm_requests')
+    .select('request_id, status, created_at, response_payload, cached_from_request_id')
+    .eq('api_key_hash', apiKeyHash)
+    .eq('request_hash', requestHash)
+    .in('status', ['queued', 'processing', 'retrying', 'batched', 'completed'])
+    .gte('created_at', ttlCutoff(ttlSeconds))
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Result cache lookup failed: ${error.message}`);
+  }
+
+  return data;
+}
+
+// The response stored on a cache-hit row: the original answer, costing nothing
+export function toCachedResponse(source, requestId) {
+  const cachedFromRequestId = source.cached_from_request_id || source.request_id;
+  const original = source.response_payload;
+
+  return {
+    ...original,
+    requestId,
+    completedAt: new Date().toISOString(),
+    cacheHit: true,
+    cachedFromRequestId,
+    cost: original.cost
+      ? {
+        ...original.cost,
+        inputCost: 0,
+        outputCost: 0,
+        cacheWriteCost: 0,
+        cacheReadCost: 0,
+        webSearchCost: 0,
+        totalCost: 0,
+        lineItems: [],
+        originalTotalCost: original.cost.originalTotalCost ?? original.cost.totalCost
+      }
+      : null
+  };
+}
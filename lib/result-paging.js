@@ -0,0 +1,186 @@
+// =================================================================
+// lib/result-paging.js
+// =================================================================
+/*
+SIZE-AWARE RESULT PAGING (Coda cells hold ~50k characters):
+
+PROBLEM SOLVED:
+- Big responses (web search results, long answers, tool steps) didn't fit
+  in the cell checkRequest writes to, and nothing was ever truncated on
+  purpose - the formula just failed
+
+HOW IT WORKS:
+- pageResult(document) pages the WHOLE request-status document - the
+  response plus everything added around it (conversation transcript,
+  webhookLogs, runs, partial progress). Stored rows are never changed
+- The limit applies to the compact JSON of the final document, manifest
+  included - exactly what the Pack writes into the cell
+- Over MAX_INLINE_CHARS, the largest fields are swapped for placeholders
+  until it fits:
+    { paged: true, field: 'content.3', pages: 2, length: 61234 }
+  If the many small placeholders still don't fit, the whole response is
+  paged as one field ('response'). If even that isn't enough, { error } -
+  never a document that silently overflows the cell
+- manifest lists every paged field; each is split into CHUNK_CHARS pages
+- getResultChunk(document, field, page) returns one page (1-based)
+
+FIELDS:
+- content.<i>.text / content.<i>.thinking  -> the raw text (of response)
+- content.<i>                              -> the block as JSON (tool results)
+- structuredOutput / toolSteps             -> JSON (of response)
+- response                                 -> the whole response as JSON
+- conversation / webhookLogs / runs / toolUses -> JSON
+- partialContent / partialThinking         -> the raw text
+JSON fields are split as text - join every page before JSON.parse.
+*/
+
+export const CHUNK_CHARS = 45000;
+const MAX_INLINE_CHARS = 45000;
+
+// Fields of the status document itself, next to response
+const DOCUMENT_FIELDS = ['conversation', 'webhookLogs', 'runs', 'toolUses', 'partialContent', 'partialThinking'];
+const TEXT_DOCUMENT_FIELDS = ['partialContent', 'partialThinking'];
+
+const FIELD_PATTERN = /^(content\.\d+(\.(text|thinking))?|structuredOutput|toolSteps|response|conversation|webhookLogs|runs|toolUses|partialContent|partialThinking)$/;
+
+export function isValidField(field) {
+  return FIELD_PATTERN.test(field || '');
+}
+
+// Whether the field lives inside document.response
+export function isResponseField(field) {
+  return isValidField(field) && !DOCUMENT_FIELDS.includes(field);
+}
+
+// Fields inside the response, with their value as one string
+function listResponseFields(response) {
+  const fields = [];
+
+  (response?.content || []).forEach((block, index) => {
+    if (!block) return;
+    if (block.type === 'text' && typeof block.text === 'string') {
+      fields.push({ field: `content.${index}.text`, value: block.text });
+    } else if (block.type === 'thinking' && typeof block.thinking === 'string') {
+      fields.push({ field: `content.${index}.thinking`, value: block.thinking });
+    } else {
+      fields.push({ field: `content.${index}`, value: JSON.stringify(block) });
+    }
+  });
+
+  for (const field of ['structuredOutput', 'toolSteps']) {
+    if (response?.[field] !== undefined && response[field] !== null) {
+      fields.push({ field, value: JSON.stringify(response[field]) });
+    }
+  }
+
+  return fields;
+}
+
+// Every field of the document that can be paged. wholeResponse: the response
+// as one field instead of its parts
+function listFields(document, { wholeResponse = false } = {}) {
+  const fields = [];
+
+  if (document?.response) {
+    if (wholeResponse) {
+      fields.push({ field: 'response', value: JSON.stringify(document.response) });
+    } else {
+      fields.push(...listResponseFields(document.response));
+    }
+  }
+
+  for (const field of DOCUMENT_FIELDS) {
+    const value = document?.[field];
+    if (value === undefined || value === null) continue;
+    fields.push({
+      field,
+      value: TEXT_DOCUMENT_FIELDS.includes(field) && typeof value === 'string' ? value : JSON.stringify(value)
+    });
+  }
+
+  return fields;
+}
+
+function getFieldValue(document, field) {
+  const fields = [...listFields(document), ...listFields(document, { wholeResponse: true })];
+  return fields.find(entry => entry.field === field)?.value ?? null;
+}
+
+// Copy of the document with `field` replaced by its placeholder
+function replaceField(document, field, placeholder) {
+  if (field === 'response' || DOCUMENT_FIELDS.includes(field)) {
+    return { ...document, [field]: placeholder };
+  }
+
+  const response = document.response;
+  const [root, index, key] = field.split('.');
+  if (root !== 'content') {
+    return { ...document, response: { ...response, [root]: placeholder } };
+  }
+
+  const content = [...response.content];
+  content[index] = key ? { ...content[index], [key]: placeholder } : placeholder;
+  return { ...document, response: { ...response, content } };
+}
+
+function fits(document, manifest) {
+  return JSON.stringify(manifest ? { ...document, resultManifest: manifest } : document).length <= MAX_INLINE_CHARS;
+}
+
+// Largest fields first until the document (with its manifest) fits
+function pageFields(document, fields) {
+  let paged = document;
+  const manifest = [];
+
+  for (const { field, value } of [...fields].sort((a, b) => b.value.length - a.value.length)) {
+    if (fits(paged, manifest)) break;
+
+    const entry = { field, length: value.length, pages: Math.max(1, Math.ceil(value.length / CHUNK_CHARS)) };
+    manifest.push(entry);
+    paged = replaceField(paged, field, { paged: true, ...entry });
+  }
+
+  return { paged, manifest };
+}
+
+// Returns { document, manifest } - manifest is null when nothing had to be
+// paged - or { error } when no amount of paging makes it fit
+export function pageResult(document) {
+  if (!document || fits(document, null)) {
+    return { document, manifest: null };
+  }
+
+  for (const wholeResponse of [false, true]) {
+    const { paged, manifest } = pageFields(document, listFields(document, { wholeResponse }));
+    if (fits(paged, manifest)) {
+      return { document: paged, manifest };
+    }
+  }
+
+  return { error: `Result is too large to page into ${MAX_INLINE_CHARS} characters` };
+}
+
+// Returns { field, page, pages, length, chunk } or { error }
+export function getResultChunk(document, field, page = 1) {
+  if (!isValidField(field)) {
+    return { error: `Invalid field "${field}". Expected content.<i>, content.<i>.text, content.<i>.thinking, structuredOutput, toolSteps, response, ${DOCUMENT_FIELDS.join(', ')}` };
+  }
+
+  const value = getFieldValue(document, field);
+  if (value === null) {
+    return { error: `Field ${field} not found in this result` };
+  }
+
+  const pages = Math.max(1, Math.ceil(value.length / CHUNK_CHARS));
+  if (!Number.isInteger(page) || page < 1 || page > pages) {
+    return { error: `Page ${page} out of range - ${field} has ${pages} pages` };
+  }
+
+  return {
+    field,
+    page,
+    pages,
+    length: value.length,
+    chunk: value.slice((page - 1) * CHUNK_CHARS, page * CHUNK_CHARS)
+  };
+}
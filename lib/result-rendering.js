@@ -0,0 +1,185 @@
+// =================================================================
+// lib/result-rendering.js
+// =================================================================
+/*
+RENDERED ANSWERS (api/request-result.js, Pack getResult):
+
+PROBLEM SOLVED:
+- checkRequest hands Coda the raw response and every doc rebuilt the same
+  FormulaMap/ParseJSON logic to pull the text blocks out of it
+
+HOW IT WORKS:
+- renderResult(response, { format, include }) builds Markdown from the text
+  blocks only - server tool blocks (searches, their results, custom tool
+  calls) are dropped; citation markers + footnotes are already in the text
+  (lib/response-processing.js)
+- Structured output renders as a fenced JSON block
+- include: 'thinking' (before the answer), 'searches' and 'cost' (after it)
+- format: 'markdown' as built, 'text' with the Markdown syntax stripped
+  (links become "title (url)"), 'html' converted here from the escaped
+  Markdown - no raw HTML from the response survives, only links to http(s)
+*/
+
+export const RESULT_FORMATS = ['text', 'markdown', 'html'];
+export const RESULT_SECTIONS = ['thinking', 'searches', 'cost'];
+
+export function renderResult(response, { format = 'markdown', include = [] } = {}) {
+  const markdown = buildMarkdown(response, include);
+
+  if (format === 'text') {
+    return markdownToText(markdown);
+  }
+  if (format === 'html') {
+    return markdownToHtml(markdown);
+  }
+  return markdown;
+}
+
+function buildMarkdown(response, include) {
+  const content = response?.content || [];
+  const sections = [];
+
+  if (include.includes('thinking')) {
+    const thinking = content
+      .filter(block => block?.type === 'thinking' && block.thinking)
+      .map(block => block.thinking)
+      .join('\n\n');
+    if (thinking) {
+      sections.push(`### Thinking\n\n${thinking}`);
+    }
+  }
+
+  let answer;
+  if (response?.structuredOutput !== undefined && response?.structuredOutput !== null) {
+    answer = `\`\`\`json\n${JSON.stringify(response.structuredOutput, null, 2)}\n\`\`\``;
+  } else {
+    answer = content
+      .filter(block => block?.type === 'text' && block.text)
+      .map(block => block.text)
+      .join('\n\n')
+      .trim();
+  }
+  sections.push(answer || '(no text content)');
+
+  if (include.includes('searches')) {
+    const queries = content
+      .filter(block => block?.type === 'server_tool_use' && block.name === 'web_search' && block.input?.query)
+      .map(block => `- ${block.input.query}`);
+    if (queries.length > 0) {
+      sections.push(`### Searches\n\n${queries.join('\n')}`);
+    }
+  }
+
+  if (include.includes('cost') && response?.cost) {
+    const { cost } = response;
+    sections.push(`### Cost\n\n$${cost.totalCost.toFixed(4)} ${cost.currency || 'USD'} - ${(cost.inputTokens || 0).toLocaleString('en-US')} input / ${(cost.outputTokens || 0).toLocaleString('en-US')} output tokens${cost.webSearchRequests ? `, ${cost.webSearchRequests} searches` : ''}`);
+  }
+
+  return sections.join('\n\n---\n\n');
+}
+
+function markdownToText(markdown) {
+  return markdown
+    .replace(/^```[^\n]*\n?/gm, '')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/\[([^\]]+)\]\((\S+?)\)/g, '$1 ($2)')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|\W)[*_]([^*_\n]+)[*_](?=\W|$)/g, '$1$2')
+    .replace(/`([^`\n]+)`/g, '$1')
+    .trim();
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Inline Markdown on already-escaped text
+function renderInline(text) {
+  return text
+    .replace(/`([^`\n]+)`/g, '<code>$1</code>')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" rel="noopener noreferrer">$1</a>')
+    .replace(/(\*\*|__)(.+?)\1/g, '<strong>$2</strong>')
+    .replace(/(^|[^\w*])\*([^*\n]+)\*(?=[^\w*]|$)/g, '$1<em>$2</em>');
+}
+
+function markdownToHtml(markdown) {
+  const lines = escapeHtml(markdown).split('\n');
+  const html = [];
+  let paragraph = [];
+  let list = null; // 'ul' | 'ol'
+  let code = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${renderInline(paragraph.join('<br>'))}</p>`);
+      paragraph = [];
+    }
+  };
+  const closeList = () => {
+    if (list) {
+      html.push(`</${list}>`);
+      list = null;
+    }
+  };
+
+  for (const line of lines) {
+    if (code !== null) {
+      if (line.startsWith('```')) {
+        html.push(`<pre><code>${code.join('\n')}</code></pre>`);
+        code = null;
+      } else {
+        code.push(line);
+      }
+      continue;
+    }
+
+    if (line.startsWith('```')) {
+      flushParagraph();
+      closeList();
+      code = [];
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+    if (heading) {
+      flushParagraph();
+      closeList();
+      html.push(`<h${heading[1].length}>${renderInline(heading[2])}</h${heading[1].length}>`);
+    } else if (/^\s*(-{3,}|\*{3,})\s*$/.test(line)) {
+      flushParagraph();
+      closeList();
+      html.push('<hr>');
+    } else if (bullet || numbered) {
+      flushParagraph();
+      const type = bullet ? 'ul' : 'ol';
+      if (list !== type) {
+        closeList();
+        html.push(`<${type}>`);
+        list = type;
+      }
+      html.push(`<li>${renderInline((bullet || numbered)[1])}</li>`);
+    } else if (line.trim() === '') {
+      flushParagraph();
+      closeList();
+    } else {
+      closeList();
+      paragraph.push(line);
+    }
+  }
+
+  if (code !== null) {
+    html.push(`<pre><code>${code.join('\n')}</code></pre>`);
+  }
+  flushParagraph();
+  closeList();
+
+  return html.join('\n');
+}
@@ -0,0 +1,363 @@
+// =================================================================
+// lib/scheduling.js
+// =================================================================
+/*
+SCHEDULED + RECURRING REQUESTS (queue-request.js runAt / recurrence,
+api/scheduler.js cron):
+
+PROBLEM SOLVED:
+- Bulk runs could only start the moment they were queued (peak hours), and
+  a daily "summarise this table" refresh needed a Coda automation per doc
+
+HOW IT WORKS:
+- runAt in the future and/or a recurrence rule -> the row is stored with
+  status 'scheduled' and next_run_at; workers never claim 'scheduled' rows
+- One-off (runAt only): when next_run_at passes, the scheduler flips the row
+  itself to 'queued' and dispatches a worker - same requestId, same result
+- Recurring: the row stays 'scheduled' as a template. Every due run inserts a
+  child request (parent_request_id) with its own requestId, result and
+  webhooks - the parent's access token and x-api-key read the children
+- Recurrence rules are fixed UTC steps from the first run (anchor = runAt,
+  or the time it was queued): hourly, daily, weekly, monthly or
+  "every <n> minutes|hours|days|weeks|months" (at least every 15 minutes).
+  Monthly keeps the day of month (clamped to short months)
+- Runs missed while the cron was down are skipped, not replayed in a burst
+- recurrenceUntil / maxRuns end the schedule; the parent then becomes
+  'completed'. cancelRequest on the parent stops it early
+- Every child run is checked against the spend budgets like a new request
+  (lib/budgets.js); over a cap the run is stored as failed (quota_exceeded)
+  and the failure webhook fires, the schedule carries on
+- The model is resolved again for every run (lib/model-catalog.js), so a
+  long-running schedule moves to the replacement once its model is
+  deprecated. A retired model without one fails the run (invalid_request)
+*/
+
+import { createClient } from '@supabase/supabase-js';
+import { generateRequestId } from './access.js';
+import { getModelPricing } from './pricing.js';
+import { checkBudgets, estimateRequestCost, QUOTA_EXCEEDED } from './budgets.js';
+import { resolveClaudeRequestModel } from './model-catalog.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MINUTE_MS = 60 * 1000;
+const UNIT_MS = { minute: MINUTE_MS, hour: 60 * MINUTE_MS, day: 24 * 60 * MINUTE_MS, week: 7 * 24 * 60 * MINUTE_MS };
+const NAMED_RULES = {
+  hourly: { every: 1, unit: 'hour' },
+  daily: { every: 1, unit: 'day' },
+  weekly: { every: 1, unit: 'week' },
+  monthly: { every: 1, unit: 'month' }
+};
+
+const MIN_INTERVAL_MS = 15 * MINUTE_MS;
+const MAX_SCHEDULE_AHEAD_MS = 366 * UNIT_MS.day;
+const MAX_RUNS_LIMIT = 1000;
+
+// Payload fields that describe the schedule - children run without them
+const SCHEDULE_FIELDS = ['runAt', 'recurrence', 'recurrenceUntil', 'maxRuns'];
+
+// 'daily' | 'every 6 hours' ... -> { every, unit }, or null if not a rule we know
+export function parseRecurrence(recurrence) {
+  if (typeof recurrence !== 'string') return null;
+  const rule = recurrence.trim().toLowerCase();
+
+  if (NAMED_RULES[rule]) {
+    return NAMED_RULES[rule];
+  }
+
+  const match = rule.match(/^every\s+(\d+)\s+(minute|hour|day|week|month)s?$/);
+  if (!match || parseInt(match[1], 10) < 1) return null;
+  return { every: parseInt(match[1], 10), unit: match[2] };
+}
+
+// Returns { error } or { schedule } - schedule is null for requests that run now,
+// else { runAt, nextRunAt, recurrence, recurrenceUntil, maxRuns } (Dates / ISO strings)
+export function resolveSchedule({ runAt, recurrence, recurrenceUntil, maxRuns }, now = new Date()) {
+  let start = null;
+  if (runAt !== undefined && runAt !== null && runAt !== '') {
+    start = new Date(runAt);
+    if (Number.isNaN(start.getTime())) {
+      return { error: `runAt "${runAt}" is not a valid timestamp (use ISO 8601, e.g. 2026-10-20T02:00:00Z)` };
+    }
+    if (start.getTime() - now.getTime() > MAX_SCHEDULE_AHEAD_MS) {
+      return { error: 'runAt can be at most a year ahead' };
+    }
+  }
+
+  const hasRecurrence = recurrence !== undefined && recurrence !== null && recurrence !== '';
+  if (!hasRecurrence) {
+    if (recurrenceUntil || maxRuns) {
+      return { error: 'recurrenceUntil and maxRuns need a recurrence' };
+    }
+    // runAt in the past (or missing) simply means "now"
+    if (!start || start <= now) {
+      return { schedule: null };
+    }
+    return { schedule: { runAt: start.toISOString(), nextRunAt: start.toISOString(), recurrence: null, recurrenceUntil: null, maxRuns: null } };
+  }
+
+  const rule = parseRecurrence(recurrence);
+  if (!rule) {
+    return { error: `recurrence "${recurrence}" is invalid. Use hourly, daily, weekly, monthly or "every <n> minutes|hours|days|weeks|months"` };
+  }
+  if (rule.unit !== 'month' && rule.every * UNIT_MS[rule.unit] < MIN_INTERVAL_MS) {
+    return { error: 'recurrence must be at least 15 minutes apart' };
+  }
+
+  // Recurring without runAt (or with a past one) starts with the next scheduler run
+  const anchor = start && start > now ? start : now;
+
+  let until = null;
+  if (recurrenceUntil !== undefined && recurrenceUntil !== null && recurrenceUntil !== '') {
+    until = new Date(recurrenceUntil);
+    if (Number.isNaN(until.getTime())) {
+      return { error: `recurrenceUntil "${recurrenceUntil}" is not a valid timestamp` };
+    }
+    if (until <= anchor) {
+      return { error: 'recurrenceUntil must be after the first run' };
+    }
+  }
+
+  let runs = null;
+  if (maxRuns !== undefined && maxRuns !== null && maxRuns !== '') {
+    runs = Number(maxRuns);
+    if (!Number.isInteger(runs) || runs < 1 || runs > MAX_RUNS_LIMIT) {
+      return { error: `maxRuns must be between 1 and ${MAX_RUNS_LIMIT}` };
+    }
+  }
+
+  return {
+    schedule: {
+      runAt: anchor.toISOString(),
+      nextRunAt: anchor.toISOString(),
+      recurrence: recurrence.trim().toLowerCase(),
+      recurrenceUntil: until ? until.toISOString() : null,
+      maxRuns: runs
+    }
+  };
+}
+
+// First occurrence of the rule (counted from anchor) strictly after `after`
+export function nextOccurrence(recurrence, anchor, after) {
+  const rule = parseRecurrence(recurrence);
+  const start = new Date(anchor);
+  const afterMs = new Date(after).getTime();
+
+  if (rule.unit === 'month') {
+    let step = 1;
+    let candidate = addMonths(start, rule.every);
+    while (candidate.getTime() <= afterMs) {
+      step++;
+      candidate = addMonths(start, rule.every * step);
+    }
+    return candidate;
+  }
+
+  const intervalMs = rule.every * UNIT_MS[rule.unit];
+  const steps = Math.max(1, Math.floor((afterMs - start.getTime()) / intervalMs) + 1);
+  return new Date(start.getTime() + steps * intervalMs);
+}
+
+function addMonths(date, months) {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, daysInMonth));
+  return result;
+}
+
+// One-off scheduled rows that are due become plain queued requests.
+// Returns their request IDs (the caller dispatches workers for them).
+export async function releaseDueRequests() {
+  const { data: released, error } = await supabase
+    .from('llm_requests')
+    .update({
+      status: 'queued',
+      next_run_at: null,
+      last_run_at: new Date().toISOString(),
+      run_count: 1
+    })
+    .eq('status', 'scheduled')
+    .is('recurrence', null)
+    .lte('next_run_at', new Date().toISOString())
+    .select('request_id');
+
+  if (error) {
+    throw new Error(`Failed to release scheduled requests: ${error.message}`);
+  }
+
+  return (released || []).map(row => row.request_id);
+}
+
+// Recurring templates with a run due now
+export async function findDueRecurringRequests(limit) {
+  const { data, error } = await supabase
+    .from('llm_requests')
+    .select('request_id, request_payload, encrypted_api_key, api_key_hash, access_token_hash, coda_webhook_url, coda_doc_key, coda_api_token, conversation_id, callbacks, max_attempts, priority, template_id, template_version, recurrence, run_at, recurrence_until, recurrence_max_runs, next_run_at, run_count')
+    .eq('status', 'scheduled')
+    .not('recurrence', 'is', null)
+    .lte('next_run_at', new Date().toISOString())
+    .order('next_run_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to load recurring requests: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+// Start one run of a recurring template: advance (or end) the schedule, then
+// insert the child. Returns { child, quota, ended } - child is null when the
+// schedule had already run out, another scheduler got there first or the
+// parent was cancelled meanwhile.
+export async function startRecurringRun(parent) {
+  const now = new Date();
+
+  // Due run already past recurrenceUntil (the cron was down) - just end it
+  if (parent.recurrence_until && now > new Date(parent.recurrence_until)) {
+    await supabase
+      .from('llm_requests')
+      .update({ status: 'completed', next_run_at: null, encrypted_api_key: null, completed_at: now.toISOString() })
+      .eq('request_id', parent.request_id)
+      .eq('status', 'scheduled');
+    return { child: null, failure: null, ended: true };
+  }
+
+  const runCount = parent.run_count + 1;
+  const next = nextOccurrence(parent.recurrence, parent.run_at, now);
+  const ended = Boolean((parent.recurrence_max_runs && runCount >= parent.recurrence_max_runs) ||
+    (parent.recurrence_until && next > new Date(parent.recurrence_until)));
+
+  // Only the scheduler that still sees the old next_run_at gets to start the run
+  const { data: advanced, error: advanceError } = await supabase
+    .from('llm_requests')
+    .update(ended
+      ? {
+        status: 'completed',
+        next_run_at: null,
+        run_count: runCount,
+        last_run_at: now.toISOString(),
+        encrypted_api_key: null, // the child below already has its copy
+        completed_at: now.toISOString()
+      }
+      : {
+        next_run_at: next.toISOString(),
+        run_count: runCount,
+        last_run_at: now.toISOString()
+      })
+    .eq('request_id', parent.request_id)
+    .eq('status', 'scheduled')
+    .eq('next_run_at', parent.next_run_at)
+    .select('request_id');
+
+  if (advanceError) {
+    throw new Error(`Failed to advance schedule ${parent.request_id}: ${advanceError.message}`);
+  }
+  if (!advanced || advanced.length === 0) {
+    return { child: null, failure: null, ended: false };
+  }
+
+  const requestId = generateRequestId();
+  const payload = { ...parent.request_payload, requestId, parentRequestId: parent.request_id };
+  for (const field of SCHEDULE_FIELDS) {
+    delete payload[field];
+  }
+
+  // The parent's payload keeps what was first asked for in requestedModel
+  const originalModel = payload.requestedModel || payload.claudeRequest?.model;
+  const resolvedModel = await resolveClaudeRequestModel({ ...payload.claudeRequest, model: originalModel }, now);
+  let failure = null;
+  let estimatedCostUsd = 0;
+
+  if (resolvedModel.error) {
+    failure = { errorCategory: 'invalid_request', message: resolvedModel.error };
+  } else {
+    payload.claudeRequest = resolvedModel.claudeRequest;
+    if (resolvedModel.requestedModel) {
+      payload.requestedModel = resolvedModel.requestedModel;
+    } else {
+      delete payload.requestedModel;
+    }
+
+    const pricing = await getModelPricing(payload.claudeRequest.model);
+    estimatedCostUsd = estimateRequestCost(payload.claudeRequest, pricing);
+    const budgetCheck = await checkBudgets({
+      apiKeyHash: parent.api_key_hash,
+      docKey: parent.coda_doc_key,
+      estimatedCostUsd
+    });
+    if (budgetCheck.exceeded) {
+      failure = { errorCategory: QUOTA_EXCEEDED, message: budgetCheck.exceeded.message };
+    }
+  }
+
+  const { data: child, error: insertError } = await supabase
+    .from('llm_requests')
+    .insert({
+      request_id: requestId,
+      parent_request_id: parent.request_id,
+      request_payload: payload,
+      api_key_hash: parent.api_key_hash,
+      access_token_hash: parent.access_token_hash,
+      coda_webhook_url: parent.coda_webhook_url,
+      coda_doc_key: parent.coda_doc_key,
+      coda_api_token: parent.coda_api_token,
+      conversation_id: parent.conversation_id,
+      callbacks: parent.callbacks,
+      max_attempts: parent.max_attempts,
+      priority: parent.priority,
+      template_id: parent.template_id,
+      template_version: parent.template_version,
+      ...(failure
+        ? {
+          status: 'failed',
+          error_category: failure.errorCategory,
+          error_message: failure.message,
+          estimated_cost_usd: 0,
+          completed_at: now.toISOString()
+        }
+        : {
+          status: 'queued',
+          encrypted_api_key: parent.encrypted_api_key,
+          estimated_cost_usd: estimatedCostUsd
+        })
+    })
+    .select('request_id, parent_request_id, batch_id, status, coda_webhook_url, coda_api_token, callbacks')
+    .single();
+
+  if (insertError) {
+    throw new Error(`Failed to start run ${runCount} of ${parent.request_id}: ${insertError.message}`);
+  }
+
+  return { child, failure, ended };
+}
+
+// Latest runs of a recurring request, newest first (request-status.js)
+export async function listScheduleRuns(parentRequestId, limit = 20) {
+  const { data, error } = await supabase
+    .from('llm_requests')
+    .select('request_id, status, created_at, completed_at, total_cost_usd, error_category')
+    .eq('parent_request_id', parentRequestId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    console.warn(`Failed to list runs of ${parentRequestId}: ${error.message}`);
+    return [];
+  }
+
+  return data.map(run => ({
+    requestId: run.request_id,
+    status: run.status,
+    createdAt: run.created_at,
+    completedAt: run.completed_at,
+    totalCostUsd: run.total_cost_usd,
+    errorCategory: run.error_category
+  }));
+}
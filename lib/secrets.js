@@ -0,0 +1,144 @@
+// =================================================================
+// lib/secrets.js
+// =================================================================
+/*
+SECRETS AT REST (Claude API keys, Coda API tokens, callback secrets):
+
+PROBLEM SOLVED:
+- request_payload kept the user's raw sk-ant- key forever, and
+  coda_api_token sat in plain text next to it
+
+HOW IT WORKS:
+- AES-256-GCM with SECRETS_ENCRYPTION_KEY (32 bytes, base64):
+    openssl rand -base64 32
+- Stored form: enc:v1:<iv>:<auth tag>:<ciphertext> (all base64)
+- Where plaintext is needed:
+    Claude API key -> process-queue.js (and batch-monitor.js for batches)
+    Coda token / callback secrets -> lib/webhook-outbox.js at send time
+- decryptSecret() passes legacy plaintext through unchanged, so rows queued
+  before scripts/encrypt-secrets.js ran keep working
+- scrub_finished_secrets() (webhook-monitor.js cron) nulls them out once a
+  request and its webhook retries are finished
+
+redactSecrets() is the last line of defence for anything we return or log.
+Field names are only masked in our own envelope (callbacks, payload
+secrets): fields named in { content } hold model output, where a "token" or
+"secret" key is the user's data - those only get the sk-ant- / enc:v1:
+scrub (scrubSecretStrings).
+*/
+
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+
+const PREFIX = 'enc:v1:';
+const IV_BYTES = 12;
+
+// Field names whose values are never returned or logged
+const SECRET_FIELDS = new Set([
+  'userapikey', 'user_api_key', 'encrypted_api_key', 'apikey', 'x-api-key',
+  'codaapitoken', 'coda_api_token', 'auth_token', 'authtoken', 'token',
+  'secret', 'signing_secret', 'signingsecret', 'authorization'
+]);
+
+const CLAUDE_KEY_PATTERN = /sk-ant-[A-Za-z0-9_-]+/g;
+const ENCRYPTED_PATTERN = /enc:v1:[A-Za-z0-9+/=:]+/g;
+
+function getKey() {
+  const raw = process.env.SECRETS_ENCRYPTION_KEY;
+  if (!raw) {
+    throw new Error('SECRETS_ENCRYPTION_KEY is not set');
+  }
+
+  const key = Buffer.from(raw, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`SECRETS_ENCRYPTION_KEY must be 32 bytes base64 (got ${key.length} bytes)`);
+  }
+
+  return key;
+}
+
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+export function encryptSecret(value) {
+  if (!value) return null;
+  if (isEncrypted(value)) return value;
+
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return `${PREFIX}${iv.toString('base64')}:${tag.toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+export function decryptSecret(value) {
+  if (!value) return null;
+  if (!isEncrypted(value)) return value; // legacy plaintext row
+
+  const [iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+  const decipher = createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+// Encrypt every value of a headers object (callback headers often carry Authorization)
+export function encryptHeaders(headers) {
+  if (!headers) return null;
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, encryptSecret(value)]));
+}
+
+export function decryptHeaders(headers) {
+  if (!headers) return null;
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, decryptSecret(value)]));
+}
+
+// Deep copy with key-shaped strings scrubbed - field names are left alone
+export function scrubSecretStrings(value) {
+  if (typeof value === 'string') {
+    return value
+      .replace(CLAUDE_KEY_PATTERN, 'sk-ant-[REDACTED]')
+      .replace(ENCRYPTED_PATTERN, '[ENCRYPTED]');
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(scrubSecretStrings);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [field, scrubSecretStrings(fieldValue)]));
+  }
+
+  return value;
+}
+
+// Deep copy with secret fields masked and key-shaped strings scrubbed.
+// content: top-level fields holding model output (answers, structured
+// output, tool steps, transcripts) - scrubbed but never masked by name
+export function redactSecrets(value, { content = [] } = {}) {
+  if (typeof value === 'string') {
+    return scrubSecretStrings(value);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactSecrets(item));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => {
+      if (content.includes(field)) {
+        return [field, scrubSecretStrings(fieldValue)];
+      }
+      return [
+        field,
+        SECRET_FIELDS.has(field.toLowerCase()) && fieldValue ? '[REDACTED]' : redactSecrets(fieldValue)
+      ];
+    }));
+  }
+
+  return value;
+}
@@ -0,0 +1,123 @@
+// =================================================================
+// lib/structured-output.js
+// =================================================================
+/*
+SCHEMA-VALIDATED STRUCTURED OUTPUT (promptAsync jsonSchema):
+
+PROBLEM SOLVED:
+- jsonContent only asks nicely for JSON; processResponseMinimal regex-extracts
+  the first {...} and keeps the raw text when it doesn't parse, so formulas
+  downstream broke quietly
+
+HOW IT WORKS:
+- The Pack sends the schema as the input_schema of a single tool named
+  STRUCTURED_OUTPUT_TOOL and forces it with tool_choice - Claude's answer
+  arrives as that tool call's input, already parsed
+- The input is validated against the schema (ajv)
+- process-queue.js makes up to MAX_REPAIR_ATTEMPTS repair calls: the
+  validation errors go back as an is_error tool_result and Claude calls the
+  tool again. Repair usage is added to the response usage, so it is costed
+- processResponseMinimal returns structuredOutput (the parsed object) plus
+  validationErrors (null when valid) and repairAttempts
+- Batch results are validated but not repaired (no live call in batch-monitor)
+*/
+
+import Ajv from 'ajv';
+import { addUsage } from './pricing.js';
+
+export const STRUCTURED_OUTPUT_TOOL = 'structured_output';
+export const MAX_REPAIR_ATTEMPTS = 1;
+
+// A fresh Ajv per schema: a shared instance refuses a second compile of a
+// schema with the same $id, and keeps every other schema it ever compiled.
+// strict: false - user schemas often carry keywords ajv doesn't know (e.g. "examples" in odd places)
+function compileSchema(schema) {
+  return new Ajv({ allErrors: true, strict: false }).compile(schema);
+}
+
+// The schema when this request is in structured output mode, else null
+export function getOutputSchema(claudeRequest) {
+  if (claudeRequest?.tool_choice?.name !== STRUCTURED_OUTPUT_TOOL) {
+    return null;
+  }
+  const tool = claudeRequest.tools?.find(t => t.name === STRUCTURED_OUTPUT_TOOL);
+  return tool?.input_schema || null;
+}
+
+function findToolCall(message) {
+  return (message?.content || []).find(block => block?.type === 'tool_use' && block.name === STRUCTURED_OUTPUT_TOOL) || null;
+}
+
+export function getStructuredOutput(message) {
+  return findToolCall(message)?.input ?? null;
+}
+
+// Returns a list of readable errors - empty when the output matches
+export function validateStructuredOutput(schema, message) {
+  const toolCall = findToolCall(message);
+  if (!toolCall) {
+    return [`No ${STRUCTURED_OUTPUT_TOOL} tool call in the response (stop_reason: ${message?.stop_reason || 'unknown'})`];
+  }
+  if (toolCall.input === null || toolCall.input === undefined) {
+    return [`${STRUCTURED_OUTPUT_TOOL} input was not valid JSON (stop_reason: ${message?.stop_reason || 'unknown'})`];
+  }
+
+  let validate;
+  try {
+    validate = compileSchema(schema);
+  } catch (error) {
+    return [`jsonSchema is not a valid JSON Schema: ${error.message}`];
+  }
+
+  if (validate(toolCall.input)) {
+    return [];
+  }
+
+  return validate.errors.map(error => `${error.instancePath || '/'} ${error.message}${error.params?.allowedValues ? ` (${error.params.allowedValues.join(', ')})` : ''}`);
+}
+
+// Validates the response and, while it doesn't match, sends the errors back
+// for another try. callClaude(claudeRequest) => message.
+// Returns { response, repairAttempts } - response usage covers every call.
+export async function repairStructuredOutput(claudeRequest, claudeResponse, callClaude) {
+  const schema = getOutputSchema(claudeRequest);
+  if (!schema) {
+    return { response: claudeResponse, repairAttempts: 0 };
+  }
+
+  let response = claudeResponse;
+  let repairAttempts = 0;
+
+  while (repairAttempts < MAX_REPAIR_ATTEMPTS) {
+    const errors = validateStructuredOutput(schema, response);
+    const toolCall = findToolCall(response);
+    // Nothing to answer with a tool_result, or nothing wrong
+    if (errors.length === 0 || !toolCall) {
+      break;
+    }
+
+    repairAttempts++;
+    console.log(`Structured output failed validation (${errors.length} errors) - repair attempt ${repairAttempts}/${MAX_REPAIR_ATTEMPTS}`);
+
+    const repaired = await callClaude({
+      ...claudeRequest,
+      messages: [
+        ...claudeRequest.messages,
+        { role: 'assistant', content: response.content },
+        {
+          role: 'user',
+          content: [{
+            type: 'tool_result',
+            tool_use_id: toolCall.id,
+            is_error: true,
+            content: `The input does not match the schema:\n${errors.map(error => `- ${error}`).join('\n')}\n\nCall ${STRUCTURED_OUTPUT_TOOL} again with corrected input.`
+          }]
+        }
+      ]
+    });
+
+    response = { ...repaired, usage: addUsage(response.usage, repaired.usage) };
+  }
+
+  return { response, repairAttempts };
+}
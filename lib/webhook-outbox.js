@@ -0,0 +1,210 @@
+// =================================================================
+// lib/webhook-outbox.js
+// =================================================================
+/*
+WEBHOOK OUTBOX - the one delivery path for every webhook we send.
+
+PROBLEM SOLVED:
+- The old 1-per-10-seconds throttle lived in a module-level array, so each
+  Vercel instance had its own copy and parallel invocations still burst Coda
+- Throttle sleeps and retry backoffs burned function time
+
+HOW IT WORKS:
+1. enqueueWebhook() writes a webhook_outbox row (status 'pending')
+2. deliverDueWebhooks() claims due rows via claim_webhook_deliveries(), which
+   reserves at most one slot per destination per WEBHOOK_MIN_INTERVAL_MS
+   across ALL instances (state lives in webhook_destinations)
+3. Each attempt is logged to webhook_logs with the HTTP status
+4. Failures go back to 'pending' with exponential backoff in next_attempt_at;
+   after max_attempts the row is 'failed' (and the request shows up in the
+   dead_letter_requests view if nobody fetched the result)
+
+Payloads are rendered by the caller (lib/callbacks.js); delivery adds the
+Bearer token (Coda), any per-target headers, and an HMAC signature when the
+target has a secret (or WEBHOOK_SIGNING_SECRET is set). Tokens, secrets and
+header values are stored encrypted and only decrypted right here.
+
+Deliveries go through fetchPublicUrl() (lib/outbound-urls.js): public https
+only, no redirects. A refused URL fails the row at once - retrying won't help.
+
+Callers that just finished work (process-queue, batch-monitor) do a single
+non-blocking pass; webhook-dispatcher.js cron drains whatever is left.
+*/
+
+import { createClient } from '@supabase/supabase-js';
+import { SIGNATURE_HEADER, signWebhookBody } from './webhook-signing.js';
+import { decryptSecret, decryptHeaders } from './secrets.js';
+import { fetchPublicUrl, allowLocalCallbacks, OutboundUrlError } from './outbound-urls.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Default spacing between webhooks to one destination (Coda queue protection)
+const DEFAULT_MIN_INTERVAL_MS = parseInt(process.env.WEBHOOK_MIN_INTERVAL_MS || '10000', 10);
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const CLAIM_BATCH_SIZE = 10;
+const LOCK_SECONDS = 60;
+const DELIVERY_TIMEOUT_MS = 15000;
+
+// Backoff between failed attempts: 30s, 60s, 2m, 4m ... capped at 30 minutes
+const BASE_BACKOFF_MS = 30000;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+export async function enqueueWebhook({ requestId = null, batchId = null, url, token = null, signingSecret = null, headers = null, payload, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+  const { data, error } = await supabase
+    .from('webhook_outbox')
+    .insert({
+      request_id: requestId,
+      batch_id: batchId,
+      destination_url: url,
+      auth_token: token,
+      signing_secret: signingSecret,
+      extra_headers: headers,
+      payload,
+      max_attempts: maxAttempts
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to enqueue webhook: ${error.message}`);
+  }
+
+  return data.id;
+}
+
+// Optionally for one destination only - callbacks to slow targets shouldn't
+// hold back a Coda retry
+export async function hasPendingWebhook(requestId, url = null) {
+  let query = supabase
+    .from('webhook_outbox')
+    .select('id', { count: 'exact', head: true })
+    .eq('request_id', requestId)
+    .in('status', ['pending', 'sending']);
+
+  if (url) {
+    query = query.eq('destination_url', url);
+  }
+
+  const { count } = await query;
+
+  return (count || 0) > 0;
+}
+
+// Deliver whatever the rate limits allow right now. With a time budget, keep
+// polling until it runs out (cron); without one, do a single pass.
+export async function deliverDueWebhooks({ timeBudgetMs = 0 } = {}) {
+  const startTime = Date.now();
+  const totals = { delivered: 0, failed: 0 };
+
+  while (true) {
+    const { data: claimed, error } = await supabase.rpc('claim_webhook_deliveries', {
+      p_limit: CLAIM_BATCH_SIZE,
+      p_default_interval_ms: DEFAULT_MIN_INTERVAL_MS,
+      p_lock_seconds: LOCK_SECONDS
+    });
+
+    if (error) {
+      throw new Error(`Failed to claim webhook deliveries: ${error.message}`);
+    }
+
+    // Claimed rows are all for different destinations - safe to send in parallel
+    const results = await Promise.all((claimed || []).map(attemptDelivery));
+    results.forEach(delivered => delivered ? totals.delivered++ : totals.failed++);
+
+    const elapsed = Date.now() - startTime;
+    if (elapsed >= timeBudgetMs) {
+      break;
+    }
+
+    // Nothing claimable: wait for the next rate-limit slot instead of spinning
+    if (!claimed || claimed.length === 0) {
+      await new Promise(resolve => setTimeout(resolve, Math.min(2000, timeBudgetMs - elapsed)));
+    }
+  }
+
+  return totals;
+}
+
+async function attemptDelivery(row) {
+  let responseStatus = null;
+  let errorMessage = null;
+  let refused = false;
+
+  try {
+    const body = JSON.stringify(row.payload);
+    const headers = {
+      ...(decryptHeaders(row.extra_headers) || {}),
+      'Content-Type': 'application/json',
+      'User-Agent': 'Claude-Async/1.0',
+      'X-Webhook-Id': String(row.id) // stable across retries - receivers can dedupe on it
+    };
+    if (row.auth_token) {
+      headers['Authorization'] = `Bearer ${decryptSecret(row.auth_token)}`;
+    }
+
+    const signingSecret = decryptSecret(row.signing_secret) || process.env.WEBHOOK_SIGNING_SECRET;
+    if (signingSecret) {
+      headers[SIGNATURE_HEADER] = signWebhookBody(signingSecret, body);
+    }
+
+    const send = allowLocalCallbacks ? fetch : fetchPublicUrl;
+    const response = await send(row.destination_url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+
+    responseStatus = response.status;
+    if (!response.ok) {
+      errorMessage = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    errorMessage = error.message;
+    refused = error instanceof OutboundUrlError;
+  }
+
+  const delivered = !errorMessage;
+  const exhausted = !delivered && (refused || row.attempt_count >= row.max_attempts);
+
+  let update;
+  if (delivered) {
+    update = { status: 'delivered', delivered_at: new Date().toISOString() };
+    console.log(`Webhook ${row.id} delivered for ${row.request_id || row.batch_id} on attempt ${row.attempt_count}`);
+  } else if (exhausted) {
+    update = { status: 'failed' };
+    console.log(`Webhook ${row.id} failed permanently after ${row.attempt_count} attempts: ${errorMessage}`);
+  } else {
+    const backoffMs = Math.min(BASE_BACKOFF_MS * Math.pow(2, row.attempt_count - 1), MAX_BACKOFF_MS);
+    update = { status: 'pending', next_attempt_at: new Date(Date.now() + backoffMs).toISOString() };
+    console.log(`Webhook ${row.id} attempt ${row.attempt_count} failed (${errorMessage}), retrying in ${backoffMs}ms`);
+  }
+
+  await supabase
+    .from('webhook_outbox')
+    .update({
+      ...update,
+      locked_until: null,
+      last_response_status: responseStatus,
+      last_error: errorMessage
+    })
+    .eq('id', row.id);
+
+  await supabase
+    .from('webhook_logs')
+    .insert({
+      request_id: row.request_id,
+      outbox_id: row.id,
+      destination_url: row.destination_url,
+      attempt: row.attempt_count,
+      status: delivered ? 'delivered' : (exhausted ? 'failed' : 'retry_scheduled'),
+      response_status: responseStatus,
+      error_message: errorMessage
+    });
+
+  return delivered;
+}
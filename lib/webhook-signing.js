@@ -0,0 +1,59 @@
+// =================================================================
+// lib/webhook-signing.js
+// =================================================================
+/*
+HMAC SIGNATURES FOR OUTBOUND WEBHOOKS:
+
+Header: X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>
+Signed string: `${t}.${rawBody}` with the callback's secret
+
+Receivers recompute the HMAC over the raw body (before JSON parsing) and
+reject old timestamps so a captured call can't be replayed later.
+verifyWebhookSignature() is what scripts/webhook-listener.js uses - copy it
+into your own receiver.
+*/
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+// Receivers should refuse signatures older than this
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+export function signWebhookBody(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Returns null when valid, otherwise the reason it isn't
+export function verifyWebhookSignature(secret, header, body, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) {
+  if (!header) {
+    return 'Missing signature header';
+  }
+
+  const parts = Object.fromEntries(
+    header.split(',').map(part => {
+      const index = part.indexOf('=');
+      return [part.slice(0, index).trim(), part.slice(index + 1).trim()];
+    })
+  );
+
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) {
+    return 'Malformed signature header';
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) {
+    return 'Signature timestamp outside tolerance';
+  }
+
+  const expected = Buffer.from(signWebhookBody(secret, body, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+    return 'Signature mismatch';
+  }
+
+  return null;
+}
@@ -0,0 +1,181 @@
+// =================================================================
+// scripts/encrypt-secrets.js
+// =================================================================
+/*
+ONE-OFF: encrypt secrets still stored in plain text (run after migration
+20261019000900_encrypted_secrets.sql, which already scrubbed finished rows):
+
+  SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... SECRETS_ENCRYPTION_KEY=... \
+    node scripts/encrypt-secrets.js [--dry-run]
+
+- llm_requests: request_payload.userApiKey -> encrypted_api_key,
+  coda_api_token, callbacks[].secret / headers
+- llm_batches: user_api_key, coda_api_token
+- webhook_outbox (pending/sending): auth_token, signing_secret, extra_headers
+
+Safe to re-run: already encrypted values are left alone. Uses the same
+SECRETS_ENCRYPTION_KEY as the deployment, otherwise nothing can decrypt them.
+*/
+
+import { createClient } from '@supabase/supabase-js';
+import { encryptSecret, encryptHeaders, isEncrypted } from '../lib/secrets.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const dryRun = process.argv.includes('--dry-run');
+const PAGE_SIZE = 500;
+
+async function encryptRequests() {
+  let updated = 0;
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: rows, error } = await supabase
+      .from('llm_requests')
+      .select('request_id, request_payload, encrypted_api_key, coda_api_token, callbacks')
+      .order('request_id')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to load requests: ${error.message}`);
+    }
+
+    for (const row of rows) {
+      const update = {};
+      const payload = row.request_payload || {};
+
+      if (payload.userApiKey || payload.codaApiToken || payload.callbacks) {
+        const { userApiKey, ...rest } = payload;
+        delete rest.codaApiToken;
+        delete rest.callbacks;
+        update.request_payload = rest;
+        if (userApiKey && !row.encrypted_api_key) {
+          update.encrypted_api_key = encryptSecret(userApiKey);
+        }
+      }
+
+      if (row.coda_api_token && !isEncrypted(row.coda_api_token)) {
+        update.coda_api_token = encryptSecret(row.coda_api_token);
+      }
+
+      if (row.callbacks?.some(callback =>
+        (callback.secret && !isEncrypted(callback.secret)) ||
+        Object.values(callback.headers || {}).some(value => !isEncrypted(value))
+      )) {
+        update.callbacks = row.callbacks.map(callback => ({
+          ...callback,
+          secret: encryptSecret(callback.secret),
+          headers: encryptHeaders(callback.headers)
+        }));
+      }
+
+      if (Object.keys(update).length === 0) {
+        continue;
+      }
+
+      updated++;
+      console.log(`${dryRun ? '[dry run] ' : ''}llm_requests ${row.request_id}: ${Object.keys(update).join(', ')}`);
+      if (!dryRun) {
+        const { error: updateError } = await supabase
+          .from('llm_requests')
+          .update(update)
+          .eq('request_id', row.request_id);
+        if (updateError) {
+          throw new Error(`Failed to update ${row.request_id}: ${updateError.message}`);
+        }
+      }
+    }
+
+    if (rows.length < PAGE_SIZE) {
+      return updated;
+    }
+  }
+}
+
+async function encryptBatches() {
+  const { data: batches, error } = await supabase
+    .from('llm_batches')
+    .select('batch_id, user_api_key, coda_api_token')
+    .or('user_api_key.not.is.null,coda_api_token.not.is.null');
+
+  if (error) {
+    throw new Error(`Failed to load batches: ${error.message}`);
+  }
+
+  let updated = 0;
+  for (const batch of batches) {
+    if (isEncrypted(batch.user_api_key) && (!batch.coda_api_token || isEncrypted(batch.coda_api_token))) {
+      continue;
+    }
+
+    updated++;
+    console.log(`${dryRun ? '[dry run] ' : ''}llm_batches ${batch.batch_id}`);
+    if (!dryRun) {
+      const { error: updateError } = await supabase
+        .from('llm_batches')
+        .update({
+          user_api_key: encryptSecret(batch.user_api_key),
+          coda_api_token: encryptSecret(batch.coda_api_token)
+        })
+        .eq('batch_id', batch.batch_id);
+      if (updateError) {
+        throw new Error(`Failed to update batch ${batch.batch_id}: ${updateError.message}`);
+      }
+    }
+  }
+
+  return updated;
+}
+
+async function encryptOutbox() {
+  const { data: deliveries, error } = await supabase
+    .from('webhook_outbox')
+    .select('id, auth_token, signing_secret, extra_headers')
+    .in('status', ['pending', 'sending']);
+
+  if (error) {
+    throw new Error(`Failed to load outbox: ${error.message}`);
+  }
+
+  let updated = 0;
+  for (const delivery of deliveries) {
+    const headerValues = Object.values(delivery.extra_headers || {});
+    if (
+      (!delivery.auth_token || isEncrypted(delivery.auth_token)) &&
+      (!delivery.signing_secret || isEncrypted(delivery.signing_secret)) &&
+      headerValues.every(isEncrypted)
+    ) {
+      continue;
+    }
+
+    updated++;
+    console.log(`${dryRun ? '[dry run] ' : ''}webhook_outbox ${delivery.id}`);
+    if (!dryRun) {
+      const { error: updateError } = await supabase
+        .from('webhook_outbox')
+        .update({
+          auth_token: encryptSecret(delivery.auth_token),
+          signing_secret: encryptSecret(delivery.signing_secret),
+          extra_headers: encryptHeaders(delivery.extra_headers)
+        })
+        .eq('id', delivery.id);
+      if (updateError) {
+        throw new Error(`Failed to update outbox row ${delivery.id}: ${updateError.message}`);
+      }
+    }
+  }
+
+  return updated;
+}
+
+try {
+  const requests = await encryptRequests();
+  const batches = await encryptBatches();
+  const outbox = await encryptOutbox();
+  console.log(`✅ ${dryRun ? 'Would encrypt' : 'Encrypted'}: ${requests} requests, ${batches} batches, ${outbox} outbox deliveries`);
+} catch (error) {
+  console.error('Encryption failed:', error.message);
+  process.exit(1);
+}
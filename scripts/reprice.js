@@ -0,0 +1,106 @@
+// =================================================================
+// scripts/reprice.js
+// =================================================================
+/*
+RECOMPUTE STORED COSTS from model_pricing (after adding or correcting rates):
+
+  SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... \
+    node scripts/reprice.js [--model claude-sonnet-4-20250514] [--since 2026-01-01] [--dry-run]
+
+- Completed and cancelled requests are re-priced from their stored usage with
+  the rates in effect when each was created (lib/pricing.js)
+- Batch rows keep their batch discount
+- Cache hits (cached_from_request_id) are skipped - they carry the original
+  request's usage but cost nothing, so pricing them would count it twice
+- response_payload.cost and total_cost_usd are replaced; rows whose cost
+  doesn't change are left alone, so it is safe to re-run
+- Webhooks are not re-sent - Coda picks the new cost up on the next fetch
+*/
+
+import { createClient } from '@supabase/supabase-js';
+import { getModelPricing, priceResponse } from '../lib/pricing.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const dryRun = process.argv.includes('--dry-run');
+const model = argValue('--model');
+const since = argValue('--since');
+const PAGE_SIZE = 500;
+
+function argValue(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? null : process.argv[index + 1] || null;
+}
+
+async function repriceRequests() {
+  let repriced = 0;
+  let unpriced = 0;
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = supabase
+      .from('llm_requests')
+      .select('request_id, batch_id, created_at, request_payload, response_payload, total_cost_usd')
+      .in('status', ['completed', 'cancelled'])
+      .not('response_payload', 'is', null)
+      .is('cached_from_request_id', null) // cache hits cost nothing - their usage is the original's
+      .order('request_id')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (model) {
+      query = query.eq('request_payload->claudeRequest->>model', model);
+    }
+    if (since) {
+      query = query.gte('created_at', since);
+    }
+
+    const { data: rows, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to load requests: ${error.message}`);
+    }
+
+    for (const row of rows) {
+      const pricing = await getModelPricing(row.request_payload?.claudeRequest?.model, row.created_at);
+      const cost = priceResponse(row.response_payload, pricing, { batch: Boolean(row.batch_id) });
+      if (!cost) {
+        unpriced++;
+        continue;
+      }
+
+      const previousCost = row.response_payload.cost;
+      if (previousCost?.totalCost === cost.totalCost && previousCost?.ratesEffectiveFrom === cost.ratesEffectiveFrom) {
+        continue;
+      }
+
+      repriced++;
+      console.log(`${dryRun ? '[dry run] ' : ''}${row.request_id}: ${previousCost?.totalCost ?? 'none'} -> ${cost.totalCost} USD`);
+      if (!dryRun) {
+        const { error: updateError } = await supabase
+          .from('llm_requests')
+          .update({
+            response_payload: { ...row.response_payload, cost },
+            total_cost_usd: cost.totalCost
+          })
+          .eq('request_id', row.request_id);
+        if (updateError) {
+          throw new Error(`Failed to update ${row.request_id}: ${updateError.message}`);
+        }
+      }
+    }
+
+    if (rows.length < PAGE_SIZE) {
+      return { repriced, unpriced };
+    }
+  }
+}
+
+try {
+  const { repriced, unpriced } = await repriceRequests();
+  console.log(`✅ ${dryRun ? 'Would reprice' : 'Repriced'} ${repriced} requests${unpriced ? ` (${unpriced} without pricing or usage skipped)` : ''}`);
+} catch (error) {
+  console.error('Repricing failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,58 @@
+// =================================================================
+// scripts/webhook-listener.js
+// =================================================================
+/*
+LOCAL WEBHOOK RECEIVER for testing callbacks:
+
+  WEBHOOK_SECRET=mysecret node scripts/webhook-listener.js [port]
+
+Prints every delivery with its signature check result. Vercel can't reach
+localhost, so expose it with a tunnel (ngrok http 8787, cloudflared...) and
+register the tunnel URL:
+
+  callbacks: [{ "url": "https://<tunnel>/hook", "format": "full", "secret": "mysecret" }]
+
+Set LISTENER_FAIL=1 to answer 500 and watch the outbox retry with backoff.
+
+Against a local API (vercel dev) the tunnel isn't needed if that API runs
+with ALLOW_LOCAL_CALLBACK_URLS=true - callbacks to http://localhost:8787 are
+refused otherwise (lib/outbound-urls.js).
+*/
+
+import { createServer } from 'http';
+import { SIGNATURE_HEADER, verifyWebhookSignature } from '../lib/webhook-signing.js';
+
+const port = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+const secret = process.env.WEBHOOK_SECRET;
+const alwaysFail = process.env.LISTENER_FAIL === '1';
+
+const server = createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    console.log(`\n${new Date().toISOString()} ${req.method} ${req.url}`);
+    console.log(`  X-Webhook-Id: ${req.headers['x-webhook-id'] || '(none)'}`);
+
+    // Verify against the raw body - re-serialising parsed JSON breaks the HMAC
+    const signature = req.headers[SIGNATURE_HEADER.toLowerCase()];
+    if (secret) {
+      const problem = verifyWebhookSignature(secret, signature, body);
+      console.log(problem ? `  ❌ Signature: ${problem}` : '  ✅ Signature valid');
+    } else {
+      console.log(`  Signature: ${signature || '(none)'} (set WEBHOOK_SECRET to verify)`);
+    }
+
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch {
+      console.log(body);
+    }
+
+    res.writeHead(alwaysFail ? 500 : 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: !alwaysFail }));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook listener on http://localhost:${port}${secret ? ' (verifying signatures)' : ''}`);
+});
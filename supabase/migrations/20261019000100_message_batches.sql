@@ -0,0 +1,27 @@
+-- Bulk submission via the Anthropic Message Batches API
+-- One llm_batches row per queue-batch call; llm_requests rows point at it.
+
+create table if not exists llm_batches (
+  batch_id text primary key,
+  anthropic_batch_id text unique,
+  status text not null default 'submitting', -- submitting | in_progress | ended | failed
+  webhook_mode text not null default 'per_request', -- per_request | per_batch
+  coda_webhook_url text,
+  coda_api_token text,
+  user_api_key text,
+  request_count integer not null default 0,
+  request_counts jsonb,
+  error_message text,
+  created_at timestamptz not null default now(),
+  submitted_at timestamptz,
+  expires_at timestamptz,
+  ended_at timestamptz
+);
+
+create index if not exists llm_batches_status_idx on llm_batches (status, submitted_at);
+
+alter table llm_requests
+  add column if not exists batch_id text references llm_batches (batch_id);
+
+create index if not exists llm_requests_batch_id_idx on llm_requests (batch_id)
+  where batch_id is not null;
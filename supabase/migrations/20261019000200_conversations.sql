@@ -0,0 +1,28 @@
+-- Multi-turn conversation threads for promptAsync(conversationId)
+-- Turns are appended as user + assistant pairs after each completed request.
+
+create table if not exists conversations (
+  conversation_id text primary key,
+  summary text,
+  summarized_through_turn_id bigint,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists conversation_turns (
+  id bigserial primary key,
+  conversation_id text not null references conversations (conversation_id) on delete cascade,
+  request_id text,
+  role text not null check (role in ('user', 'assistant')),
+  content jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists conversation_turns_conversation_idx
+  on conversation_turns (conversation_id, id);
+
+alter table llm_requests
+  add column if not exists conversation_id text;
+
+create index if not exists llm_requests_conversation_id_idx on llm_requests (conversation_id)
+  where conversation_id is not null;
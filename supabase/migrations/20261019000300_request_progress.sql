@@ -0,0 +1,5 @@
+-- Streaming progress snapshot written by process-queue.js while Claude responds
+-- { phase, partialContent, partialThinking, toolUses, outputTokensSoFar, updatedAt }
+
+alter table llm_requests
+  add column if not exists progress jsonb;
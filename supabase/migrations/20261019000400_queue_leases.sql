@@ -0,0 +1,116 @@
+-- Lease-based queue dispatch
+-- Workers atomically claim a queued row, hold it with a lease they keep
+-- extending (heartbeat), and expired leases go back to the queue.
+
+alter table llm_requests
+  add column if not exists lease_owner text,
+  add column if not exists lease_expires_at timestamptz,
+  add column if not exists heartbeat_at timestamptz,
+  add column if not exists attempt_count integer not null default 0,
+  add column if not exists max_attempts integer not null default 3;
+
+create index if not exists llm_requests_status_created_idx on llm_requests (status, created_at);
+
+create index if not exists llm_requests_lease_expires_idx on llm_requests (lease_expires_at)
+  where status = 'processing';
+
+-- Claim one specific queued request (pg_net trigger / direct calls)
+create or replace function claim_request(p_request_id text, p_worker_id text, p_lease_seconds integer)
+returns setof llm_requests
+language sql
+as $$
+  update llm_requests
+  set status = 'processing',
+      lease_owner = p_worker_id,
+      lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+      heartbeat_at = now(),
+      processing_started_at = now(),
+      attempt_count = attempt_count + 1
+  where request_id = p_request_id
+    and status = 'queued'
+    and attempt_count < max_attempts
+  returning *;
+$$;
+
+-- Claim the oldest queued request; concurrent workers skip rows already being claimed
+create or replace function claim_next_request(p_worker_id text, p_lease_seconds integer)
+returns setof llm_requests
+language sql
+as $$
+  with next_request as (
+    select request_id
+    from llm_requests
+    where status = 'queued'
+      and attempt_count < max_attempts
+    order by created_at
+    limit 1
+    for update skip locked
+  )
+  update llm_requests r
+  set status = 'processing',
+      lease_owner = p_worker_id,
+      lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+      heartbeat_at = now(),
+      processing_started_at = now(),
+      attempt_count = r.attempt_count + 1
+  from next_request
+  where r.request_id = next_request.request_id
+  returning r.*;
+$$;
+
+-- Heartbeat: returns false if the worker no longer holds the lease
+create or replace function extend_request_lease(p_request_id text, p_worker_id text, p_lease_seconds integer)
+returns boolean
+language sql
+as $$
+  with extended as (
+    update llm_requests
+    set lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+        heartbeat_at = now()
+    where request_id = p_request_id
+      and lease_owner = p_worker_id
+      and status = 'processing'
+    returning 1
+  )
+  select exists (select 1 from extended);
+$$;
+
+-- Sweeper: expired leases go back to the queue, or fail once attempts are used up.
+-- Rows from before leases existed fall back to the old 20-minute processing limit.
+create or replace function requeue_expired_leases()
+returns table (requeued integer, failed integer)
+language plpgsql
+as $$
+declare
+  v_requeued integer;
+  v_failed integer;
+begin
+  with expired as (
+    update llm_requests
+    set status = 'failed',
+        error_message = format('Processing lease expired after %s of %s attempts', attempt_count, max_attempts),
+        completed_at = now(),
+        lease_owner = null,
+        lease_expires_at = null
+    where status = 'processing'
+      and coalesce(lease_expires_at, processing_started_at + interval '20 minutes') < now()
+      and attempt_count >= max_attempts
+    returning 1
+  )
+  select count(*) into v_failed from expired;
+
+  with expired as (
+    update llm_requests
+    set status = 'queued',
+        lease_owner = null,
+        lease_expires_at = null
+    where status = 'processing'
+      and coalesce(lease_expires_at, processing_started_at + interval '20 minutes') < now()
+      and attempt_count < max_attempts
+    returning 1
+  )
+  select count(*) into v_requeued from expired;
+
+  return query select v_requeued, v_failed;
+end;
+$$;
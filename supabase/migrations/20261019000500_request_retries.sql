@@ -0,0 +1,53 @@
+-- Automatic retries for transient Claude API errors
+-- Retryable failures move to 'retrying' until next_attempt_at, then become claimable again.
+
+alter table llm_requests
+  add column if not exists next_attempt_at timestamptz,
+  add column if not exists error_category text,
+  add column if not exists error_details jsonb;
+
+create index if not exists llm_requests_next_attempt_idx on llm_requests (next_attempt_at)
+  where status = 'retrying';
+
+create or replace function claim_request(p_request_id text, p_worker_id text, p_lease_seconds integer)
+returns setof llm_requests
+language sql
+as $$
+  update llm_requests
+  set status = 'processing',
+      lease_owner = p_worker_id,
+      lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+      heartbeat_at = now(),
+      processing_started_at = now(),
+      attempt_count = attempt_count + 1
+  where request_id = p_request_id
+    and (status = 'queued' or (status = 'retrying' and next_attempt_at <= now()))
+    and attempt_count < max_attempts
+  returning *;
+$$;
+
+-- Due retries compete with queued rows by the time they became runnable
+create or replace function claim_next_request(p_worker_id text, p_lease_seconds integer)
+returns setof llm_requests
+language sql
+as $$
+  with next_request as (
+    select request_id
+    from llm_requests
+    where (status = 'queued' or (status = 'retrying' and next_attempt_at <= now()))
+      and attempt_count < max_attempts
+    order by coalesce(next_attempt_at, created_at)
+    limit 1
+    for update skip locked
+  )
+  update llm_requests r
+  set status = 'processing',
+      lease_owner = p_worker_id,
+      lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+      heartbeat_at = now(),
+      processing_started_at = now(),
+      attempt_count = r.attempt_count + 1
+  from next_request
+  where r.request_id = next_request.request_id
+  returning r.*;
+$$;
@@ -0,0 +1,95 @@
+-- Persistent webhook outbox with per-destination rate limiting
+-- Replaces the per-instance in-memory throttle: every Vercel instance claims
+-- deliveries through claim_webhook_deliveries(), which hands out at most one
+-- delivery per destination per min_interval_ms across all instances.
+
+create table if not exists webhook_outbox (
+  id bigserial primary key,
+  request_id text,
+  batch_id text,
+  destination_url text not null,
+  auth_token text,
+  payload jsonb not null,
+  status text not null default 'pending', -- pending | sending | delivered | failed
+  attempt_count integer not null default 0,
+  max_attempts integer not null default 5,
+  next_attempt_at timestamptz not null default now(),
+  locked_until timestamptz,
+  last_response_status integer,
+  last_error text,
+  created_at timestamptz not null default now(),
+  delivered_at timestamptz
+);
+
+create index if not exists webhook_outbox_due_idx on webhook_outbox (destination_url, next_attempt_at)
+  where status = 'pending';
+
+create index if not exists webhook_outbox_request_idx on webhook_outbox (request_id);
+
+-- One row per destination: when it may receive the next webhook
+create table if not exists webhook_destinations (
+  destination_url text primary key,
+  min_interval_ms integer,
+  next_allowed_at timestamptz not null default now()
+);
+
+-- Every delivery attempt is logged alongside the existing pg_net entries
+alter table webhook_logs
+  add column if not exists outbox_id bigint,
+  add column if not exists destination_url text,
+  add column if not exists attempt integer,
+  add column if not exists error_message text;
+
+create or replace function claim_webhook_deliveries(p_limit integer, p_default_interval_ms integer, p_lock_seconds integer)
+returns setof webhook_outbox
+language plpgsql
+as $$
+declare
+  v_candidate webhook_outbox;
+  v_claimed webhook_outbox;
+  v_remaining integer := p_limit;
+begin
+  -- Deliveries whose worker died mid-send go back to pending
+  update webhook_outbox
+  set status = 'pending'
+  where status = 'sending'
+    and locked_until < now();
+
+  -- Oldest due delivery per destination
+  for v_candidate in
+    select distinct on (o.destination_url) o.*
+    from webhook_outbox o
+    where o.status = 'pending'
+      and o.next_attempt_at <= now()
+    order by o.destination_url, o.next_attempt_at, o.id
+  loop
+    exit when v_remaining <= 0;
+
+    insert into webhook_destinations (destination_url)
+    values (v_candidate.destination_url)
+    on conflict (destination_url) do nothing;
+
+    -- Reserve the destination's next slot; concurrent callers block on the
+    -- row lock and then see next_allowed_at in the future
+    update webhook_destinations d
+    set next_allowed_at = now() + make_interval(secs => coalesce(d.min_interval_ms, p_default_interval_ms) / 1000.0)
+    where d.destination_url = v_candidate.destination_url
+      and d.next_allowed_at <= now();
+
+    continue when not found;
+
+    update webhook_outbox
+    set status = 'sending',
+        locked_until = now() + make_interval(secs => p_lock_seconds),
+        attempt_count = attempt_count + 1
+    where id = v_candidate.id
+      and status = 'pending'
+    returning * into v_claimed;
+
+    continue when not found;
+
+    v_remaining := v_remaining - 1;
+    return next v_claimed;
+  end loop;
+end;
+$$;
@@ -0,0 +1,97 @@
+-- Failure notifications, dead-letter view and manual replay
+
+alter table llm_requests
+  add column if not exists replay_count integer not null default 0,
+  add column if not exists last_replayed_at timestamptz;
+
+-- Return the ids of rows failed for expired leases so the sweeper can send
+-- failure webhooks for them (return type changes, so drop first)
+drop function if exists requeue_expired_leases();
+
+create function requeue_expired_leases()
+returns table (requeued integer, failed integer, failed_request_ids text[])
+language plpgsql
+as $$
+declare
+  v_requeued integer;
+  v_failed_ids text[];
+begin
+  with expired as (
+    update llm_requests
+    set status = 'failed',
+        error_category = 'lease_expired',
+        error_message = format('Processing lease expired after %s of %s attempts', attempt_count, max_attempts),
+        completed_at = now(),
+        lease_owner = null,
+        lease_expires_at = null
+    where status = 'processing'
+      and coalesce(lease_expires_at, processing_started_at + interval '20 minutes') < now()
+      and attempt_count >= max_attempts
+    returning request_id
+  )
+  select coalesce(array_agg(request_id), '{}') into v_failed_ids from expired;
+
+  with expired as (
+    update llm_requests
+    set status = 'queued',
+        lease_owner = null,
+        lease_expires_at = null
+    where status = 'processing'
+      and coalesce(lease_expires_at, processing_started_at + interval '20 minutes') < now()
+      and attempt_count < max_attempts
+    returning 1
+  )
+  select count(*) into v_requeued from expired;
+
+  return query select v_requeued, cardinality(v_failed_ids), v_failed_ids;
+end;
+$$;
+
+-- Requests that need a human: processing failed for good, or the result was
+-- produced but its webhook used up every delivery attempt and nobody fetched it.
+-- Replaying a failed request (api/replay.js) moves it back to 'queued', which
+-- takes it out of this view.
+create or replace view dead_letter_requests as
+select
+  r.request_id,
+  'processing_failed' as dead_letter_reason,
+  r.error_category,
+  r.error_message,
+  r.attempt_count,
+  r.max_attempts,
+  null::bigint as outbox_id,
+  null::text as destination_url,
+  r.batch_id,
+  r.replay_count,
+  r.created_at,
+  r.completed_at as dead_lettered_at
+from llm_requests r
+where r.status = 'failed'
+
+union all
+
+select
+  r.request_id,
+  'webhook_failed' as dead_letter_reason,
+  'webhook_delivery' as error_category,
+  o.last_error as error_message,
+  o.attempt_count,
+  o.max_attempts,
+  o.id as outbox_id,
+  o.destination_url,
+  r.batch_id,
+  r.replay_count,
+  r.created_at,
+  o.next_attempt_at as dead_lettered_at -- when the final attempt was due
+from webhook_outbox o
+join llm_requests r on r.request_id = o.request_id
+where o.status = 'failed'
+  and r.status = 'completed'
+  and r.fetched_at is null
+  -- Only the latest delivery per request counts; a later success or retry supersedes it
+  and not exists (
+    select 1
+    from webhook_outbox later
+    where later.request_id = o.request_id
+      and later.id > o.id
+  );
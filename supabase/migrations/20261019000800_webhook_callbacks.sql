@@ -0,0 +1,10 @@
+-- Generic signed callback targets per request (see lib/callbacks.js)
+
+-- [{ url, format: id|full|text, secret, headers }]
+alter table llm_requests
+  add column if not exists callbacks jsonb;
+
+-- Per-delivery signing secret and extra headers; auth_token stays the Coda Bearer token
+alter table webhook_outbox
+  add column if not exists signing_secret text,
+  add column if not exists extra_headers jsonb;
@@ -0,0 +1,70 @@
+-- Secrets at rest: encrypted API keys + scrubbing once requests are finished
+-- (encryption happens in the app - see lib/secrets.js)
+
+alter table llm_requests
+  add column if not exists encrypted_api_key text,
+  add column if not exists secrets_scrubbed_at timestamptz;
+
+-- Wipes secrets nobody needs any more. Called by webhook-monitor.js every run.
+--   Claude keys: as soon as a row completes or fails (legacy plaintext copies
+--                in request_payload included)
+--   Coda tokens / callback secrets: once no webhook for the row is pending and
+--                webhook-monitor can no longer retry it (fetched, retries used
+--                up, or older than its retry window)
+create or replace function scrub_finished_secrets(p_webhook_window interval default interval '30 minutes')
+returns integer
+language plpgsql
+as $$
+declare
+  v_scrubbed integer;
+begin
+  update llm_requests
+  set encrypted_api_key = null,
+      request_payload = request_payload - 'userApiKey'
+  where status in ('completed', 'failed')
+    and (encrypted_api_key is not null or request_payload ? 'userApiKey');
+
+  update llm_requests r
+  set coda_api_token = null,
+      request_payload = r.request_payload - 'codaApiToken' - 'callbacks',
+      callbacks = (
+        select jsonb_agg(callback - 'secret' - 'headers')
+        from jsonb_array_elements(r.callbacks) callback
+      ),
+      secrets_scrubbed_at = now()
+  where r.status in ('completed', 'failed')
+    and r.secrets_scrubbed_at is null
+    and (
+      r.fetched_at is not null
+      or r.webhook_retry_count >= 3
+      or r.completed_at < now() - p_webhook_window
+    )
+    and not exists (
+      select 1
+      from webhook_outbox o
+      where o.request_id = r.request_id
+        and o.status in ('pending', 'sending')
+    );
+
+  get diagnostics v_scrubbed = row_count;
+
+  update webhook_outbox
+  set auth_token = null,
+      signing_secret = null,
+      extra_headers = null
+  where status in ('delivered', 'failed')
+    and (auth_token is not null or signing_secret is not null or extra_headers is not null);
+
+  update llm_batches
+  set user_api_key = null,
+      coda_api_token = null
+  where status in ('ended', 'failed')
+    and (user_api_key is not null or coda_api_token is not null);
+
+  return v_scrubbed;
+end;
+$$;
+
+-- Clean everything that is already finished. Rows still in flight keep their
+-- plaintext until scripts/encrypt-secrets.js encrypts them.
+select scrub_finished_secrets();
@@ -0,0 +1,9 @@
+-- Request ownership (see lib/access.js)
+-- Reads of status/results require the per-request access token or the API key
+-- that submitted the request; only SHA-256 hashes of either are stored.
+
+alter table llm_requests
+  add column if not exists access_token_hash text,
+  add column if not exists api_key_hash text;
+
+create index if not exists llm_requests_api_key_hash_idx on llm_requests (api_key_hash);
@@ -0,0 +1,166 @@
+-- Cancelling queued and in-flight requests (see api/cancel-request.js)
+-- queued/retrying rows are cancelled directly; processing rows get
+-- cancel_requested_at and the worker aborts its Claude call.
+
+alter table llm_requests
+  add column if not exists cancel_requested_at timestamptz,
+  add column if not exists cancelled_at timestamptz;
+
+-- Never hand out a row somebody asked to cancel
+create or replace function claim_request(p_request_id text, p_worker_id text, p_lease_seconds integer)
+returns setof llm_requests
+language sql
+as $$
+  update llm_requests
+  set status = 'processing',
+      lease_owner = p_worker_id,
+      lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+      heartbeat_at = now(),
+      processing_started_at = now(),
+      attempt_count = attempt_count + 1
+  where request_id = p_request_id
+    and (status = 'queued' or (status = 'retrying' and next_attempt_at <= now()))
+    and attempt_count < max_attempts
+    and cancel_requested_at is null
+  returning *;
+$$;
+
+create or replace function claim_next_request(p_worker_id text, p_lease_seconds integer)
+returns setof llm_requests
+language sql
+as $$
+  with next_request as (
+    select request_id
+    from llm_requests
+    where (status = 'queued' or (status = 'retrying' and next_attempt_at <= now()))
+      and attempt_count < max_attempts
+      and cancel_requested_at is null
+    order by coalesce(next_attempt_at, created_at)
+    limit 1
+    for update skip locked
+  )
+  update llm_requests r
+  set status = 'processing',
+      lease_owner = p_worker_id,
+      lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+      heartbeat_at = now(),
+      processing_started_at = now(),
+      attempt_count = r.attempt_count + 1
+  from next_request
+  where r.request_id = next_request.request_id
+  returning r.*;
+$$;
+
+-- A worker that died after a cancel was requested must not be requeued:
+-- those rows become 'cancelled' and are reported so the sweeper can send
+-- the cancellation webhooks (return type changes, so drop first)
+drop function if exists requeue_expired_leases();
+
+create function requeue_expired_leases()
+returns table (requeued integer, failed integer, failed_request_ids text[], cancelled_request_ids text[])
+language plpgsql
+as $$
+declare
+  v_requeued integer;
+  v_failed_ids text[];
+  v_cancelled_ids text[];
+begin
+  with expired as (
+    update llm_requests
+    set status = 'cancelled',
+        cancelled_at = now(),
+        completed_at = now(),
+        lease_owner = null,
+        lease_expires_at = null
+    where status = 'processing'
+      and coalesce(lease_expires_at, processing_started_at + interval '20 minutes') < now()
+      and cancel_requested_at is not null
+    returning request_id
+  )
+  select coalesce(array_agg(request_id), '{}') into v_cancelled_ids from expired;
+
+  with expired as (
+    update llm_requests
+    set status = 'failed',
+        error_category = 'lease_expired',
+        error_message = format('Processing lease expired after %s of %s attempts', attempt_count, max_attempts),
+        completed_at = now(),
+        lease_owner = null,
+        lease_expires_at = null
+    where status = 'processing'
+      and coalesce(lease_expires_at, processing_started_at + interval '20 minutes') < now()
+      and attempt_count >= max_attempts
+    returning request_id
+  )
+  select coalesce(array_agg(request_id), '{}') into v_failed_ids from expired;
+
+  with expired as (
+    update llm_requests
+    set status = 'queued',
+        lease_owner = null,
+        lease_expires_at = null
+    where status = 'processing'
+      and coalesce(lease_expires_at, processing_started_at + interval '20 minutes') < now()
+      and attempt_count < max_attempts
+    returning 1
+  )
+  select count(*) into v_requeued from expired;
+
+  return query select v_requeued, cardinality(v_failed_ids), v_failed_ids, v_cancelled_ids;
+end;
+$$;
+
+-- Cancelled rows are finished too: scrub their secrets like completed/failed ones
+create or replace function scrub_finished_secrets(p_webhook_window interval default interval '30 minutes')
+returns integer
+language plpgsql
+as $$
+declare
+  v_scrubbed integer;
+begin
+  update llm_requests
+  set encrypted_api_key = null,
+      request_payload = request_payload - 'userApiKey'
+  where status in ('completed', 'failed', 'cancelled')
+    and (encrypted_api_key is not null or request_payload ? 'userApiKey');
+
+  update llm_requests r
+  set coda_api_token = null,
+      request_payload = r.request_payload - 'codaApiToken' - 'callbacks',
+      callbacks = (
+        select jsonb_agg(callback - 'secret' - 'headers')
+        from jsonb_array_elements(r.callbacks) callback
+      ),
+      secrets_scrubbed_at = now()
+  where r.status in ('completed', 'failed', 'cancelled')
+    and r.secrets_scrubbed_at is null
+    and (
+      r.fetched_at is not null
+      or r.webhook_retry_count >= 3
+      or r.completed_at < now() - p_webhook_window
+    )
+    and not exists (
+      select 1
+      from webhook_outbox o
+      where o.request_id = r.request_id
+        and o.status in ('pending', 'sending')
+    );
+
+  get diagnostics v_scrubbed = row_count;
+
+  update webhook_outbox
+  set auth_token = null,
+      signing_secret = null,
+      extra_headers = null
+  where status in ('delivered', 'failed')
+    and (auth_token is not null or signing_secret is not null or extra_headers is not null);
+
+  update llm_batches
+  set user_api_key = null,
+      coda_api_token = null
+  where status in ('ended', 'failed')
+    and (user_api_key is not null or coda_api_token is not null);
+
+  return v_scrubbed;
+end;
+$$;
@@ -0,0 +1,38 @@
+-- Authoritative per-model pricing (see lib/pricing.js)
+-- Rates are USD per million tokens; web search is USD per 1,000 searches.
+-- A rate change is a new row with a later effective_from - requests are
+-- priced with the rates in effect when they were created.
+
+create table if not exists model_pricing (
+  model text not null,
+  effective_from timestamptz not null,
+  input_per_mtok numeric(12, 4) not null,
+  output_per_mtok numeric(12, 4) not null,
+  cache_write_per_mtok numeric(12, 4) not null,
+  cache_read_per_mtok numeric(12, 4) not null,
+  web_search_per_1k numeric(12, 4) not null default 10,
+  notes text,
+  created_at timestamptz not null default now(),
+  primary key (model, effective_from)
+);
+
+insert into model_pricing (model, effective_from, input_per_mtok, output_per_mtok, cache_write_per_mtok, cache_read_per_mtok)
+values
+  ('claude-opus-4-1-20250805',   '2024-01-01', 15.00, 75.00, 18.75, 1.50),
+  ('claude-opus-4-20250514',     '2024-01-01', 15.00, 75.00, 18.75, 1.50),
+  ('claude-sonnet-4-20250514',   '2024-01-01',  3.00, 15.00,  3.75, 0.30),
+  ('claude-3-7-sonnet-20250224', '2024-01-01',  3.00, 15.00,  3.75, 0.30),
+  ('claude-3-5-sonnet-20241022', '2024-01-01',  3.00, 15.00,  3.75, 0.30),
+  ('claude-3-5-haiku-20241022',  '2024-01-01',  0.80,  4.00,  1.00, 0.08),
+  ('claude-3-opus-20240229',     '2024-01-01', 15.00, 75.00, 18.75, 1.50),
+  ('claude-3-haiku-20240307',    '2024-01-01',  0.25,  1.25,  0.30, 0.03)
+on conflict (model, effective_from) do nothing;
+
+-- Queryable total (the itemised breakdown lives in response_payload.cost)
+alter table llm_requests
+  add column if not exists total_cost_usd numeric(14, 6);
+
+update llm_requests
+set total_cost_usd = (response_payload->'cost'->>'totalCost')::numeric
+where total_cost_usd is null
+  and response_payload->'cost'->>'totalCost' is not null;
@@ -0,0 +1,77 @@
+-- Spending budgets and request-rate caps (see lib/budgets.js)
+-- Checked by queue-request.js / queue-batch.js before a request is stored.
+--
+-- scope 'api_key': scope_key = llm_requests.api_key_hash (sha256 of the key)
+-- scope 'doc':     scope_key = Coda doc id from the webhook URL (or the URL
+--                  itself for non-Coda webhooks) - see llm_requests.coda_doc_key
+-- scope_key '*' is the default for every key / doc without a row of its own.
+--
+-- Example: cap every key at $20/day and 30 requests/minute, one doc at $100/month
+--   insert into spend_budgets (scope, scope_key, daily_limit_usd, requests_per_minute)
+--     values ('api_key', '*', 20, 30);
+--   insert into spend_budgets (scope, scope_key, monthly_limit_usd, warning_webhook_url)
+--     values ('doc', 'AbCDeFGH', 100, 'https://hooks.slack.com/services/...');
+
+create table if not exists spend_budgets (
+  id bigserial primary key,
+  scope text not null check (scope in ('api_key', 'doc')),
+  scope_key text not null,
+  label text,
+  daily_limit_usd numeric(12, 2),
+  monthly_limit_usd numeric(12, 2),
+  requests_per_minute integer,
+  requests_per_day integer,
+  warning_webhook_url text, -- 80% warnings; defaults to the request's Coda webhook
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (scope, scope_key)
+);
+
+-- One warning per budget, key/doc and period
+create table if not exists budget_warnings (
+  budget_id bigint not null references spend_budgets (id) on delete cascade,
+  scope_key text not null,
+  period text not null, -- daily | monthly
+  period_start date not null,
+  percent_used numeric(6, 2),
+  sent_at timestamptz not null default now(),
+  primary key (budget_id, scope_key, period, period_start)
+);
+
+-- Upper-bound cost estimate until the real cost (total_cost_usd) is known
+alter table llm_requests
+  add column if not exists estimated_cost_usd numeric(14, 6),
+  add column if not exists coda_doc_key text;
+
+create index if not exists llm_requests_api_key_created_idx on llm_requests (api_key_hash, created_at);
+create index if not exists llm_requests_doc_created_idx on llm_requests (coda_doc_key, created_at)
+  where coda_doc_key is not null;
+
+-- Spend and request counts for one key / doc (UTC day and month).
+-- Finished rows count their real cost; rows still queued, processing or
+-- batched count their estimate, so a burst is stopped before it runs.
+create or replace function get_spend_usage(p_scope text, p_scope_key text)
+returns table (spent_today numeric, spent_month numeric, requests_last_minute integer, requests_today integer)
+language sql
+stable
+as $$
+  select
+    coalesce(sum(cost) filter (where created_at >= date_trunc('day', now())), 0),
+    coalesce(sum(cost), 0),
+    (count(*) filter (where created_at >= now() - interval '1 minute'))::integer,
+    (count(*) filter (where created_at >= date_trunc('day', now())))::integer
+  from (
+    select
+      created_at,
+      case
+        when status in ('completed', 'failed', 'cancelled') then coalesce(total_cost_usd, 0)
+        else coalesce(total_cost_usd, estimated_cost_usd, 0)
+      end as cost
+    from llm_requests
+    where created_at >= date_trunc('month', now())
+      and (
+        (p_scope = 'api_key' and api_key_hash = p_scope_key)
+        or (p_scope = 'doc' and coda_doc_key = p_scope_key)
+      )
+  ) usage;
+$$;
@@ -0,0 +1,18 @@
+-- Custom tools run by the backend during a request (see lib/custom-tools.js)
+-- Registered per API key through /api/tools; promptAsync picks them by name.
+
+create table if not exists custom_tools (
+  id bigserial primary key,
+  owner_key_hash text not null, -- api_key_hash of the key that registered it
+  name text not null,
+  description text not null,
+  input_schema jsonb not null,
+  endpoint_url text not null,
+  signing_secret text, -- encrypted (lib/secrets.js); signs every call
+  extra_headers jsonb, -- values encrypted
+  timeout_ms integer not null default 30000,
+  enabled boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (owner_key_hash, name)
+);
@@ -0,0 +1,18 @@
+-- Idempotent resubmission + result cache (see lib/result-cache.js)
+--
+-- idempotency_key: client-chosen key; a repeat within the TTL returns the
+--                  same request instead of queueing another
+-- request_hash:    sha256 of the normalised claudeRequest + responseOptions,
+--                  set when the result cache is enabled for the request
+-- cached_from_request_id: set on rows answered from the cache - the request
+--                  whose response was copied (cost 0)
+
+alter table llm_requests
+  add column if not exists idempotency_key text,
+  add column if not exists request_hash text,
+  add column if not exists cached_from_request_id text;
+
+create index if not exists llm_requests_idempotency_idx on llm_requests (api_key_hash, idempotency_key, created_at desc)
+  where idempotency_key is not null;
+create index if not exists llm_requests_request_hash_idx on llm_requests (api_key_hash, request_hash, created_at desc)
+  where request_hash is not null;
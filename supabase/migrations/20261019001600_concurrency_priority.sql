@@ -0,0 +1,228 @@
+-- Per-key / per-model concurrency caps and priority scheduling (see lib/concurrency.js)
+--
+-- concurrency_limits caps processing rows per API key (scope 'api_key',
+-- scope_key = api_key_hash) and per API key + model (scope 'model',
+-- scope_key = model name). scope_key '*' is the default for everyone
+-- without a row of their own.
+--
+-- concurrency_state holds the adaptive cap per API key + model: halved when
+-- the Messages API rate-limits us or its rate-limit headers run low, raised
+-- by one (up to the configured cap) while they look healthy.
+--
+-- Example: let one busy key run 10 at a time, but only 2 Opus calls
+--   insert into concurrency_limits (scope, scope_key, max_concurrent) values ('api_key', '<hash>', 10);
+--   insert into concurrency_limits (scope, scope_key, max_concurrent) values ('model', 'claude-opus-4-1-20250805', 2);
+
+alter table llm_requests
+  add column if not exists priority smallint not null default 1, -- 0 low (backfills), 1 normal, 2 high (interactive)
+  add column if not exists model text generated always as (request_payload->'claudeRequest'->>'model') stored;
+
+create index if not exists llm_requests_claimable_idx on llm_requests (priority desc, (coalesce(next_attempt_at, created_at)))
+  where status in ('queued', 'retrying');
+create index if not exists llm_requests_processing_key_idx on llm_requests (api_key_hash, model)
+  where status = 'processing';
+
+create table if not exists concurrency_limits (
+  scope text not null check (scope in ('api_key', 'model')),
+  scope_key text not null,
+  max_concurrent integer not null check (max_concurrent > 0),
+  updated_at timestamptz not null default now(),
+  primary key (scope, scope_key)
+);
+
+insert into concurrency_limits (scope, scope_key, max_concurrent) values
+  ('api_key', '*', 5),
+  ('model', '*', 3)
+on conflict do nothing;
+
+create table if not exists concurrency_state (
+  api_key_hash text not null,
+  model text not null,
+  adaptive_cap integer not null check (adaptive_cap > 0),
+  last_signal text, -- throttled | healthy
+  updated_at timestamptz not null default now(),
+  primary key (api_key_hash, model)
+);
+
+-- Configured cap for a scope: own row, else the '*' default, else unlimited
+create or replace function configured_concurrency_cap(p_scope text, p_scope_key text)
+returns integer
+language sql
+stable
+as $$
+  select coalesce(
+    (select max_concurrent from concurrency_limits where scope = p_scope and scope_key = p_scope_key),
+    (select max_concurrent from concurrency_limits where scope = p_scope and scope_key = '*'),
+    2147483647
+  );
+$$;
+
+-- Whether one more call for this key + model fits under both caps.
+-- Rows without an api_key_hash (from before hashing) are never held back.
+create or replace function request_slot_available(p_api_key_hash text, p_model text)
+returns boolean
+language sql
+stable
+as $$
+  select p_api_key_hash is null or (
+    (select count(*) from llm_requests
+      where status = 'processing' and api_key_hash = p_api_key_hash)
+      < configured_concurrency_cap('api_key', p_api_key_hash)
+    and
+    (select count(*) from llm_requests
+      where status = 'processing' and api_key_hash = p_api_key_hash and model is not distinct from p_model)
+      < least(
+        configured_concurrency_cap('model', p_model),
+        coalesce((select adaptive_cap from concurrency_state where api_key_hash = p_api_key_hash and model = p_model), 2147483647)
+      )
+  );
+$$;
+
+-- Highest priority first, then oldest (retries by their due time); only rows
+-- whose key/model has a free slot
+create or replace function next_claimable_request()
+returns text
+language sql
+stable
+as $$
+  select request_id
+  from llm_requests
+  where (status = 'queued' or (status = 'retrying' and next_attempt_at <= now()))
+    and attempt_count < max_attempts
+    and cancel_requested_at is null
+    and request_slot_available(api_key_hash, model)
+  order by priority desc, coalesce(next_attempt_at, created_at)
+  limit 1;
+$$;
+
+-- Claims are serialised with one advisory lock so two workers can't both
+-- take the last slot of a key
+
+-- Claim one specific request - only if it has a slot and nothing with a
+-- higher priority is waiting for one (process-queue then runs that instead)
+create or replace function claim_request(p_request_id text, p_worker_id text, p_lease_seconds integer)
+returns setof llm_requests
+language plpgsql
+as $$
+declare
+  v_request llm_requests;
+begin
+  perform pg_advisory_xact_lock(hashtext('llm_requests_claim'));
+
+  select * into v_request
+  from llm_requests
+  where request_id = p_request_id
+    and (status = 'queued' or (status = 'retrying' and next_attempt_at <= now()))
+    and attempt_count < max_attempts
+    and cancel_requested_at is null;
+
+  if not found or not request_slot_available(v_request.api_key_hash, v_request.model) then
+    return;
+  end if;
+
+  if exists (
+    select 1
+    from llm_requests
+    where (status = 'queued' or (status = 'retrying' and next_attempt_at <= now()))
+      and attempt_count < max_attempts
+      and cancel_requested_at is null
+      and priority > v_request.priority
+      and request_slot_available(api_key_hash, model)
+  ) then
+    return;
+  end if;
+
+  return query
+  update llm_requests
+  set status = 'processing',
+      lease_owner = p_worker_id,
+      lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+      heartbeat_at = now(),
+      processing_started_at = now(),
+      attempt_count = attempt_count + 1
+  where request_id = p_request_id
+  returning *;
+end;
+$$;
+
+create or replace function claim_next_request(p_worker_id text, p_lease_seconds integer)
+returns setof llm_requests
+language plpgsql
+as $$
+declare
+  v_request_id text;
+begin
+  perform pg_advisory_xact_lock(hashtext('llm_requests_claim'));
+
+  v_request_id := next_claimable_request();
+  if v_request_id is null then
+    return;
+  end if;
+
+  return query
+  update llm_requests
+  set status = 'processing',
+      lease_owner = p_worker_id,
+      lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+      heartbeat_at = now(),
+      processing_started_at = now(),
+      attempt_count = attempt_count + 1
+  where request_id = v_request_id
+  returning *;
+end;
+$$;
+
+-- p_direction < 0: halve the adaptive cap (min 1); > 0: raise it by one.
+-- Never above the configured model cap.
+create or replace function adjust_concurrency_cap(p_api_key_hash text, p_model text, p_direction integer)
+returns integer
+language plpgsql
+as $$
+declare
+  v_configured integer := least(configured_concurrency_cap('model', p_model), 1000);
+  v_cap integer;
+begin
+  insert into concurrency_state as s (api_key_hash, model, adaptive_cap, last_signal)
+  values (
+    p_api_key_hash,
+    p_model,
+    case when p_direction < 0 then greatest(1, v_configured / 2) else v_configured end,
+    case when p_direction < 0 then 'throttled' else 'healthy' end
+  )
+  on conflict (api_key_hash, model) do update
+  set adaptive_cap = case
+        when p_direction < 0 then greatest(1, s.adaptive_cap / 2)
+        else least(v_configured, s.adaptive_cap + 1)
+      end,
+      last_signal = excluded.last_signal,
+      updated_at = now()
+  returning adaptive_cap into v_cap;
+
+  return v_cap;
+end;
+$$;
+
+-- 1-based place among the rows waiting for a worker (same order as
+-- next_claimable_request); null when the request isn't waiting
+create or replace function get_queue_position(p_request_id text)
+returns integer
+language sql
+stable
+as $$
+  select (
+    select count(*)::integer + 1
+    from llm_requests other
+    where (other.status = 'queued' or other.status = 'retrying')
+      and other.cancel_requested_at is null
+      and other.request_id <> r.request_id
+      and (
+        other.priority > r.priority
+        or (other.priority = r.priority
+            and coalesce(other.next_attempt_at, other.created_at) < coalesce(r.next_attempt_at, r.created_at))
+      )
+  )
+  from llm_requests r
+  where r.request_id = p_request_id
+    and r.status in ('queued', 'retrying')
+    and r.cancel_requested_at is null;
+$$;
@@ -0,0 +1,22 @@
+-- Scheduled / recurring requests (see lib/scheduling.js, api/scheduler.js)
+--
+-- status 'scheduled' rows are never claimed by workers. The scheduler cron:
+--   one-off (runAt only)  -> the row itself becomes 'queued' once next_run_at passes
+--   recurring             -> the row stays 'scheduled' as the template; every due
+--                            run inserts a child row (parent_request_id) that is
+--                            queued, processed and webhooked like any request
+
+alter table llm_requests
+  add column if not exists run_at timestamptz,
+  add column if not exists recurrence text,               -- e.g. 'daily', 'every 6 hours'
+  add column if not exists recurrence_until timestamptz,
+  add column if not exists recurrence_max_runs integer,
+  add column if not exists next_run_at timestamptz,
+  add column if not exists run_count integer not null default 0,
+  add column if not exists last_run_at timestamptz,
+  add column if not exists parent_request_id text references llm_requests(request_id) on delete set null;
+
+create index if not exists llm_requests_due_schedule_idx on llm_requests (next_run_at)
+  where status = 'scheduled';
+create index if not exists llm_requests_parent_idx on llm_requests (parent_request_id)
+  where parent_request_id is not null;
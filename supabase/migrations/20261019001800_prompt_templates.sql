@@ -0,0 +1,28 @@
+-- Versioned prompt templates (see lib/prompt-templates.js, api/templates.js)
+-- Every save is a new immutable version; requests record the version they
+-- were rendered from so outputs can be audited after a template changes.
+
+create table if not exists prompt_templates (
+  id bigserial primary key,
+  owner_key_hash text not null, -- api_key_hash of the key that saved it
+  template_id text not null,
+  version integer not null,
+  description text,
+  system_prompt text,           -- may contain {{variables}}
+  prompt text not null,         -- the user message, with {{variables}}
+  model text not null,          -- default model, overridable per request
+  max_tokens integer,
+  temperature numeric,
+  json_schema jsonb,            -- structured output (lib/structured-output.js)
+  variable_defaults jsonb not null default '{}'::jsonb,
+  deleted_at timestamptz,       -- deleting a template keeps its versions for audits
+  created_at timestamptz not null default now(),
+  unique (owner_key_hash, template_id, version)
+);
+
+alter table llm_requests
+  add column if not exists template_id text,
+  add column if not exists template_version integer;
+
+create index if not exists llm_requests_template_idx on llm_requests (template_id, template_version)
+  where template_id is not null;
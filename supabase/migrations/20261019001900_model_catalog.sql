@@ -0,0 +1,54 @@
+-- Server-side model catalog (see lib/model-catalog.js, api/models.js)
+-- Replaces the hand-edited MODELS list in the Pack. Adding a model is a row
+-- here (plus its model_pricing row); retiring one is deprecated_at +
+-- replacement_model - requests for it are then run on the replacement.
+
+create table if not exists model_catalog (
+  model text primary key,
+  display_name text not null,
+  aliases text[] not null default '{}',      -- e.g. 'claude-sonnet-4-5' -> the dated id
+  supports_vision boolean not null default true,
+  supports_thinking boolean not null default false,
+  supports_web_search boolean not null default false,
+  max_output_tokens integer not null,
+  deprecated_at timestamptz,                 -- from then on requests use replacement_model
+  retires_at timestamptz,                    -- the API stops serving it
+  replacement_model text references model_catalog(model),
+  sort_order integer not null default 100,   -- autocomplete order (newest first)
+  notes text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+insert into model_catalog (model, display_name, aliases, supports_vision, supports_thinking, supports_web_search, max_output_tokens, sort_order)
+values
+  ('claude-opus-4-5-20251101',   'Claude Opus 4.5',   '{claude-opus-4-5}',   true, true,  true,  64000, 10),
+  ('claude-sonnet-4-5-20250929', 'Claude Sonnet 4.5', '{claude-sonnet-4-5}', true, true,  true,  64000, 20),
+  ('claude-haiku-4-5-20251001',  'Claude Haiku 4.5',  '{claude-haiku-4-5}',  true, true,  true,  64000, 30),
+  ('claude-opus-4-1-20250805',   'Claude Opus 4.1',   '{claude-opus-4-1}',   true, true,  true,  32000, 40),
+  ('claude-opus-4-20250514',     'Claude Opus 4',     '{claude-opus-4-0}',   true, true,  true,  32000, 50),
+  ('claude-sonnet-4-20250514',   'Claude Sonnet 4',   '{claude-sonnet-4-0}', true, true,  true,  64000, 60),
+  ('claude-3-7-sonnet-20250224', 'Claude 3.7 Sonnet', '{claude-3-7-sonnet-latest}', true, true, true, 64000, 70),
+  ('claude-3-5-haiku-20241022',  'Claude 3.5 Haiku',  '{claude-3-5-haiku-latest}',  true, false, true, 8192, 80),
+  ('claude-3-5-sonnet-20241022', 'Claude 3.5 Sonnet', '{claude-3-5-sonnet-latest}', true, false, true, 8192, 90),
+  ('claude-3-opus-20240229',     'Claude 3 Opus',     '{claude-3-opus-latest}',     true, false, false, 4096, 100),
+  ('claude-3-haiku-20240307',    'Claude 3 Haiku',    '{}',                         true, false, false, 4096, 110)
+on conflict (model) do nothing;
+
+-- Retired / deprecated models and where their requests go instead
+update model_catalog set deprecated_at = '2025-08-13', retires_at = '2025-10-22', replacement_model = 'claude-sonnet-4-5-20250929'
+  where model = 'claude-3-5-sonnet-20241022' and deprecated_at is null;
+update model_catalog set deprecated_at = '2025-06-30', retires_at = '2026-01-05', replacement_model = 'claude-opus-4-1-20250805'
+  where model = 'claude-3-opus-20240229' and deprecated_at is null;
+update model_catalog set deprecated_at = '2025-10-28', retires_at = '2026-02-19', replacement_model = 'claude-sonnet-4-5-20250929'
+  where model = 'claude-3-7-sonnet-20250224' and deprecated_at is null;
+update model_catalog set deprecated_at = '2025-12-19', retires_at = '2026-02-19', replacement_model = 'claude-haiku-4-5-20251001'
+  where model = 'claude-3-5-haiku-20241022' and deprecated_at is null;
+
+-- Rates for the models the original pricing migration didn't know
+insert into model_pricing (model, effective_from, input_per_mtok, output_per_mtok, cache_write_per_mtok, cache_read_per_mtok)
+values
+  ('claude-opus-4-5-20251101',   '2024-01-01', 5.00, 25.00, 6.25, 0.50),
+  ('claude-sonnet-4-5-20250929', '2024-01-01', 3.00, 15.00, 3.75, 0.30),
+  ('claude-haiku-4-5-20251001',  '2024-01-01', 1.00,  5.00, 1.25, 0.10)
+on conflict (model, effective_from) do nothing;
@@ -0,0 +1,20 @@
+-- Conversation threads belong to the API key that opened them (lib/conversations.js)
+-- Before this, anyone who knew a conversationId could continue the thread and
+-- read its transcript through their own request.
+
+alter table conversations
+  add column if not exists owner_key_hash text;
+
+-- Existing threads go to the key of their first request
+update conversations c
+set owner_key_hash = (
+  select r.api_key_hash
+  from llm_requests r
+  where r.conversation_id = c.conversation_id
+    and r.api_key_hash is not null
+  order by r.created_at asc
+  limit 1
+)
+where c.owner_key_hash is null;
+
+create index if not exists conversations_owner_idx on conversations (owner_key_hash);
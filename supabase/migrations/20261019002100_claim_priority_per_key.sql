@@ -0,0 +1,53 @@
+-- Direct claims only defer to higher-priority rows of the same API key
+-- (see lib/dispatcher.js claimRequest)
+--
+-- claim_request used to refuse a row while ANY key had a higher-priority row
+-- waiting, so one tenant's high-priority backlog held back every other
+-- tenant's pg_net dispatches. Priority now only orders a key's own rows;
+-- claim_next_request (the sweeper) still takes the highest priority overall.
+
+create or replace function claim_request(p_request_id text, p_worker_id text, p_lease_seconds integer)
+returns setof llm_requests
+language plpgsql
+as $$
+declare
+  v_request llm_requests;
+begin
+  perform pg_advisory_xact_lock(hashtext('llm_requests_claim'));
+
+  select * into v_request
+  from llm_requests
+  where request_id = p_request_id
+    and (status = 'queued' or (status = 'retrying' and next_attempt_at <= now()))
+    and attempt_count < max_attempts
+    and cancel_requested_at is null;
+
+  if not found or not request_slot_available(v_request.api_key_hash, v_request.model) then
+    return;
+  end if;
+
+  if exists (
+    select 1
+    from llm_requests
+    where (status = 'queued' or (status = 'retrying' and next_attempt_at <= now()))
+      and attempt_count < max_attempts
+      and cancel_requested_at is null
+      and api_key_hash is not distinct from v_request.api_key_hash
+      and priority > v_request.priority
+      and request_slot_available(api_key_hash, model)
+  ) then
+    return;
+  end if;
+
+  return query
+  update llm_requests
+  set status = 'processing',
+      lease_owner = p_worker_id,
+      lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+      heartbeat_at = now(),
+      processing_started_at = now(),
+      attempt_count = attempt_count + 1
+  where request_id = p_request_id
+  returning *;
+end;
+$$;
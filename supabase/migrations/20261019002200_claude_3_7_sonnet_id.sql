@@ -0,0 +1,27 @@
+-- Claude 3.7 Sonnet's model id is claude-3-7-sonnet-20250219
+-- The pricing and catalog migrations seeded it as claude-3-7-sonnet-20250224,
+-- which the Messages API doesn't know: requests for it failed and /api/models
+-- offered it. This moves both rows to the real id (safe to re-run).
+
+-- Pricing: copy every rate row to the real id, then drop the wrong ones
+insert into model_pricing (model, effective_from, input_per_mtok, output_per_mtok, cache_write_per_mtok, cache_read_per_mtok, web_search_per_1k, notes)
+select 'claude-3-7-sonnet-20250219', effective_from, input_per_mtok, output_per_mtok, cache_write_per_mtok, cache_read_per_mtok, web_search_per_1k, notes
+from model_pricing
+where model = 'claude-3-7-sonnet-20250224'
+on conflict (model, effective_from) do nothing;
+
+delete from model_pricing where model = 'claude-3-7-sonnet-20250224';
+
+-- Catalog: same row under the real id; anything replaced by the wrong id
+-- points at the real one before the wrong row goes
+insert into model_catalog (model, display_name, aliases, supports_vision, supports_thinking, supports_web_search, max_output_tokens, deprecated_at, retires_at, replacement_model, sort_order, notes)
+select 'claude-3-7-sonnet-20250219', display_name, aliases, supports_vision, supports_thinking, supports_web_search, max_output_tokens, deprecated_at, retires_at, replacement_model, sort_order, notes
+from model_catalog
+where model = 'claude-3-7-sonnet-20250224'
+on conflict (model) do nothing;
+
+update model_catalog
+set replacement_model = 'claude-3-7-sonnet-20250219', updated_at = now()
+where replacement_model = 'claude-3-7-sonnet-20250224';
+
+delete from model_catalog where model = 'claude-3-7-sonnet-20250224';